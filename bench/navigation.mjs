@@ -0,0 +1,53 @@
+// Navigation benchmark: routes across a 500 × 500 maze
+//
+//   npm run bench
+//
+// Times the searches the game leans on at the size the navigator was built
+// for: A* corner to corner, a full distance field, walking a route off it,
+// and the hint route through GameCore, which reuses one navigator per maze.
+import { performance } from 'node:perf_hooks';
+import { MazeGenerator } from '../js/maze.js';
+import { Navigator } from '../js/navigation.js';
+import { GameCore } from '../js/core.js';
+
+const SIZE = 500;
+const RUNS = 5;
+
+// Median milliseconds over the runs, after one to warm up
+function time(label, run) {
+  run();
+  const times = [];
+  let result;
+  for (let i = 0; i < RUNS; i++) {
+    const started = performance.now();
+    result = run();
+    times.push(performance.now() - started);
+  }
+  times.sort((a, b) => a - b);
+  console.log(`${label.padEnd(32)} ${times[Math.floor(RUNS / 2)].toFixed(1).padStart(8)} ms`);
+  return result;
+}
+
+const maze = time(`generate ${SIZE} × ${SIZE}`, () => {
+  const generated = new MazeGenerator(SIZE, SIZE, { seed: 500, braid: 0.3 });
+  generated.generate();
+  return generated;
+});
+const start = maze.getStart();
+const end = maze.getEnd();
+const navigator = new Navigator(maze);
+
+const path = time('findPath start to exit', () => navigator.findPath(start, end));
+time('getField of the exit', () => {
+  navigator.invalidate();
+  return navigator.getField(end);
+});
+time('pathTo off a cached field', () => navigator.pathTo(start, end));
+time('findWithin 50 steps', () => navigator.findWithin(start, 50));
+
+const core = new GameCore();
+core.setMaze(maze);
+core.start();
+time('GameCore hint route', () => core.findPathToExit());
+
+console.log(`route length ${path.length} cells`);
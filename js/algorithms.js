@@ -0,0 +1,292 @@
+// Maze Carving Algorithms Module
+//
+// Each strategy carves a perfect maze into a MazeGenerator grid that starts
+// out solid (all 1s). Maze cells live on odd coordinates and the wall between
+// two neighbouring cells is their midpoint, so every strategy writes the same
+// grid format that isWall/isExit read. Randomness always comes from
+// maze.random so that seeds stay reproducible.
+
+const DIRECTIONS = [
+  { dx: 0, dz: -2 }, // North
+  { dx: 2, dz: 0 },  // East
+  { dx: 0, dz: 2 },  // South
+  { dx: -2, dz: 0 }  // West
+];
+
+function isCell(maze, x, z) {
+  return x > 0 && x < maze.width - 1 && z > 0 && z < maze.height - 1;
+}
+
+function getNeighbours(maze, x, z) {
+  const neighbours = [];
+  for (const dir of DIRECTIONS) {
+    const newX = x + dir.dx;
+    const newZ = z + dir.dz;
+    if (isCell(maze, newX, newZ)) {
+      neighbours.push({ x: newX, z: newZ });
+    }
+  }
+  return neighbours;
+}
+
+function carveBetween(maze, fromX, fromZ, toX, toZ) {
+  maze.grid[fromZ][fromX] = 0;
+  maze.grid[(fromZ + toZ) / 2][(fromX + toX) / 2] = 0;
+  maze.grid[toZ][toX] = 0;
+}
+
+function pickRandom(maze, array) {
+  return array[maze.random.nextInt(array.length)];
+}
+
+// Randomized Prim's: grow the maze from a frontier of cells bordering it
+function carvePrim(maze) {
+  const frontier = [];
+  const inFrontier = new Set();
+
+  const addFrontier = (x, z) => {
+    for (const cell of getNeighbours(maze, x, z)) {
+      const key = cell.z * maze.width + cell.x;
+      if (maze.grid[cell.z][cell.x] === 1 && !inFrontier.has(key)) {
+        inFrontier.add(key);
+        frontier.push(cell);
+      }
+    }
+  };
+
+  maze.grid[1][1] = 0;
+  addFrontier(1, 1);
+
+  while (frontier.length > 0) {
+    // Swap-remove a random frontier cell
+    const index = maze.random.nextInt(frontier.length);
+    const cell = frontier[index];
+    frontier[index] = frontier[frontier.length - 1];
+    frontier.pop();
+
+    const carved = getNeighbours(maze, cell.x, cell.z)
+      .filter(n => maze.grid[n.z][n.x] === 0);
+    const target = pickRandom(maze, carved);
+    carveBetween(maze, cell.x, cell.z, target.x, target.z);
+    addFrontier(cell.x, cell.z);
+  }
+}
+
+// Randomized Kruskal's: knock down walls in random order between cells that
+// are not yet connected, tracked with a union-find
+function carveKruskal(maze) {
+  const parent = new Int32Array(maze.width * maze.height).fill(-1);
+  const find = (index) => {
+    let root = index;
+    while (parent[root] !== root) root = parent[root];
+    while (parent[index] !== root) {
+      const next = parent[index];
+      parent[index] = root;
+      index = next;
+    }
+    return root;
+  };
+
+  const edges = [];
+  for (let z = 1; z < maze.height - 1; z += 2) {
+    for (let x = 1; x < maze.width - 1; x += 2) {
+      parent[z * maze.width + x] = z * maze.width + x;
+      maze.grid[z][x] = 0;
+      if (x + 2 < maze.width - 1) edges.push({ x, z, toX: x + 2, toZ: z });
+      if (z + 2 < maze.height - 1) edges.push({ x, z, toX: x, toZ: z + 2 });
+    }
+  }
+
+  for (const edge of maze.shuffleArray(edges)) {
+    const rootA = find(edge.z * maze.width + edge.x);
+    const rootB = find(edge.toZ * maze.width + edge.toX);
+    if (rootA !== rootB) {
+      parent[rootA] = rootB;
+      carveBetween(maze, edge.x, edge.z, edge.toX, edge.toZ);
+    }
+  }
+}
+
+// Wilson's: loop-erased random walks give a uniform spanning tree, so every
+// possible perfect maze is equally likely
+function carveWilson(maze) {
+  const cells = [];
+  for (let z = 1; z < maze.height - 1; z += 2) {
+    for (let x = 1; x < maze.width - 1; x += 2) {
+      cells.push({ x, z });
+    }
+  }
+
+  const first = pickRandom(maze, cells);
+  maze.grid[first.z][first.x] = 0;
+
+  // Remember the last direction taken out of each cell; revisiting a cell
+  // overwrites it, which erases any loop in the walk
+  const nextStep = new Map();
+
+  for (const cell of maze.shuffleArray(cells)) {
+    if (maze.grid[cell.z][cell.x] === 0) continue;
+
+    let x = cell.x;
+    let z = cell.z;
+    while (maze.grid[z][x] !== 0) {
+      const next = pickRandom(maze, getNeighbours(maze, x, z));
+      nextStep.set(z * maze.width + x, next);
+      x = next.x;
+      z = next.z;
+    }
+
+    // Carve the loop-erased walk, stopping where it joined the maze
+    x = cell.x;
+    z = cell.z;
+    while (maze.grid[z][x] !== 0) {
+      const next = nextStep.get(z * maze.width + x);
+      maze.grid[z][x] = 0;
+      maze.grid[(z + next.z) / 2][(x + next.x) / 2] = 0;
+      x = next.x;
+      z = next.z;
+    }
+    nextStep.clear();
+  }
+}
+
+// Eller's: builds the maze one row at a time, only ever tracking the sets
+// of the current row
+function carveEller(maze) {
+  const columns = [];
+  for (let x = 1; x < maze.width - 1; x += 2) columns.push(x);
+
+  const rows = [];
+  for (let z = 1; z < maze.height - 1; z += 2) rows.push(z);
+
+  // Union-find over set labels; a fresh label is handed out for each new set
+  const parent = [];
+  const newSet = () => {
+    parent.push(parent.length);
+    return parent.length - 1;
+  };
+  const find = (label) => {
+    while (parent[label] !== label) {
+      parent[label] = parent[parent[label]];
+      label = parent[label];
+    }
+    return label;
+  };
+
+  let sets = columns.map(() => newSet());
+
+  rows.forEach((z, rowIndex) => {
+    const lastRow = rowIndex === rows.length - 1;
+
+    columns.forEach(x => { maze.grid[z][x] = 0; });
+
+    // Join horizontal neighbours in different sets (always on the last row)
+    for (let i = 0; i < columns.length - 1; i++) {
+      const rootA = find(sets[i]);
+      const rootB = find(sets[i + 1]);
+      if (rootA !== rootB && (lastRow || maze.random.next() < 0.5)) {
+        parent[rootA] = rootB;
+        maze.grid[z][columns[i] + 1] = 0;
+      }
+    }
+
+    if (lastRow) return;
+
+    // Every set must extend down at least once
+    const groups = new Map();
+    columns.forEach((x, i) => {
+      const root = find(sets[i]);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(i);
+    });
+
+    const nextSets = columns.map(() => newSet());
+    for (const [root, members] of groups) {
+      const shuffled = maze.shuffleArray(members);
+      const downCount = 1 + maze.random.nextInt(shuffled.length);
+      for (let i = 0; i < downCount; i++) {
+        const column = shuffled[i];
+        maze.grid[z + 1][columns[column]] = 0;
+        nextSets[column] = root;
+      }
+    }
+    sets = nextSets;
+  });
+}
+
+// Hunt-and-Kill: random walk until stuck, then scan for an unvisited cell
+// next to the maze and continue from there
+function carveHuntAndKill(maze) {
+  let x = 1;
+  let z = 1;
+  let huntRow = 1;
+  maze.grid[z][x] = 0;
+
+  while (true) {
+    const unvisited = getNeighbours(maze, x, z)
+      .filter(n => maze.grid[n.z][n.x] === 1);
+
+    if (unvisited.length > 0) {
+      const next = pickRandom(maze, unvisited);
+      carveBetween(maze, x, z, next.x, next.z);
+      x = next.x;
+      z = next.z;
+      continue;
+    }
+
+    // Hunt: rows above huntRow are known to be fully visited
+    let found = null;
+    for (let row = huntRow; row < maze.height - 1 && !found; row += 2) {
+      let rowComplete = true;
+      for (let col = 1; col < maze.width - 1; col += 2) {
+        if (maze.grid[row][col] !== 1) continue;
+        rowComplete = false;
+
+        const visited = getNeighbours(maze, col, row)
+          .filter(n => maze.grid[n.z][n.x] === 0);
+        if (visited.length > 0) {
+          const target = pickRandom(maze, visited);
+          carveBetween(maze, col, row, target.x, target.z);
+          found = { x: col, z: row };
+          break;
+        }
+      }
+      if (rowComplete && row === huntRow) {
+        huntRow += 2;
+      }
+    }
+
+    if (!found) return;
+    x = found.x;
+    z = found.z;
+  }
+}
+
+export const MAZE_ALGORITHMS = {
+  backtracker: {
+    name: 'Recursive Backtracker',
+    carve: (maze) => maze.carvePassages(1, 1),
+  },
+  prim: {
+    name: "Randomized Prim's",
+    carve: carvePrim,
+  },
+  kruskal: {
+    name: "Randomized Kruskal's",
+    carve: carveKruskal,
+  },
+  wilson: {
+    name: "Wilson's (Uniform)",
+    carve: carveWilson,
+  },
+  eller: {
+    name: "Eller's",
+    carve: carveEller,
+  },
+  huntAndKill: {
+    name: 'Hunt-and-Kill',
+    carve: carveHuntAndKill,
+  },
+};
+
+export const DEFAULT_ALGORITHM = 'backtracker';
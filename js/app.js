@@ -1,64 +1,201 @@
 // Dungeon Maze - Main Application
 import * as THREE from 'three';
 import { MazeGenerator } from './maze.js';
+import { DungeonGenerator } from './dungeon.js';
+import { MAZE_ALGORITHMS } from './algorithms.js';
 import { FirstPersonControls } from './controls.js';
+import { InputManager, INPUT_ACTIONS, formatBinding, getDevice } from './input.js';
+import { TouchControls, isTouchDevice } from './touch.js';
+import { GameCore, FIXED_TIMESTEP } from './core.js';
+import {
+  exportLevelJSON,
+  exportLevelASCII,
+  loadLevelJSON,
+  loadLevelASCII,
+  LevelFormatError,
+} from './levels.js';
+import { ChunkManager } from './chunks.js';
+import { LevelEditor } from './editor.js';
+import { Minimap } from './minimap.js';
+import { formatTime } from './timer.js';
+import { Leaderboard, HistoryFormatError, getRunConfig, getScore } from './leaderboard.js';
+import { RunRecorder, Ghost, getRecordingKey } from './recording.js';
+import { ReplayViewer } from './replay.js';
+import { AudioManager } from './audio.js';
+import {
+  loadSettings,
+  clampSetting,
+  limitFloors,
+  matchDifficulty,
+  SettingsPanel,
+  DIFFICULTY_PRESETS,
+} from './settings.js';
+
+// Level layouts: winding maze corridors, or BSP rooms joined by corridors
+const LAYOUTS = {
+  maze: { name: 'Maze', generator: MazeGenerator },
+  rooms: { name: 'Rooms & Corridors', generator: DungeonGenerator },
+};
+
+// Key i and the door it opens share colour i
+const KEY_COLORS = [0xffd700, 0x4aa8ff, 0xff5a5a];
+
+// For text from level files and the address bar that goes into markup
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
 
 class DungeonMaze {
   constructor() {
     // Game settings
-    this.mazeWidth = 21;  // Medium difficulty maze size
-    this.mazeHeight = 21;
     this.cellSize = 2;
     this.wallHeight = 3;
     this.playerHeight = 1.6;
 
-    // Game state
-    this.gameState = 'instructions'; // 'instructions', 'playing', 'completed'
-    this.startTime = null;
-    this.endTime = null;
+    // Player settings saved in localStorage; maze options in the URL win, so
+    // shared links rebuild the same maze
+    this.settings = loadSettings();
+    this.applyUrlSettings();
+
+    // Maze seed (null picks a random one), loaded from ?seed= when present
+    this.seed = this.getSeedFromUrl();
+    this.loops = this.getFractionFromUrl('loops');
+
+    // Imported level; replaces the generator until a new maze is requested
+    this.customLevel = null;
+
+    // Maze, player, run time and game state; everything below only draws it.
+    // Real time is fed to the core in fixed steps, the remainder carried over.
+    this.core = new GameCore({
+      cellSize: this.cellSize,
+      levelSpacing: this.wallHeight + 1,
+      wallHeight: this.wallHeight,
+      playerHeight: this.playerHeight,
+    });
+    this.accumulator = 0;
+
+    // Every finished run, in IndexedDB
+    this.leaderboard = new Leaderboard();
+
+    // Recording of the current run, and the ghost of the best one on this maze
+    this.recorder = new RunRecorder();
+    this.lastRecording = null;
+    this.ghost = null;
+    this.ghostKey = null;
 
     // Three.js components
     this.scene = null;
     this.camera = null;
     this.renderer = null;
+    this.input = null;
     this.controls = null;
+    this.touchControls = null;
+    this.touchMode = false;
     this.clock = null;
+    this.editor = null;
+    this.replayViewer = null;
+    this.minimap = null;
+    this.settingsPanel = null;
+    this.settingsReturnOverlay = null;
 
     // Maze components
     this.maze = null;
     this.mazeGenerator = null;
     this.exitLight = null;
     this.exitMesh = null;
-    this.torchLights = [];
+    this.exitGroup = null;
+
+    // Locked doors and their keys, rebuilt with the maze
+    this.doorGroup = null;
+    this.keyGroup = null;
 
-    // Hint system
+    // Enemy figures, one per enemy in the core, rebuilt every run
+    this.enemyGroup = null;
+    this.chunkManager = null;
+
+    // How the active hint is shown ('lantern', 'trail' or 'compass', or null
+    // with none active) and its lantern or breadcrumbs
+    this.hintMode = null;
     this.hintLantern = null;
     this.hintLight = null;
-    this.hintActive = false;
+    this.hintTrail = null;
 
-    // Audio system
-    this.audioContext = null;
-    this.audioStarted = false;
+    // Sound, all synthesized; starts with the first run
+    this.audio = new AudioManager();
 
     // DOM elements
     this.container = document.getElementById('game-container');
+    this.controlsList = document.getElementById('controls-list');
+    this.gamepadStatus = document.getElementById('gamepad-status');
     this.instructionsOverlay = document.getElementById('instructions-overlay');
     this.congratulationsOverlay = document.getElementById('congratulations-overlay');
     this.startButton = document.getElementById('start-button');
     this.restartButton = document.getElementById('restart-button');
+    this.replayButton = document.getElementById('replay-button');
+    this.pauseOverlay = document.getElementById('pause-overlay');
+    this.pauseTime = document.getElementById('pause-time');
+    this.resumeButton = document.getElementById('resume-button');
+    this.pauseReplayButton = document.getElementById('pause-replay-button');
+    this.pauseNewButton = document.getElementById('pause-new-button');
+    this.caughtOverlay = document.getElementById('caught-overlay');
+    this.caughtTime = document.getElementById('caught-time');
+    this.caughtRetryButton = document.getElementById('caught-retry-button');
+    this.caughtNewButton = document.getElementById('caught-new-button');
+    this.pauseSettingsButton = document.getElementById('pause-settings-button');
+    this.settingsOverlay = document.getElementById('settings-overlay');
+    this.settingsButton = document.getElementById('settings-button');
+    this.settingsBackButton = document.getElementById('settings-back');
+    this.runClock = document.getElementById('run-clock');
+    this.renderStats = document.getElementById('render-stats');
+    this.personalBest = document.getElementById('personal-best');
+    this.historyTable = document.getElementById('history-table');
+    this.exportHistoryButton = document.getElementById('export-history-button');
+    this.importHistoryButton = document.getElementById('import-history-button');
+    this.importHistoryInput = document.getElementById('import-history-input');
+    this.historyStatus = document.getElementById('history-status');
     this.completionStats = document.getElementById('completion-stats');
+    this.layoutSelect = document.getElementById('layout-select');
+    this.algorithmSelect = document.getElementById('algorithm-select');
+    this.floorIndicator = document.getElementById('floor-indicator');
+    this.hintIndicator = document.getElementById('hint-indicator');
+    this.hintCompass = document.getElementById('hint-compass');
+    this.hintCompassNeedle = document.getElementById('hint-compass-needle');
+    this.keyIndicator = document.getElementById('key-indicator');
+    this.staminaBar = document.getElementById('stamina-bar');
+    this.staminaFill = document.getElementById('stamina-fill');
+    this.exportJsonButton = document.getElementById('export-json-button');
+    this.exportAsciiButton = document.getElementById('export-ascii-button');
+    this.importButton = document.getElementById('import-button');
+    this.importInput = document.getElementById('import-input');
+    this.levelStatus = document.getElementById('level-status');
+    this.editorButton = document.getElementById('editor-button');
+    this.editLevelButton = document.getElementById('edit-level-button');
+    this.watchReplayButton = document.getElementById('watch-replay-button');
+    this.hud = document.getElementById('hud');
+    this.minimapCanvas = document.getElementById('minimap');
 
     // Initialize
     this.init();
   }
 
+  // 'instructions', 'playing', 'paused', 'completed', 'caught', 'editor', 'replay'
+  get gameState() {
+    return this.core.state;
+  }
+
   init() {
     this.setupRenderer();
     this.setupScene();
     this.setupCamera();
     this.setupLighting();
-    this.generateMaze();
     this.setupControls();
+    this.applySettings();
+    this.minimap = new Minimap(this.minimapCanvas, { cellSize: this.cellSize });
+    this.generateMaze();
+    this.editor = new LevelEditor(this);
+    this.replayViewer = new ReplayViewer(this);
+    this.ghost = new Ghost(this.playerHeight);
     this.setupEventListeners();
     this.animate();
   }
@@ -80,6 +217,11 @@ class DungeonMaze {
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(0x0a0a0f);
     this.scene.fog = new THREE.Fog(0x0a0a0f, 5, 45);
+
+    this.chunkManager = new ChunkManager(this.scene, {
+      cellSize: this.cellSize,
+      wallHeight: this.wallHeight,
+    });
   }
 
   setupCamera() {
@@ -121,169 +263,257 @@ class DungeonMaze {
     this.scene.add(this.camera);
   }
 
-  generateMaze() {
-    // Clear existing maze meshes
-    this.clearMaze();
+  getSeedFromUrl() {
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    return seed !== null && seed.trim() !== '' ? seed : null;
+  }
+
+  getFractionFromUrl(name) {
+    const value = parseFloat(new URLSearchParams(window.location.search).get(name));
+    return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+  }
 
-    // Generate maze layout
-    this.mazeGenerator = new MazeGenerator(this.mazeWidth, this.mazeHeight);
-    this.maze = this.mazeGenerator.generate();
+  applyUrlSettings() {
+    // Only overrides the settings for this visit; they are saved once the
+    // player changes something in the settings panel
+    const params = new URLSearchParams(window.location.search);
+    const settings = this.settings;
 
-    // Create materials
-    const wallMaterial = new THREE.MeshStandardMaterial({
-      color: 0x3a3a4a,
-      roughness: 0.9,
-      metalness: 0.1,
-    });
+    if (LAYOUTS[params.get('layout')]) {
+      settings.layout = params.get('layout');
+    } else if (!LAYOUTS[settings.layout]) {
+      settings.layout = 'maze';
+    }
+    if (MAZE_ALGORITHMS[params.get('algorithm')]) {
+      settings.algorithm = params.get('algorithm');
+    }
 
-    const floorMaterial = new THREE.MeshStandardMaterial({
-      color: 0x2a2a35,
-      roughness: 0.95,
-      metalness: 0.05,
-    });
+    const numbers = { size: 'mazeSize', floors: 'floors', braid: 'braid', doors: 'doors' };
+    for (const [param, key] of Object.entries(numbers)) {
+      const value = parseFloat(params.get(param));
+      if (Number.isFinite(value)) {
+        settings[key] = clampSetting(key, key === 'braid' ? value : Math.round(value));
+      }
+    }
+    limitFloors(settings);
 
-    const ceilingMaterial = new THREE.MeshStandardMaterial({
-      color: 0x1a1a25,
-      roughness: 1,
-      metalness: 0,
+    if (settings.difficulty !== 'custom') {
+      settings.difficulty = matchDifficulty(settings);
+    }
+  }
+
+  getShareUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', this.seed);
+    url.searchParams.set('size', this.settings.mazeSize);
+    url.searchParams.set('layout', this.settings.layout);
+    url.searchParams.set('algorithm', this.settings.algorithm);
+    url.searchParams.set('braid', this.settings.braid);
+    url.searchParams.set('loops', this.loops);
+    url.searchParams.set('floors', this.settings.floors);
+    url.searchParams.set('doors', this.settings.doors);
+    return url.toString();
+  }
+
+  applySettings() {
+    // View and control settings take effect straight away
+    this.scene.fog.far = this.settings.fogDistance;
+    this.chunkManager.setTextureTheme(this.settings.textureTheme);
+    this.renderStats.classList.toggle('hidden', !this.settings.showRenderStats);
+    this.camera.fov = this.settings.fov;
+    this.camera.updateProjectionMatrix();
+    this.controls.mouseSensitivity = this.settings.mouseSensitivity;
+    this.controls.invertY = this.settings.invertY;
+    this.input.setBindings(this.settings.bindings);
+    this.input.deadzone = this.settings.deadzone;
+    this.core.hintLimit = this.settings.hintLimit;
+    this.core.hintDuration = this.settings.hintDuration;
+    this.core.hintCooldown = this.settings.hintCooldown;
+    this.core.hintPenalty = this.settings.hintPenalty;
+    this.core.enemyCount = this.settings.enemies;
+    this.audio.setVolumes({
+      master: this.settings.masterVolume,
+      music: this.settings.musicVolume,
+      sfx: this.settings.sfxVolume,
     });
 
-    // Create floor
-    const floorGeometry = new THREE.PlaneGeometry(
-      this.mazeWidth * this.cellSize,
-      this.mazeHeight * this.cellSize
-    );
-    const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-    floor.rotation.x = -Math.PI / 2;
-    floor.position.set(
-      (this.mazeWidth * this.cellSize) / 2 - this.cellSize / 2,
-      0,
-      (this.mazeHeight * this.cellSize) / 2 - this.cellSize / 2
-    );
-    floor.receiveShadow = true;
-    this.scene.add(floor);
-
-    // Create ceiling
-    const ceiling = new THREE.Mesh(floorGeometry, ceilingMaterial);
-    ceiling.rotation.x = Math.PI / 2;
-    ceiling.position.set(
-      (this.mazeWidth * this.cellSize) / 2 - this.cellSize / 2,
-      this.wallHeight,
-      (this.mazeHeight * this.cellSize) / 2 - this.cellSize / 2
-    );
-    this.scene.add(ceiling);
+    this.renderControlsList();
+  }
 
-    // Create walls using instanced mesh for performance
-    const wallGeometry = new THREE.BoxGeometry(
-      this.cellSize,
-      this.wallHeight,
-      this.cellSize
-    );
+  renderControlsList() {
+    // On a touch screen, the on-screen controls instead
+    if (this.touchMode) {
+      this.renderControlRows([
+        { keys: ['Left Thumb'], label: 'Move' },
+        { keys: ['Push Past Rim'], label: INPUT_ACTIONS.sprint },
+        { keys: ['Crouch'], label: INPUT_ACTIONS.crouch },
+        { keys: ['Jump'], label: INPUT_ACTIONS.jump },
+        { keys: ['Right Thumb'], label: 'Look Around' },
+        { keys: ['Hint'], label: INPUT_ACTIONS.hint },
+        { keys: ['Map'], label: INPUT_ACTIONS.map },
+        { keys: ['Pause'], label: INPUT_ACTIONS.pause },
+      ]);
+      return;
+    }
 
-    let wallCount = 0;
-    for (let z = 0; z < this.mazeHeight; z++) {
-      for (let x = 0; x < this.mazeWidth; x++) {
-        if (this.maze[z][x] === 1) wallCount++;
+    // One row per action with its first keyboard and gamepad control; the
+    // four look actions share a row with the mouse
+    const bindings = this.settings.bindings;
+    const firstOn = (action, device) => bindings[action].find(code => getDevice(code) === device);
+    const rows = [];
+    for (const [action, label] of Object.entries(INPUT_ACTIONS)) {
+      if (action.startsWith('look')) {
+        if (action === 'lookLeft') {
+          const stick = firstOn('lookLeft', 'gamepad');
+          rows.push({ keys: ['Mouse', stick && formatBinding(stick).replace(/ \S+$/, '')], label: 'Look Around' });
+        }
+        continue;
       }
+      const keys = [firstOn(action, 'keyboard'), firstOn(action, 'gamepad')]
+        .filter(Boolean)
+        .map(formatBinding);
+      rows.push({ keys: keys.length > 0 ? keys : ['-'], label });
     }
+    this.renderControlRows(rows);
+  }
 
-    const wallMesh = new THREE.InstancedMesh(wallGeometry, wallMaterial, wallCount);
-    wallMesh.castShadow = true;
-    wallMesh.receiveShadow = true;
+  renderControlRows(rows) {
+    this.controlsList.innerHTML = '';
+    for (const { keys, label } of rows) {
+      const row = document.createElement('div');
+      row.className = 'control-row';
+      for (const text of keys.filter(Boolean)) {
+        const key = document.createElement('span');
+        key.className = 'key';
+        key.textContent = text;
+        row.appendChild(key);
+      }
+      const description = document.createElement('span');
+      description.className = 'description';
+      description.textContent = label;
+      row.appendChild(description);
+      this.controlsList.appendChild(row);
+    }
+  }
 
-    const matrix = new THREE.Matrix4();
-    let instanceIndex = 0;
+  onSettingsChange(keys) {
+    this.applySettings();
 
-    for (let z = 0; z < this.mazeHeight; z++) {
-      for (let x = 0; x < this.mazeWidth; x++) {
-        if (this.maze[z][x] === 1) {
-          matrix.setPosition(
-            x * this.cellSize,
-            this.wallHeight / 2,
-            z * this.cellSize
-          );
-          wallMesh.setMatrixAt(instanceIndex, matrix);
-          instanceIndex++;
-        }
+    // Maze options rebuild right away before the first run; mid-run they
+    // apply to the next maze
+    const mazeKeys = ['mazeSize', 'layout', 'algorithm', 'floors', 'braid', 'torchInterval', 'doors'];
+    if (this.gameState === 'instructions' && keys.some(key => mazeKeys.includes(key))) {
+      this.generateMaze();
+    }
+  }
+
+  generateMaze() {
+    // Generate maze layout, unless a level was imported
+    let failure = null;
+    if (this.customLevel) {
+      this.mazeGenerator = this.customLevel;
+      this.maze = this.mazeGenerator.generate();
+    } else {
+      try {
+        this.mazeGenerator = this.createGenerator(this.settings.floors);
+        this.maze = this.mazeGenerator.generate();
+      } catch (error) {
+        // Keep the game startable: a single floor always fits
+        failure = error;
+        this.mazeGenerator = this.createGenerator(1);
+        this.maze = this.mazeGenerator.generate();
+      }
+    }
+
+    // Every maze starts with the player at its start and a fresh hint allowance
+    this.core.setMaze(this.mazeGenerator);
+    this.updateHintIndicator();
+
+    // Keep the address bar pointing at the current maze so it can be shared
+    this.seed = this.mazeGenerator.getSeed();
+    if (!this.customLevel) {
+      window.history.replaceState(null, '', this.getShareUrl());
+
+      // Say so when the route had no room for every door asked for
+      const doors = this.mazeGenerator.getDoors().length;
+      let status = '';
+      if (this.mazeGenerator.getMissingDoors() > 0) {
+        status = doors === 0
+          ? 'No locked doors fit this layout'
+          : `Only ${doors} of ${this.settings.doors} locked doors fit this layout`;
       }
+      if (failure) {
+        status = `${failure.message}; playing a single floor instead`;
+      }
+      this.levelStatus.textContent = status;
+      this.levelStatus.classList.toggle('error', Boolean(failure));
     }
 
-    wallMesh.instanceMatrix.needsUpdate = true;
-    this.scene.add(wallMesh);
+    this.buildMazeScene();
+  }
+
+  createGenerator(floors) {
+    const settings = this.settings;
+    const Generator = LAYOUTS[settings.layout].generator;
+    return new Generator(settings.mazeSize, settings.mazeSize, {
+      seed: this.seed,
+      algorithm: settings.algorithm,
+      braid: settings.braid,
+      loops: this.loops,
+      floors,
+      torchInterval: settings.torchInterval,
+      doors: settings.doors,
+    });
+  }
 
-    // Add wall torches for atmosphere
-    this.addTorches();
+  // Builds the scene for this.mazeGenerator; shared by play and the level editor
+  buildMazeScene() {
+    // Clear existing maze meshes
+    this.clearMaze();
+
+    // The dungeon itself is built chunk by chunk around the player
+    const start = this.mazeGenerator.getStart();
+    this.chunkManager.setMaze(this.mazeGenerator, start.level);
 
-    // Create exit marker
+    // Create exit marker, doors and keys
     this.createExitMarker();
+    this.createDoorMeshes();
+    this.updateKeyIndicator();
+
+    // Fresh fog of war for the new layout
+    this.minimap.setMaze(this.mazeGenerator);
 
     // Set player starting position
-    const start = this.mazeGenerator.getStart();
     this.camera.position.set(
       start.x * this.cellSize,
-      this.playerHeight,
+      this.getLevelY(start.level) + this.playerHeight,
       start.z * this.cellSize
     );
+    this.setLevel(start.level);
   }
 
-  addTorches() {
-    // Clear existing torches
-    this.torchLights.forEach(light => this.scene.remove(light));
-    this.torchLights = [];
-
-    // Add torches at intervals along passages
-    const torchInterval = 6;
-
-    for (let z = 1; z < this.mazeHeight - 1; z += torchInterval) {
-      for (let x = 1; x < this.mazeWidth - 1; x += torchInterval) {
-        if (this.maze[z][x] === 0) {
-          // Check adjacent walls for torch placement
-          const positions = [
-            { dx: 1, dz: 0 },
-            { dx: -1, dz: 0 },
-            { dx: 0, dz: 1 },
-            { dx: 0, dz: -1 }
-          ];
-
-          for (const pos of positions) {
-            const checkX = x + pos.dx;
-            const checkZ = z + pos.dz;
-            if (
-              checkX >= 0 && checkX < this.mazeWidth &&
-              checkZ >= 0 && checkZ < this.mazeHeight &&
-              this.maze[checkZ][checkX] === 1
-            ) {
-              // Add torch light
-              const torchLight = new THREE.PointLight(0xff6622, 1.2, 10);
-              torchLight.position.set(
-                x * this.cellSize - pos.dx * 0.3,
-                this.wallHeight * 0.7,
-                z * this.cellSize - pos.dz * 0.3
-              );
-              this.scene.add(torchLight);
-              this.torchLights.push(torchLight);
-
-              // Add torch visual (small emissive box)
-              const torchGeometry = new THREE.BoxGeometry(0.1, 0.3, 0.1);
-              const torchMaterial = new THREE.MeshStandardMaterial({
-                color: 0x4a3520,
-                emissive: 0xff4400,
-                emissiveIntensity: 0.5,
-              });
-              const torch = new THREE.Mesh(torchGeometry, torchMaterial);
-              torch.position.copy(torchLight.position);
-              torch.position.y -= 0.2;
-              this.scene.add(torch);
-              break;
-            }
-          }
-        }
-      }
-    }
+  getLevelY(level) {
+    return this.chunkManager.getLevelY(level);
+  }
+
+  // Shows a floor; the core decides which one the player is on
+  setLevel(level) {
+    this.chunkManager.setLevel(level);
+    this.chunkManager.update(this.camera.position);
+
+    // The exit glow would shine through the floors above it
+    this.exitGroup.visible = level === this.mazeGenerator.getEnd().level;
+    this.updateDoorMeshes(level);
+
+    this.floorIndicator.textContent = this.mazeGenerator.getFloors() > 1
+      ? `Floor ${level + 1} / ${this.mazeGenerator.getFloors()}`
+      : '';
   }
 
   createExitMarker() {
     const end = this.mazeGenerator.getEnd();
+    const baseY = this.getLevelY(end.level);
+    this.exitGroup = new THREE.Group();
 
     // Glowing exit platform
     const exitGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.1, 16);
@@ -297,16 +527,16 @@ class DungeonMaze {
     this.exitMesh = new THREE.Mesh(exitGeometry, exitMaterial);
     this.exitMesh.position.set(
       end.x * this.cellSize,
-      0.05,
+      baseY + 0.05,
       end.z * this.cellSize
     );
-    this.scene.add(this.exitMesh);
+    this.exitGroup.add(this.exitMesh);
 
     // Exit light (green glow)
     this.exitLight = new THREE.PointLight(0x00ff88, 2, 8);
     this.exitLight.position.set(
       end.x * this.cellSize,
-      1,
+      baseY + 1,
       end.z * this.cellSize
     );
     this.scene.add(this.exitLight);
@@ -321,13 +551,158 @@ class DungeonMaze {
     const beam = new THREE.Mesh(beamGeometry, beamMaterial);
     beam.position.set(
       end.x * this.cellSize,
-      this.wallHeight / 2,
+      baseY + this.wallHeight / 2,
       end.z * this.cellSize
     );
-    this.scene.add(beam);
+    this.exitGroup.add(beam);
+    this.scene.add(this.exitGroup);
+  }
+
+  // A door slab across each locked door's corridor and a floating key for
+  // each key, in the colour they share
+  createDoorMeshes() {
+    this.doorGroup = new THREE.Group();
+    this.keyGroup = new THREE.Group();
+    const maze = this.mazeGenerator;
+
+    const doorGeometry = new THREE.BoxGeometry(this.cellSize, this.wallHeight, 0.3);
+    maze.getDoors().forEach((door, index) => {
+      const color = KEY_COLORS[index % KEY_COLORS.length];
+      const mesh = new THREE.Mesh(doorGeometry, new THREE.MeshStandardMaterial({
+        color: 0x5a3a1a,
+        emissive: color,
+        emissiveIntensity: 0.15,
+        roughness: 0.9,
+      }));
+      mesh.position.set(door.x * this.cellSize, this.getLevelY(door.level) + this.wallHeight / 2, door.z * this.cellSize);
+
+      // Face along the corridor: turned when it runs east to west
+      if (!maze.isWall(door.x - 1, door.z, door.level) && !maze.isWall(door.x + 1, door.z, door.level)) {
+        mesh.rotation.y = Math.PI / 2;
+      }
+      mesh.castShadow = true;
+      mesh.userData.level = door.level;
+      this.doorGroup.add(mesh);
+    });
+
+    const keyGeometry = new THREE.OctahedronGeometry(0.2);
+    maze.getKeys().forEach((key, index) => {
+      const color = KEY_COLORS[index % KEY_COLORS.length];
+      const mesh = new THREE.Mesh(keyGeometry, new THREE.MeshStandardMaterial({
+        color,
+        emissive: color,
+        emissiveIntensity: 0.6,
+        metalness: 0.8,
+        roughness: 0.3,
+      }));
+      mesh.position.set(key.x * this.cellSize, this.getLevelY(key.level) + 1, key.z * this.cellSize);
+      mesh.userData.level = key.level;
+      this.keyGroup.add(mesh);
+    });
+
+    this.scene.add(this.doorGroup);
+    this.scene.add(this.keyGroup);
+  }
+
+  // Shows the doors still locked and keys still lying on the floor in view
+  updateDoorMeshes(level) {
+    if (!this.doorGroup) return;
+    this.doorGroup.children.forEach((mesh, index) => {
+      mesh.visible = mesh.userData.level === level && !this.core.doorsOpen.has(index);
+    });
+    this.keyGroup.children.forEach((mesh, index) => {
+      mesh.visible = mesh.userData.level === level && !this.core.keysHeld.has(index);
+      mesh.rotation.y = Date.now() * 0.002;
+      mesh.position.y = this.getLevelY(mesh.userData.level) + 1 + Math.sin(Date.now() * 0.003 + index) * 0.1;
+    });
+  }
+
+  // One icon per key, filled once picked up
+  updateKeyIndicator() {
+    const keys = this.mazeGenerator.getKeys();
+    this.keyIndicator.replaceChildren(...keys.map((key, index) => {
+      const icon = document.createElement('span');
+      icon.className = 'key-icon';
+      icon.classList.toggle('held', this.core.keysHeld.has(index));
+      icon.classList.toggle('used', this.core.doorsOpen.has(index));
+      icon.style.color = `#${KEY_COLORS[index % KEY_COLORS.length].toString(16).padStart(6, '0')}`;
+      return icon;
+    }));
+  }
+
+  // A hunched shadow with glowing eyes for each of the core's enemies
+  createEnemyMeshes() {
+    this.removeEnemyMeshes();
+    this.enemyGroup = new THREE.Group();
+
+    const bodyGeometry = new THREE.ConeGeometry(0.4, 1.6, 8);
+    const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0x141414, roughness: 1 });
+    const eyeGeometry = new THREE.SphereGeometry(0.06, 8, 8);
+
+    for (const enemy of this.core.enemies) {
+      const figure = new THREE.Group();
+      const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+      body.position.y = -0.2;
+      figure.add(body);
+
+      // Eyes face -z, the way the enemy looks; each figure has its own
+      // material so the eyes can flare when it gives chase
+      const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xff5500 });
+      for (const side of [-1, 1]) {
+        const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        eye.position.set(side * 0.12, 0.3, -0.3);
+        figure.add(eye);
+      }
+      figure.userData.eyeMaterial = eyeMaterial;
+      this.enemyGroup.add(figure);
+    }
+    this.scene.add(this.enemyGroup);
+  }
+
+  removeEnemyMeshes() {
+    if (!this.enemyGroup) return;
+    this.scene.remove(this.enemyGroup);
+    this.enemyGroup.traverse(object => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+    });
+    this.enemyGroup = null;
+  }
+
+  updateEnemyMeshes() {
+    if (!this.enemyGroup) return;
+    const level = this.core.player.level;
+    this.core.enemies.forEach((enemy, index) => {
+      const figure = this.enemyGroup.children[index];
+      figure.visible = enemy.level === level;
+      figure.position.set(
+        enemy.x,
+        this.getLevelY(enemy.level) + 1 + Math.sin(Date.now() * 0.004 + index) * 0.05,
+        enemy.z
+      );
+      figure.rotation.y = enemy.yaw;
+      figure.userData.eyeMaterial.color.setHex(enemy.state === 'chase' ? 0xff0000 : 0xff5500);
+    });
   }
 
   clearMaze() {
+    // Dispose chunk geometry before dropping the scene graph
+    this.chunkManager.clear();
+    if (this.exitGroup) {
+      this.scene.remove(this.exitGroup);
+      this.scene.remove(this.exitLight);
+    }
+    if (this.doorGroup) {
+      // Doors share one geometry and keys another; each has its own material
+      for (const group of [this.doorGroup, this.keyGroup]) {
+        this.scene.remove(group);
+        if (group.children.length > 0) group.children[0].geometry.dispose();
+        group.children.forEach(mesh => mesh.material.dispose());
+      }
+      this.doorGroup = null;
+      this.keyGroup = null;
+    }
+
     // Remove all objects except camera and lights
     while (this.scene.children.length > 0) {
       const child = this.scene.children[0];
@@ -342,7 +717,57 @@ class DungeonMaze {
   }
 
   setupControls() {
-    this.controls = new FirstPersonControls(this.camera, document.body);
+    // Press actions act straight away; every control change is recorded for
+    // the replay's key overlay
+    this.input = new InputManager(this.settings.bindings, {
+      deadzone: this.settings.deadzone,
+      onAction: action => this.onInputAction(action),
+      onControl: (code, pressed) => {
+        if (this.gameState === 'playing') {
+          this.recorder.recordKey(this.core.time, code, pressed);
+        }
+      },
+    });
+    this.controls = new FirstPersonControls(document.body, this.input);
+
+    // Touch joystick and buttons, read like any other input device
+    this.touchControls = new TouchControls(
+      document.getElementById('touch-controls'),
+      this.controls,
+      action => this.onInputAction(action)
+    );
+    this.input.addSource(this.touchControls);
+
+    // Touch screens start in touch mode; anything else switches on its first touch
+    if (isTouchDevice()) {
+      this.setTouchMode(true);
+    }
+    window.addEventListener('touchstart', () => {
+      if (!this.touchMode) this.setTouchMode(true);
+    }, { passive: true });
+  }
+
+  // Touch mode plays without pointer lock, with the on-screen controls
+  setTouchMode(enabled) {
+    this.touchMode = enabled;
+    this.controls.usePointerLock = !enabled;
+    document.body.classList.toggle('touch-mode', enabled);
+    if (this.gameState === 'playing') {
+      this.controls.lock();
+      this.touchControls.setVisible(enabled);
+    }
+    this.renderControlsList();
+  }
+
+  onInputAction(action) {
+    if (this.gameState !== 'playing') return;
+    if (action === 'hint') {
+      this.showHint();
+    } else if (action === 'map') {
+      this.minimap.toggleMode();
+    } else if (action === 'pause') {
+      this.pauseGame();
+    }
   }
 
   setupEventListeners() {
@@ -352,109 +777,232 @@ class DungeonMaze {
     // Start button
     this.startButton.addEventListener('click', () => this.startGame());
 
-    // Restart button
+    // Fill the layout and algorithm pickers, then hand every option to the
+    // settings panel
+    for (const [key, layout] of Object.entries(LAYOUTS)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = layout.name;
+      this.layoutSelect.appendChild(option);
+    }
+    for (const [key, algorithm] of Object.entries(MAZE_ALGORITHMS)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = algorithm.name;
+      this.algorithmSelect.appendChild(option);
+    }
+    this.settingsPanel = new SettingsPanel(this.settings, this.input, keys => this.onSettingsChange(keys));
+
+    // Level import/export
+    this.exportJsonButton.addEventListener('click', () => {
+      const level = exportLevelJSON(this.mazeGenerator);
+      this.downloadFile(`maze-${this.seed}.json`, JSON.stringify(level, null, 2), 'application/json');
+    });
+    this.exportAsciiButton.addEventListener('click', () => {
+      this.downloadFile(`maze-${this.seed}.txt`, exportLevelASCII(this.mazeGenerator), 'text/plain');
+    });
+    this.importButton.addEventListener('click', () => this.importInput.click());
+    this.importInput.addEventListener('change', () => {
+      const file = this.importInput.files[0];
+      this.importInput.value = '';
+      if (file) {
+        file.text()
+          .then(text => this.importLevel(text, file.name))
+          .catch(error => {
+            this.levelStatus.textContent = `Could not load ${file.name}: ${error.message}`;
+            this.levelStatus.classList.add('error');
+          });
+      }
+    });
+
+    // Level editor, from the instructions or congratulations screen
+    this.editorButton.addEventListener('click', () => this.openEditor());
+    this.editLevelButton.addEventListener('click', () => this.openEditor());
+
+    // Replay of the run just finished
+    this.watchReplayButton.addEventListener('click', () => this.openReplay(this.lastRecording));
+
+    // Restart buttons: a fresh random maze, or the same seed again
     this.restartButton.addEventListener('click', () => this.restartGame());
+    this.replayButton.addEventListener('click', () => this.restartGame(true));
+
+    // Pause menu
+    this.resumeButton.addEventListener('click', () => this.resumeGame());
+    this.pauseReplayButton.addEventListener('click', () => this.restartGame(true));
+    this.pauseNewButton.addEventListener('click', () => this.restartGame());
+    this.pauseSettingsButton.addEventListener('click', () => this.openSettings(this.pauseOverlay));
+
+    // Caught by an enemy: the same maze again, or a new one
+    this.caughtRetryButton.addEventListener('click', () => this.restartGame(true));
+    this.caughtNewButton.addEventListener('click', () => this.restartGame());
+
+    // Run history export/import, in the settings
+    this.exportHistoryButton.addEventListener('click', () => this.exportHistory());
+    this.importHistoryButton.addEventListener('click', () => this.importHistoryInput.click());
+    this.importHistoryInput.addEventListener('change', () => {
+      const file = this.importHistoryInput.files[0];
+      this.importHistoryInput.value = '';
+      if (file) {
+        file.text().then(text => this.importHistory(text));
+      }
+    });
+
+    // Settings open over the menu they came from, and go back to it
+    this.settingsButton.addEventListener('click', () => this.openSettings(this.instructionsOverlay));
+    this.settingsBackButton.addEventListener('click', () => this.closeSettings());
 
-    // Pointer lock change
+    // Losing pointer lock (Escape, alt-tab) or hiding the tab pauses the run.
+    // Relocking too soon after Escape fails, so stay paused when it does.
+    // Touch mode has no pointer lock, and its pause button does the pausing.
     document.addEventListener('pointerlockchange', () => {
-      if (!document.pointerLockElement && this.gameState === 'playing') {
+      if (this.controls.usePointerLock && !document.pointerLockElement && this.gameState === 'playing') {
         this.pauseGame();
       }
     });
-
-    // Hint key listener
-    document.addEventListener('keydown', (event) => {
-      if (event.code === 'KeyH' && this.gameState === 'playing' && !this.hintActive) {
-        this.showHint();
+    document.addEventListener('pointerlockerror', () => {
+      if (this.controls.usePointerLock && this.gameState === 'playing') {
+        this.pauseGame();
+      }
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden && this.gameState === 'playing') {
+        this.pauseGame();
       }
     });
-  }
-
-  findPathToExit() {
-    // BFS pathfinding to find the path through the maze
-    const playerGridX = Math.round(this.camera.position.x / this.cellSize);
-    const playerGridZ = Math.round(this.camera.position.z / this.cellSize);
-    const end = this.mazeGenerator.getEnd();
 
-    // BFS queue: each item is {x, z, path}
-    const queue = [{ x: playerGridX, z: playerGridZ, path: [] }];
-    const visited = new Set();
-    visited.add(`${playerGridX},${playerGridZ}`);
+    // Browsers only reveal a gamepad once one of its buttons is pressed
+    window.addEventListener('gamepadconnected', event => this.updateGamepadStatus(event.gamepad));
+    window.addEventListener('gamepaddisconnected', () => {
+      this.updateGamepadStatus([...navigator.getGamepads()].find(pad => pad && pad.connected) || null);
+    });
+  }
 
-    const directions = [
-      { dx: 0, dz: -1 }, // North
-      { dx: 1, dz: 0 },  // East
-      { dx: 0, dz: 1 },  // South
-      { dx: -1, dz: 0 }  // West
-    ];
+  updateGamepadStatus(gamepad) {
+    this.gamepadStatus.textContent = gamepad
+      ? `Gamepad connected: ${gamepad.id}`
+      : 'No gamepad connected - press a button on one to use it';
+    this.gamepadStatus.classList.toggle('connected', Boolean(gamepad));
+  }
 
-    while (queue.length > 0) {
-      const current = queue.shift();
+  importLevel(text, fileName) {
+    try {
+      this.customLevel = text.trim().startsWith('{')
+        ? loadLevelJSON(text)
+        : loadLevelASCII(text, { name: fileName });
+    } catch (error) {
+      if (!(error instanceof LevelFormatError)) throw error;
+      this.levelStatus.textContent = error.message;
+      this.levelStatus.classList.add('error');
+      return;
+    }
 
-      // Check if we reached the exit
-      if (current.x === end.x && current.z === end.z) {
-        return current.path;
+    const name = this.customLevel.getMetadata().name || fileName;
+    this.levelStatus.textContent = `Loaded level: ${name}`;
+    this.levelStatus.classList.remove('error');
+    if (this.gameState === 'instructions') {
+      try {
+        this.generateMaze();
+      } catch (error) {
+        // Back to a generated maze rather than a half-built level
+        this.customLevel = null;
+        this.generateMaze();
+        throw error;
       }
+    }
+  }
 
-      // Explore neighbors
-      for (const dir of directions) {
-        const newX = current.x + dir.dx;
-        const newZ = current.z + dir.dz;
-        const key = `${newX},${newZ}`;
-
-        if (!visited.has(key) && !this.mazeGenerator.isWall(newX, newZ)) {
-          visited.add(key);
-          queue.push({
-            x: newX,
-            z: newZ,
-            path: [...current.path, { x: newX, z: newZ }]
-          });
-        }
+  openEditor() {
+    this.core.setState('editor');
+    this.controls.unlock();
+    this.touchControls.setVisible(false);
+    this.removeEnemyMeshes();
+    this.instructionsOverlay.classList.add('hidden');
+    this.congratulationsOverlay.classList.add('hidden');
+    this.hud.classList.add('editing');
+    this.editor.open(this.mazeGenerator);
+  }
+
+  closeEditor() {
+    // Keep the edits when they make a playable level
+    if (this.editor.hasChanges()) {
+      try {
+        this.customLevel = this.editor.getLevel();
+        this.editor.sourceMaze = this.customLevel;
+        this.levelStatus.textContent = 'Loaded level: Editor Level';
+        this.levelStatus.classList.remove('error');
+      } catch (error) {
+        if (!(error instanceof LevelFormatError)) throw error;
+        this.levelStatus.textContent = `Editor changes were not applied: ${error.message}`;
+        this.levelStatus.classList.add('error');
       }
     }
 
-    // No path found (shouldn't happen in a valid maze)
-    return [];
+    this.editor.close();
+    this.hud.classList.remove('editing');
+    this.generateMaze();
+    this.core.setState('instructions');
+    this.instructionsOverlay.classList.remove('hidden');
+  }
+
+  testPlay(level) {
+    // Drop into first person at the start of the level being edited
+    this.editor.close();
+    this.hud.classList.remove('editing');
+    this.customLevel = level;
+    this.levelStatus.textContent = 'Loaded level: Editor Level';
+    this.levelStatus.classList.remove('error');
+    this.generateMaze();
+    this.controls.yaw = 0;
+    this.controls.pitch = 0;
+    this.startGame();
+  }
+
+  downloadFile(fileName, contents, type) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  updateHintIndicator() {
+    // Charges left, when the difficulty limits hints, and the cooldown
+    const remaining = this.core.hintsRemaining();
+    const cooldown = Math.ceil(this.core.hint ? 0 : this.core.hintCooldownRemaining());
+    let text = remaining === Infinity ? '' : `Hints: ${remaining}`;
+    if (cooldown > 0 && remaining > 0) {
+      text = `${text || 'Hint'} (${cooldown}s)`;
+    }
+    if (this.hintIndicator.textContent !== text) {
+      this.hintIndicator.textContent = text;
+    }
+    this.hintIndicator.classList.toggle('empty', remaining === 0);
+    this.hintIndicator.classList.toggle('cooling', cooldown > 0);
   }
 
   showHint() {
-    if (this.hintActive) return;
-    this.hintActive = true;
-
-    // Find path through the maze to the exit
-    const path = this.findPathToExit();
-
-    let normX, normZ;
-
-    if (path.length > 0) {
-      // Get the next cell in the path (or a few steps ahead for better visibility)
-      const targetIndex = Math.min(2, path.length - 1);
-      const targetCell = path[targetIndex];
-      const targetX = targetCell.x * this.cellSize;
-      const targetZ = targetCell.z * this.cellSize;
-
-      // Calculate direction to the next path cell
-      const dirX = targetX - this.camera.position.x;
-      const dirZ = targetZ - this.camera.position.z;
-      const distance = Math.sqrt(dirX * dirX + dirZ * dirZ);
-      normX = dirX / distance;
-      normZ = dirZ / distance;
+    const hint = this.core.requestHint();
+    if (!hint) return;
+    this.updateHintIndicator();
+
+    this.hintMode = this.settings.hintMode;
+    if (this.hintMode === 'trail') {
+      this.showHintTrail(hint);
+    } else if (this.hintMode === 'compass') {
+      this.hintCompass.classList.remove('hidden');
+      this.updateHint();
     } else {
-      // Fallback to direct direction if no path found
-      const end = this.mazeGenerator.getEnd();
-      const exitX = end.x * this.cellSize;
-      const exitZ = end.z * this.cellSize;
-      const dirX = exitX - this.camera.position.x;
-      const dirZ = exitZ - this.camera.position.z;
-      const distance = Math.sqrt(dirX * dirX + dirZ * dirZ);
-      normX = dirX / distance;
-      normZ = dirZ / distance;
+      this.showHintLantern(hint);
     }
+  }
 
+  showHintLantern(hint) {
     // Position lantern in front of player, in direction of path
+    const player = this.core.player;
     const lanternDistance = 1.5;
-    const lanternX = this.camera.position.x + normX * lanternDistance;
-    const lanternZ = this.camera.position.z + normZ * lanternDistance;
+    const lanternX = player.x + hint.direction.x * lanternDistance;
+    const lanternZ = player.z + hint.direction.z * lanternDistance;
 
     // Create lantern group
     const lanternGroup = new THREE.Group();
@@ -494,7 +1042,7 @@ class DungeonMaze {
     lanternGroup.add(handle);
 
     // Position the lantern
-    lanternGroup.position.set(lanternX, this.playerHeight, lanternZ);
+    lanternGroup.position.set(lanternX, this.getLevelY(player.level) + this.playerHeight, lanternZ);
     this.scene.add(lanternGroup);
     this.hintLantern = lanternGroup;
 
@@ -502,203 +1050,487 @@ class DungeonMaze {
     this.hintLight = new THREE.PointLight(0x00ff88, 3, 10);
     this.hintLight.position.copy(lanternGroup.position);
     this.scene.add(this.hintLight);
+  }
 
-    // Store start time for duration
-    this.hintStartTime = Date.now();
+  // Glowing stones on the floor of the next cells of the route, up to the
+  // stairs when it changes floor
+  showHintTrail(hint) {
+    const player = this.core.player;
+    const cells = [];
+    for (const cell of hint.path) {
+      if (cell.level !== player.level || cells.length === 8) break;
+      cells.push(cell);
+    }
+
+    this.hintTrail = new THREE.Group();
+    const geometry = new THREE.SphereGeometry(0.08, 8, 8);
+    const material = new THREE.MeshBasicMaterial({ color: 0x00ff88, transparent: true, opacity: 0.9 });
+    const baseY = this.getLevelY(player.level);
+    for (const cell of cells) {
+      const crumb = new THREE.Mesh(geometry, material);
+      crumb.position.set(cell.x * this.cellSize, baseY + 0.1, cell.z * this.cellSize);
+      this.hintTrail.add(crumb);
+    }
+    this.scene.add(this.hintTrail);
   }
 
   updateHint() {
-    if (!this.hintActive || !this.hintLantern) return;
+    if (!this.hintMode) return;
 
-    const elapsed = (Date.now() - this.hintStartTime) / 1000;
-    const duration = 3; // seconds
+    // The core ends the hint after its duration, in run time so pausing holds it
+    if (!this.core.hint) {
+      this.removeHint();
+      return;
+    }
 
-    if (elapsed >= duration) {
-      // Remove hint
+    const elapsed = this.core.time - this.core.hint.startedAt;
+    if (this.hintMode === 'lantern') {
+      // Gentle pulsing glow effect
+      const pulse = 1 + Math.sin(elapsed * 5) * 0.2;
+      this.hintLight.intensity = 3 * pulse;
+    } else if (this.hintMode === 'trail') {
+      // A ripple running along the trail, away from the player
+      this.hintTrail.children.forEach((crumb, index) => {
+        crumb.scale.setScalar(1 + Math.max(0, Math.sin(elapsed * 6 - index * 0.8)) * 0.6);
+      });
+    } else {
+      // Needle angle relative to where the player looks; the core keeps the
+      // direction following the route as they walk
+      const { direction } = this.core.hint;
+      const angle = Math.atan2(-direction.x, -direction.z) - this.core.player.yaw;
+      this.hintCompassNeedle.style.transform = `rotate(${-angle}rad)`;
+    }
+  }
+
+  removeHint() {
+    if (!this.hintMode) return;
+    if (this.hintLantern) {
       this.scene.remove(this.hintLantern);
       this.scene.remove(this.hintLight);
-      this.hintLantern = null;
-      this.hintLight = null;
-      this.hintActive = false;
-      return;
     }
+    if (this.hintTrail) {
+      this.scene.remove(this.hintTrail);
+      this.hintTrail.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+      });
+    }
+    this.hintCompass.classList.add('hidden');
+    this.hintMode = null;
+    this.hintLantern = null;
+    this.hintLight = null;
+    this.hintTrail = null;
+  }
 
-    // Gentle pulsing glow effect
-    const pulse = 1 + Math.sin(elapsed * 5) * 0.2;
-    this.hintLight.intensity = 3 * pulse;
-  }
-
-  playCongratulatoryJingle() {
-    // Create audio context
-    const ctx = new (window.AudioContext || window.webkitAudioContext)();
-
-    // Master gain
-    const masterGain = ctx.createGain();
-    masterGain.gain.value = 0.4;
-    masterGain.connect(ctx.destination);
-
-    // Happy jingle notes (C major arpeggio with triumphant ending)
-    const notes = [
-      { freq: 523.25, start: 0, duration: 0.15 },    // C5
-      { freq: 659.25, start: 0.15, duration: 0.15 }, // E5
-      { freq: 783.99, start: 0.3, duration: 0.15 },  // G5
-      { freq: 1046.50, start: 0.45, duration: 0.3 }, // C6
-      { freq: 783.99, start: 0.75, duration: 0.15 }, // G5
-      { freq: 1046.50, start: 0.9, duration: 0.5 },  // C6 (long)
-    ];
-
-    notes.forEach(note => {
-      // Main tone
-      const osc = ctx.createOscillator();
-      osc.type = 'sine';
-      osc.frequency.value = note.freq;
-
-      // Harmony (fifth above)
-      const oscHarmony = ctx.createOscillator();
-      oscHarmony.type = 'sine';
-      oscHarmony.frequency.value = note.freq * 1.5;
-
-      // Envelope
-      const envelope = ctx.createGain();
-      envelope.gain.setValueAtTime(0, ctx.currentTime + note.start);
-      envelope.gain.linearRampToValueAtTime(0.3, ctx.currentTime + note.start + 0.05);
-      envelope.gain.linearRampToValueAtTime(0, ctx.currentTime + note.start + note.duration);
-
-      const harmonyEnvelope = ctx.createGain();
-      harmonyEnvelope.gain.setValueAtTime(0, ctx.currentTime + note.start);
-      harmonyEnvelope.gain.linearRampToValueAtTime(0.1, ctx.currentTime + note.start + 0.05);
-      harmonyEnvelope.gain.linearRampToValueAtTime(0, ctx.currentTime + note.start + note.duration);
-
-      osc.connect(envelope);
-      envelope.connect(masterGain);
-      oscHarmony.connect(harmonyEnvelope);
-      harmonyEnvelope.connect(masterGain);
-
-      osc.start(ctx.currentTime + note.start);
-      osc.stop(ctx.currentTime + note.start + note.duration + 0.1);
-      oscHarmony.start(ctx.currentTime + note.start);
-      oscHarmony.stop(ctx.currentTime + note.start + note.duration + 0.1);
-    });
+  startGame() {
+    this.core.start();
+    this.accumulator = 0;
+    this.removeHint();
+    this.createEnemyMeshes();
+    this.updateDoorMeshes(this.core.player.level);
+    this.updateKeyIndicator();
+    this.syncCamera();
+    this.recorder.start();
+    this.loadGhost();
+    this.updateRunClock();
+    this.instructionsOverlay.classList.add('hidden');
+    this.controls.lock();
+    this.touchControls.setVisible(this.touchMode);
+
+    // Started from a click or key press, so the browser lets it play
+    this.audio.start();
+  }
+
+  pauseGame() {
+    // Freeze the run: animate() stops stepping the core, so run time stops too
+    this.core.pause();
+    this.controls.stop();
+    this.controls.unlock();
+    this.touchControls.setVisible(false);
+    this.pauseTime.textContent = formatTime(this.core.time);
+    this.pauseOverlay.classList.remove('hidden');
+  }
+
+  resumeGame() {
+    this.core.resume();
+    this.accumulator = 0;
+    this.pauseOverlay.classList.add('hidden');
+    this.controls.lock();
+    this.touchControls.setVisible(this.touchMode);
+  }
+
+  openSettings(returnOverlay) {
+    this.settingsReturnOverlay = returnOverlay;
+    returnOverlay.classList.add('hidden');
+    this.settingsOverlay.classList.remove('hidden');
+  }
+
+  closeSettings() {
+    this.settingsPanel.stopRebinding();
+    this.settingsPanel.render();
+    this.settingsOverlay.classList.add('hidden');
+    this.settingsReturnOverlay.classList.remove('hidden');
+  }
+
+  // What identifies the current maze in run records and recordings
+  getMazeInfo() {
+    const maze = this.mazeGenerator;
+    const info = {
+      seed: this.customLevel ? null : this.seed,
+      level: this.customLevel ? this.customLevel.getMetadata().name || 'Custom' : null,
+      layout: this.customLevel ? 'custom' : this.settings.layout,
+      algorithm: maze.getAlgorithm(),
+      width: maze.getWidth(),
+      height: maze.getHeight(),
+      floors: maze.getFloors(),
+      braid: maze.getBraid(),
+      doors: maze.getDoors().length,
+    };
+    info.config = getRunConfig(info);
+    return info;
+  }
+
+  createRunRecord() {
+    const maze = this.mazeGenerator;
+    // Shortest route from the start, fetching the keys on the way
+    const optimalLength = this.core.findPathToExit(maze.getStart(), new Set()).length;
+    const actualLength = Math.max(this.core.stats.steps, optimalLength);
+    return {
+      finishedAt: new Date().toISOString(),
+      ...this.getMazeInfo(),
+      difficulty: this.settings.difficulty,
+      time: Math.round(this.core.time * 10) / 10,
+      distance: Math.round(this.core.stats.distance * 10) / 10,
+      hintsUsed: this.core.hintsUsed,
+      penalty: this.core.getPenalty(),
+      cellsExplored: this.minimap.exploredOpen,
+      openCells: this.minimap.totalOpen,
+      optimalLength,
+      actualLength,
+      pathRatio: actualLength > 0 ? Math.round((optimalLength / actualLength) * 100) / 100 : 1,
+    };
+  }
+
+  loadGhost() {
+    // Race the fastest recorded run on this maze and seed, if there is one
+    const { config, seed } = this.getMazeInfo();
+    const key = getRecordingKey(config, seed);
+    this.ghostKey = key;
+    this.ghost.clear();
+
+    this.leaderboard.getRecording(key)
+      .then(recording => {
+        // The player may have moved on to another maze while this loaded
+        if (recording && this.ghostKey === key) {
+          this.ghost.setRecording(recording);
+          this.scene.add(this.ghost.group);
+        }
+      })
+      .catch(() => {
+        // No run history in this browser, so no ghost
+      });
+  }
 
-    // Add a cheerful shimmer/sparkle effect
-    for (let i = 0; i < 8; i++) {
-      const sparkle = ctx.createOscillator();
-      sparkle.type = 'sine';
-      sparkle.frequency.value = 2000 + Math.random() * 2000;
+  openReplay(recording) {
+    this.core.setState('replay');
+    this.congratulationsOverlay.classList.add('hidden');
+    this.removeEnemyMeshes();
+    this.hud.classList.add('replaying');
+    this.replayViewer.open(recording);
+  }
 
-      const sparkleGain = ctx.createGain();
-      const startTime = ctx.currentTime + 0.9 + i * 0.05;
-      sparkleGain.gain.setValueAtTime(0, startTime);
-      sparkleGain.gain.linearRampToValueAtTime(0.08, startTime + 0.02);
-      sparkleGain.gain.linearRampToValueAtTime(0, startTime + 0.15);
+  closeReplay() {
+    this.replayViewer.close();
+    this.hud.classList.remove('replaying');
+    this.core.setState('completed');
+    this.congratulationsOverlay.classList.remove('hidden');
+  }
 
-      sparkle.connect(sparkleGain);
-      sparkleGain.connect(masterGain);
+  describeRun(run) {
+    if (run.level) {
+      return run.level;
+    }
+    const name = run.layout === 'maze'
+      ? (MAZE_ALGORITHMS[run.algorithm] ? MAZE_ALGORITHMS[run.algorithm].name : run.algorithm)
+      : (LAYOUTS[run.layout] ? LAYOUTS[run.layout].name : run.layout);
+    let description = `${run.width}×${run.height} ${name}`;
+    if (run.floors > 1) description += `, ${run.floors} floors`;
+    if (run.braid > 0) description += `, ${Math.round(run.braid * 100)}% braid`;
+    if (run.doors > 0) description += `, ${run.doors} door${run.doors > 1 ? 's' : ''}`;
+    return description;
+  }
+
+  recordRun(run) {
+    this.personalBest.textContent = '';
+    this.historyTable.innerHTML = '';
+
+    this.leaderboard.addRun(run)
+      .then(saved => {
+        // Losing the ghost recording shouldn't hide the run's history
+        this.leaderboard.saveRecording(this.lastRecording)
+          .catch(error => console.warn('Run recording not saved:', error));
+        return this.showHistory(saved);
+      })
+      .catch(error => {
+        console.warn('Run history unavailable:', error);
+        this.personalBest.textContent = 'Run history is not available in this browser.';
+      });
+  }
 
-      sparkle.start(startTime);
-      sparkle.stop(startTime + 0.2);
+  async showHistory(current) {
+    const runs = await this.leaderboard.getRuns();
+    const bests = await this.leaderboard.getPersonalBests();
+
+    const best = bests.get(current.config);
+    const previousRuns = runs.filter(run => run.config === current.config).length - 1;
+    if (best.id === current.id) {
+      this.personalBest.textContent = previousRuns > 0
+        ? 'New personal best!'
+        : 'First run on this maze type - a new personal best!';
+    } else {
+      this.personalBest.textContent = `Personal best: ${formatTime(getScore(best))}`;
     }
 
-    // Close context after jingle finishes
-    setTimeout(() => ctx.close(), 2000);
+    // Personal bests per maze type, then the most recent runs
+    const bestRows = [...bests.values()]
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+      .map(run => ({
+        cells: [
+          this.describeRun(run),
+          formatTime(getScore(run)),
+          runs.filter(other => other.config === run.config).length,
+        ],
+      }));
+    const recentRows = runs.slice(0, 10).map(run => ({
+      cells: [
+        new Date(run.finishedAt).toLocaleDateString(),
+        this.describeRun(run),
+        formatTime(getScore(run)),
+        `${Math.round(run.distance)}m`,
+        run.penalty ? `${run.hintsUsed} (+${run.penalty}s)` : run.hintsUsed,
+        `${Math.round((run.cellsExplored / Math.max(1, run.openCells)) * 100)}%`,
+        `${Math.round(run.pathRatio * 100)}%`,
+      ],
+      className: run.id === current.id ? 'current' : '',
+    }));
+
+    this.historyTable.innerHTML = '';
+    this.appendHistoryTable('Personal Bests', ['Maze', 'Best', 'Runs'], bestRows);
+    this.appendHistoryTable('Recent Runs', ['Date', 'Maze', 'Time', 'Walked', 'Hints', 'Explored', 'Route'], recentRows);
   }
 
-  startGame() {
-    this.gameState = 'playing';
-    this.startTime = Date.now();
-    this.instructionsOverlay.classList.add('hidden');
-    this.controls.lock();
+  // Cells are set as text: level names come from level and history files
+  appendHistoryTable(title, headings, rows) {
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    const table = document.createElement('table');
+
+    const headingRow = document.createElement('tr');
+    for (const text of headings) {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      headingRow.appendChild(cell);
+    }
+    table.appendChild(headingRow);
+
+    for (const { cells, className } of rows) {
+      const row = document.createElement('tr');
+      if (className) row.className = className;
+      for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      table.appendChild(row);
+    }
+
+    this.historyTable.appendChild(heading);
+    this.historyTable.appendChild(table);
   }
 
-  pauseGame() {
-    // Show instructions overlay when paused
-    if (this.gameState === 'playing') {
-      this.instructionsOverlay.classList.remove('hidden');
+  exportHistory() {
+    this.leaderboard.exportJSON()
+      .then(history => {
+        this.downloadFile('dungeon-maze-history.json', JSON.stringify(history, null, 2), 'application/json');
+        this.historyStatus.textContent = `Exported ${history.runs.length} runs`;
+        this.historyStatus.classList.remove('error');
+      })
+      .catch(error => {
+        this.historyStatus.textContent = `Export failed: ${error.message}`;
+        this.historyStatus.classList.add('error');
+      });
+  }
+
+  importHistory(text) {
+    this.leaderboard.importJSON(text)
+      .then(added => {
+        this.historyStatus.textContent = `Imported ${added} new runs`;
+        this.historyStatus.classList.remove('error');
+      })
+      .catch(error => {
+        if (!(error instanceof HistoryFormatError)) {
+          console.warn('Run history unavailable:', error);
+        }
+        this.historyStatus.textContent = `Import failed: ${error.message}`;
+        this.historyStatus.classList.add('error');
+      });
+  }
+
+  updateStaminaBar() {
+    const player = this.core.player;
+    this.staminaFill.style.width = `${Math.round(player.stamina * 100)}%`;
+    this.staminaBar.classList.toggle('full', player.stamina === 1);
+    this.staminaBar.classList.toggle('exhausted', player.exhausted);
+  }
+
+  updateRunClock() {
+    let time = formatTime(this.core.time);
+    const penalty = this.core.getPenalty();
+    if (penalty > 0) {
+      time += ` +${penalty}s`;
+    }
+    if (this.ghost.recording) {
+      time += ` / ghost ${formatTime(this.ghost.recording.time)}`;
+    }
+    if (this.runClock.textContent !== time) {
+      this.runClock.textContent = time;
     }
   }
 
-  restartGame() {
+  // Triangles in the loaded chunks, against what a box per wall cell would
+  // take, while the setting is on
+  updateRenderStats() {
+    if (!this.settings.showRenderStats) return;
+
+    const counts = this.chunkManager.getTriangleCounts();
+    const text = `${counts.merged.toLocaleString()} triangles (${counts.boxes.toLocaleString()} as boxes)`;
+    if (this.renderStats.textContent !== text) {
+      this.renderStats.textContent = text;
+    }
+  }
+
+  restartGame(sameSeed = false) {
     this.congratulationsOverlay.classList.add('hidden');
+    this.pauseOverlay.classList.add('hidden');
+    this.caughtOverlay.classList.add('hidden');
+    if (!sameSeed) {
+      this.seed = null;
+      this.customLevel = null;
+      this.levelStatus.textContent = '';
+    }
     this.generateMaze();
     this.controls.yaw = 0;
     this.controls.pitch = 0;
-    this.controls.updateCameraRotation();
     this.startGame();
   }
 
+  // An enemy ended the run. Caught runs aren't recorded; only escapes count.
+  catchPlayer() {
+    this.controls.stop();
+    this.controls.unlock();
+    this.touchControls.setVisible(false);
+    this.removeHint();
+    this.caughtTime.textContent = formatTime(this.core.time);
+    this.caughtOverlay.classList.remove('hidden');
+  }
+
   completeGame() {
-    this.gameState = 'completed';
-    this.endTime = Date.now();
+    this.core.setState('completed');
     this.controls.unlock();
+    this.touchControls.setVisible(false);
 
     // Play congratulatory jingle
-    this.playCongratulatoryJingle();
+    this.audio.playJingle();
 
-    // Calculate completion time
-    const totalTime = Math.floor((this.endTime - this.startTime) / 1000);
-    const minutes = Math.floor(totalTime / 60);
-    const seconds = totalTime % 60;
+    const difficulty = DIFFICULTY_PRESETS[this.settings.difficulty];
+
+    const run = this.createRunRecord();
+    this.lastRecording = this.recorder.finish(run.config, run.seed, run.time, run.penalty);
+    this.ghostKey = null;
+    this.ghost.clear();
 
     // Display stats
+    const penalty = this.core.getPenalty();
     this.completionStats.innerHTML = `
-      <p>Time: <span>${minutes}:${seconds.toString().padStart(2, '0')}</span></p>
+      <p>Time: <span>${formatTime(this.core.time)}</span></p>
+      ${penalty > 0 ? `
+        <p>Hint Penalty: <span>+${formatTime(penalty)}</span></p>
+        <p>Final Time: <span>${formatTime(getScore(run))}</span></p>
+      ` : ''}
+      ${this.customLevel
+        ? `<p>Level: <span>${escapeHtml(this.customLevel.getMetadata().name || 'Custom')}</span></p>`
+        : `
+          <p>Difficulty: <span>${difficulty ? difficulty.name : 'Custom'}</span></p>
+          <p>Layout: <span>${LAYOUTS[this.settings.layout].name}</span></p>
+        `}
+      ${this.settings.layout === 'maze' && !this.customLevel ? `
+        <p>Algorithm: <span>${MAZE_ALGORITHMS[this.mazeGenerator.getAlgorithm()].name}</span></p>
+        <p>Dead Ends Removed: <span>${Math.round(this.mazeGenerator.getBraid() * 100)}%</span></p>
+      ` : ''}
+      <p>Floors: <span>${this.mazeGenerator.getFloors()}</span></p>
+      <p>Explored: <span>${Math.round(this.minimap.getCoverage() * 100)}%</span></p>
+      <p>Hints Used: <span>${this.core.hintsUsed}</span></p>
+      <p>Distance Walked: <span>${Math.round(run.distance)}m</span></p>
+      <p>Route Efficiency: <span>${Math.round(run.pathRatio * 100)}%</span></p>
+      ${this.customLevel ? '' : `
+        <p>Seed: <span>${escapeHtml(this.seed)}</span></p>
+        <p><a href="${escapeHtml(this.getShareUrl())}" class="seed-link">Share this maze</a></p>
+      `}
     `;
 
     this.congratulationsOverlay.classList.remove('hidden');
+    this.recordRun(run);
   }
 
-  checkCollision(position, radius) {
-    // Convert world position to grid coordinates
-    const gridX = Math.round(position.x / this.cellSize);
-    const gridZ = Math.round(position.z / this.cellSize);
-
-    // Check surrounding cells
-    for (let dz = -1; dz <= 1; dz++) {
-      for (let dx = -1; dx <= 1; dx++) {
-        const checkX = gridX + dx;
-        const checkZ = gridZ + dz;
-
-        if (this.mazeGenerator.isWall(checkX, checkZ)) {
-          // Calculate wall bounds
-          const wallMinX = checkX * this.cellSize - this.cellSize / 2;
-          const wallMaxX = checkX * this.cellSize + this.cellSize / 2;
-          const wallMinZ = checkZ * this.cellSize - this.cellSize / 2;
-          const wallMaxZ = checkZ * this.cellSize + this.cellSize / 2;
-
-          // Check collision with wall
-          const closestX = Math.max(wallMinX, Math.min(position.x, wallMaxX));
-          const closestZ = Math.max(wallMinZ, Math.min(position.z, wallMaxZ));
-
-          const distanceX = position.x - closestX;
-          const distanceZ = position.z - closestZ;
-          const distance = Math.sqrt(distanceX * distanceX + distanceZ * distanceZ);
+  // The camera is the player's eyes; the core decides where they are
+  syncCamera() {
+    const player = this.core.player;
+    this.camera.position.set(player.x, player.y, player.z);
+    this.camera.rotation.set(player.pitch, player.yaw, 0, 'YXZ');
+  }
 
-          if (distance < radius) {
-            return true;
-          }
-        }
+  handleCoreEvents(events) {
+    for (const event of events) {
+      if (event.type === 'level') {
+        this.syncCamera();
+        this.setLevel(event.level);
+      } else if (event.type === 'hintEnded') {
+        this.removeHint();
+      } else if (event.type === 'keyCollected' || event.type === 'doorUnlocked') {
+        this.updateKeyIndicator();
+      } else if (event.type === 'caught') {
+        this.catchPlayer();
+      } else if (event.type === 'completed') {
+        this.completeGame();
       }
     }
-
-    return false;
   }
 
-  checkExit() {
-    const end = this.mazeGenerator.getEnd();
-    const exitX = end.x * this.cellSize;
-    const exitZ = end.z * this.cellSize;
-
-    const dx = this.camera.position.x - exitX;
-    const dz = this.camera.position.z - exitZ;
-    const distance = Math.sqrt(dx * dx + dz * dz);
-
-    return distance < 0.8;
+  // The listener rides with the camera; torches crackle from the lit ones
+  updateAudio(delta) {
+    const player = this.core.player;
+    const torches = this.chunkManager.torchLights
+      .filter(light => light.position.y > -100) // not parked
+      .map(light => light.position);
+    this.audio.update(delta, {
+      position: this.camera.position,
+      yaw: player.yaw,
+      speed: Math.hypot(player.velocityX, player.velocityZ) / this.core.moveSpeed,
+      grounded: player.jumpY === 0,
+      crouching: player.crouching,
+      sprinting: player.sprinting,
+      torches,
+      exit: this.exitGroup.visible ? this.exitLight.position : null,
+    });
   }
 
   onWindowResize() {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.editor.onResize();
+    this.replayViewer.onResize();
+    this.minimap.setMode(this.minimap.mode);
   }
 
   animate() {
@@ -706,30 +1538,81 @@ class DungeonMaze {
 
     const delta = this.clock.getDelta();
 
-    if (this.gameState === 'playing') {
-      // Update controls with collision detection
-      this.controls.update(delta, (pos, radius) => this.checkCollision(pos, radius));
+    // Gamepads can only be polled
+    this.input.update();
 
-      // Check if player reached exit
-      if (this.checkExit()) {
-        this.completeGame();
+    if (this.gameState === 'playing') {
+      this.controls.update(delta);
+
+      // Step the core in fixed increments; a long stall (tab switch,
+      // breakpoint) is dropped rather than replayed
+      this.accumulator += Math.min(delta, 0.25);
+      while (this.accumulator >= FIXED_TIMESTEP && this.gameState === 'playing') {
+        this.accumulator -= FIXED_TIMESTEP;
+        const events = this.core.step(this.controls.getInput(), FIXED_TIMESTEP);
+
+        // Record every tick, including the one that reaches the exit
+        const player = this.core.player;
+        this.recorder.record(this.core.time, player, player.yaw, player.pitch, player.level);
+        this.handleCoreEvents(events);
       }
+    }
+
+    if (this.gameState === 'playing') {
+      const player = this.core.player;
+      this.syncCamera();
+
+      // Move the ghost of the best run in step
+      this.ghost.update(this.core.time, player.level);
+      this.updateEnemyMeshes();
+      this.updateDoorMeshes(player.level);
+
+      // Stream dungeon chunks in and out around the player
+      this.chunkManager.update(this.camera.position);
+
+      // Reveal what the player can see and redraw the map
+      this.minimap.update(player, player.level);
+      const keys = this.mazeGenerator.getKeys().filter((key, index) => !this.core.keysHeld.has(index));
+      this.minimap.draw(player, player.yaw, player.level, keys);
 
       // Animate exit light
       if (this.exitLight) {
-        this.exitLight.intensity = 1.5 + Math.sin(Date.now() * 0.003) * 0.5;
+        this.exitLight.intensity = this.exitGroup.visible
+          ? 1.5 + Math.sin(Date.now() * 0.003) * 0.5
+          : 0;
       }
 
       // Animate torch lights (flicker effect)
-      this.torchLights.forEach((light, index) => {
+      this.chunkManager.torchLights.forEach((light, index) => {
         light.intensity = 1.0 + Math.sin(Date.now() * 0.01 + index) * 0.3;
       });
 
-      // Update hint lantern animation
+      this.updateAudio(delta);
+
+      // Animate the hint, and count down its cooldown
       this.updateHint();
+      this.updateHintIndicator();
+
+      // Live clock of active play time
+      this.updateRunClock();
+      this.updateStaminaBar();
+      this.updateRenderStats();
     }
 
-    this.renderer.render(this.scene, this.camera);
+    // Dungeon sounds only during play; they fade out for menus and pauses
+    this.audio.setWorldActive(this.gameState === 'playing');
+
+    if (this.gameState === 'replay') {
+      this.replayViewer.update(delta);
+    }
+
+    let camera = this.camera;
+    if (this.gameState === 'editor') {
+      camera = this.editor.camera;
+    } else if (this.gameState === 'replay') {
+      camera = this.replayViewer.getCamera();
+    }
+    this.renderer.render(this.scene, camera);
   }
 }
 
@@ -0,0 +1,453 @@
+// Audio Module: every sound in the game, synthesized with Web Audio
+//
+// One AudioContext serves the whole game. Browsers keep audio off until the
+// page is interacted with, so it is created on the first start() from a
+// click. Sounds are mixed on three buses, each with its own volume:
+//
+//   master ─┬─ music: the dungeon ambience, dripping water, the exit jingle
+//           └─ sfx:   footsteps, torch crackle, the exit hum
+//
+// Torches and the exit are placed with PannerNodes, so they come from where
+// they are and fade with distance as the listener, the player's head, moves
+// past. Nothing is downloaded; every sound is built from oscillators and
+// noise.
+
+// Crackling torches heard at once; like the light pool, the nearest ones
+const TORCH_VOICES = 6;
+
+// Loop levels, before the bus volumes
+const AMBIENCE_LEVEL = 0.5;
+const TORCH_LEVEL = 0.6;
+const EXIT_HUM_LEVEL = 0.5;
+
+// Seconds for loops to fade in and out
+const FADE_TIME = 0.3;
+
+export class AudioManager {
+  constructor() {
+    this.context = null;
+    this.volumes = { master: 0.8, music: 0.5, sfx: 0.8 };
+    this.buses = null;       // { master, music, sfx } gain nodes
+    this.noiseBuffer = null; // two seconds of white noise, shared
+
+    // Loops, built with the context
+    this.ambience = null;    // gain node
+    this.torchVoices = [];   // { panner, gain }
+    this.exitHum = null;     // { panner, gain }
+
+    // Whether the loops are playing: only while a run is
+    this.worldActive = false;
+
+    this.footstepPhase = 0; // 0 to 1 through the current stride
+    this.dripTimer = 3;     // seconds to the next drip
+  }
+
+  // Creates the context the first time and wakes it up after; call it from a
+  // click or key press. Returns false where there is no Web Audio.
+  start() {
+    if (!this.context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return false;
+
+      this.context = new AudioContext();
+      this.createMixer();
+      this.createAmbience();
+      this.createTorchVoices();
+      this.createExitHum();
+    }
+    if (this.context.state === 'suspended') {
+      this.context.resume();
+    }
+    return true;
+  }
+
+  createMixer() {
+    const ctx = this.context;
+    const master = ctx.createGain();
+    master.connect(ctx.destination);
+    const music = ctx.createGain();
+    music.connect(master);
+    const sfx = ctx.createGain();
+    sfx.connect(master);
+    this.buses = { master, music, sfx };
+    this.setVolumes(this.volumes);
+
+    this.noiseBuffer = this.createBuffer(2, () => Math.random() * 2 - 1);
+  }
+
+  // A mono buffer of `seconds`, filled by calling sample() for each value
+  createBuffer(seconds, sample) {
+    const ctx = this.context;
+    const buffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * seconds), ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = sample(i);
+    }
+    return buffer;
+  }
+
+  createLoop(buffer) {
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    return source;
+  }
+
+  // Volumes 0 to 1 by bus name; missing ones are left as they are
+  setVolumes(volumes) {
+    this.volumes = { ...this.volumes, ...volumes };
+    if (!this.buses) return;
+
+    const now = this.context.currentTime;
+    for (const [name, bus] of Object.entries(this.buses)) {
+      bus.gain.setTargetAtTime(this.volumes[name], now, 0.05);
+    }
+  }
+
+  // Low rumble of air through the corridors: brown noise, muffled, swelling
+  // slowly
+  createAmbience() {
+    const ctx = this.context;
+    let last = 0;
+    const brown = this.createBuffer(4, () => {
+      last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+      return last * 3.5;
+    });
+
+    const source = this.createLoop(brown);
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 320;
+
+    // Swell: a slow LFO nudging the filter open and shut
+    const swell = ctx.createOscillator();
+    swell.frequency.value = 0.07;
+    const swellDepth = ctx.createGain();
+    swellDepth.gain.value = 120;
+    swell.connect(swellDepth);
+    swellDepth.connect(filter.frequency);
+
+    this.ambience = ctx.createGain();
+    this.ambience.gain.value = 0;
+    source.connect(filter);
+    filter.connect(this.ambience);
+    this.ambience.connect(this.buses.music);
+
+    source.start();
+    swell.start();
+  }
+
+  // Crackle: a hiss with sparse pops that die away. Each voice loops the same
+  // buffer from its own offset and at its own rate, so torches don't crackle
+  // in unison.
+  createTorchVoices() {
+    const ctx = this.context;
+    let pop = 0;
+    const crackle = this.createBuffer(3, () => {
+      if (Math.random() < 0.0006) pop = 0.4 + Math.random() * 0.6;
+      pop *= 0.985;
+      return (Math.random() * 2 - 1) * (0.04 + pop);
+    });
+
+    for (let i = 0; i < TORCH_VOICES; i++) {
+      const source = this.createLoop(crackle);
+      source.playbackRate.value = 0.85 + Math.random() * 0.3;
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'bandpass';
+      filter.frequency.value = 1800;
+      filter.Q.value = 0.7;
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      const panner = this.createPanner(1, 1.5);
+
+      source.connect(filter);
+      filter.connect(gain);
+      gain.connect(panner);
+      panner.connect(this.buses.sfx);
+      source.start(0, Math.random() * crackle.duration);
+
+      this.torchVoices.push({ panner, gain });
+    }
+  }
+
+  // A deep, pulsing drone from the exit, loud up close and faint from afar
+  createExitHum() {
+    const ctx = this.context;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 400;
+
+    for (const [type, frequency] of [['sine', 55], ['triangle', 110], ['sine', 165.5]]) {
+      const osc = ctx.createOscillator();
+      osc.type = type;
+      osc.frequency.value = frequency;
+      osc.connect(filter);
+      osc.start();
+    }
+
+    // Pulse: an LFO wobbling the level
+    const pulse = ctx.createGain();
+    pulse.gain.value = 0.7;
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = 1.5;
+    const lfoDepth = ctx.createGain();
+    lfoDepth.gain.value = 0.3;
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(pulse.gain);
+    lfo.start();
+
+    const gain = ctx.createGain();
+    gain.gain.value = 0;
+    const panner = this.createPanner(2, 1);
+
+    filter.connect(pulse);
+    pulse.connect(gain);
+    gain.connect(panner);
+    panner.connect(this.buses.sfx);
+
+    this.exitHum = { panner, gain };
+  }
+
+  // Sound falls off as refDistance / distance, scaled by rolloff
+  createPanner(refDistance, rolloff) {
+    const panner = this.context.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = refDistance;
+    panner.maxDistance = 100;
+    panner.rolloffFactor = rolloff;
+    return panner;
+  }
+
+  // Loops on while a run is being played, off for menus, pauses and the end
+  // of a run
+  setWorldActive(active) {
+    if (active === this.worldActive) return;
+    this.worldActive = active;
+    if (!this.context) return;
+
+    const now = this.context.currentTime;
+    this.ambience.gain.setTargetAtTime(active ? AMBIENCE_LEVEL : 0, now, FADE_TIME);
+    if (!active) {
+      // update() brings these back with the player
+      for (const voice of this.torchVoices) {
+        voice.gain.gain.setTargetAtTime(0, now, FADE_TIME);
+      }
+      this.exitHum.gain.gain.setTargetAtTime(0, now, FADE_TIME);
+      this.footstepPhase = 0;
+    }
+  }
+
+  // Once a frame while playing. state:
+  //   position, yaw      the player's eyes, world units and radians
+  //   speed              how fast they move, as a fraction of walking pace
+  //   grounded           false in mid-air, where there are no footsteps
+  //   crouching, sprinting
+  //   torches            positions of the nearest torches, or null for none
+  //   exit               position of the exit, null when on another floor
+  update(dt, state) {
+    if (!this.context || !this.worldActive) return;
+    const now = this.context.currentTime;
+
+    setListener(this.context.listener, state.position, state.yaw);
+
+    // Footsteps, faster and heavier with speed: two a second walking
+    if (state.grounded && state.speed > 0.1) {
+      this.footstepPhase += dt * 2 * Math.sqrt(state.speed);
+      if (this.footstepPhase >= 1) {
+        this.footstepPhase -= 1;
+        let volume = Math.min(1, 0.3 + state.speed * 0.5);
+        if (state.crouching) volume *= 0.4;
+        if (state.sprinting) volume *= 1.3;
+        this.playFootstep(volume);
+      }
+    } else {
+      // The next step lands straight away
+      this.footstepPhase = 0.9;
+    }
+
+    this.torchVoices.forEach((voice, index) => {
+      const torch = state.torches[index];
+      if (torch) {
+        setPosition(voice.panner, torch);
+      }
+      voice.gain.gain.setTargetAtTime(torch ? TORCH_LEVEL : 0, now, FADE_TIME);
+    });
+
+    if (state.exit) {
+      setPosition(this.exitHum.panner, state.exit);
+    }
+    this.exitHum.gain.gain.setTargetAtTime(state.exit ? EXIT_HUM_LEVEL : 0, now, FADE_TIME);
+
+    this.dripTimer -= dt;
+    if (this.dripTimer <= 0) {
+      this.dripTimer = 2 + Math.random() * 6;
+      this.playDrip(state.position);
+    }
+  }
+
+  // A scuff of filtered noise over a soft thud
+  playFootstep(volume) {
+    const ctx = this.context;
+    const now = ctx.currentTime;
+
+    const scuff = ctx.createBufferSource();
+    scuff.buffer = this.noiseBuffer;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 500 + Math.random() * 400;
+    filter.Q.value = 0.8;
+    const scuffEnvelope = ctx.createGain();
+    scuffEnvelope.gain.setValueAtTime(volume * 0.5, now);
+    scuffEnvelope.gain.exponentialRampToValueAtTime(0.001, now + 0.12);
+    scuff.connect(filter);
+    filter.connect(scuffEnvelope);
+    scuffEnvelope.connect(this.buses.sfx);
+    scuff.start(now, Math.random() * 1.5, 0.15);
+
+    const thud = ctx.createOscillator();
+    thud.frequency.setValueAtTime(100, now);
+    thud.frequency.exponentialRampToValueAtTime(40, now + 0.1);
+    const thudEnvelope = ctx.createGain();
+    thudEnvelope.gain.setValueAtTime(volume * 0.6, now);
+    thudEnvelope.gain.exponentialRampToValueAtTime(0.001, now + 0.15);
+    thud.connect(thudEnvelope);
+    thudEnvelope.connect(this.buses.sfx);
+    thud.start(now);
+    thud.stop(now + 0.16);
+  }
+
+  // A drop of water somewhere nearby: a quick falling blip off the walls
+  playDrip(position) {
+    const ctx = this.context;
+    const now = ctx.currentTime;
+
+    const osc = ctx.createOscillator();
+    osc.type = 'sine';
+    const pitch = 1200 + Math.random() * 1200;
+    osc.frequency.setValueAtTime(pitch, now);
+    osc.frequency.exponentialRampToValueAtTime(pitch * 0.4, now + 0.08);
+    const envelope = ctx.createGain();
+    envelope.gain.setValueAtTime(0.25, now);
+    envelope.gain.exponentialRampToValueAtTime(0.001, now + 0.2);
+
+    const panner = this.createPanner(1, 1);
+    const angle = Math.random() * Math.PI * 2;
+    const distance = 2 + Math.random() * 6;
+    setPosition(panner, {
+      x: position.x + Math.sin(angle) * distance,
+      y: position.y + 1,
+      z: position.z + Math.cos(angle) * distance,
+    });
+
+    osc.connect(envelope);
+    envelope.connect(panner);
+    panner.connect(this.buses.music);
+    osc.start(now);
+    osc.stop(now + 0.25);
+  }
+
+  // C major arpeggio with a triumphant ending, for reaching the exit
+  playJingle() {
+    if (!this.context) return;
+    const ctx = this.context;
+
+    const jingleGain = ctx.createGain();
+    jingleGain.gain.value = 0.8;
+    jingleGain.connect(this.buses.music);
+
+    const notes = [
+      { freq: 523.25, start: 0, duration: 0.15 },    // C5
+      { freq: 659.25, start: 0.15, duration: 0.15 }, // E5
+      { freq: 783.99, start: 0.3, duration: 0.15 },  // G5
+      { freq: 1046.50, start: 0.45, duration: 0.3 }, // C6
+      { freq: 783.99, start: 0.75, duration: 0.15 }, // G5
+      { freq: 1046.50, start: 0.9, duration: 0.5 },  // C6 (long)
+    ];
+
+    notes.forEach(note => {
+      // Main tone
+      const osc = ctx.createOscillator();
+      osc.type = 'sine';
+      osc.frequency.value = note.freq;
+
+      // Harmony (fifth above)
+      const oscHarmony = ctx.createOscillator();
+      oscHarmony.type = 'sine';
+      oscHarmony.frequency.value = note.freq * 1.5;
+
+      // Envelope
+      const envelope = ctx.createGain();
+      envelope.gain.setValueAtTime(0, ctx.currentTime + note.start);
+      envelope.gain.linearRampToValueAtTime(0.3, ctx.currentTime + note.start + 0.05);
+      envelope.gain.linearRampToValueAtTime(0, ctx.currentTime + note.start + note.duration);
+
+      const harmonyEnvelope = ctx.createGain();
+      harmonyEnvelope.gain.setValueAtTime(0, ctx.currentTime + note.start);
+      harmonyEnvelope.gain.linearRampToValueAtTime(0.1, ctx.currentTime + note.start + 0.05);
+      harmonyEnvelope.gain.linearRampToValueAtTime(0, ctx.currentTime + note.start + note.duration);
+
+      osc.connect(envelope);
+      envelope.connect(jingleGain);
+      oscHarmony.connect(harmonyEnvelope);
+      harmonyEnvelope.connect(jingleGain);
+
+      osc.start(ctx.currentTime + note.start);
+      osc.stop(ctx.currentTime + note.start + note.duration + 0.1);
+      oscHarmony.start(ctx.currentTime + note.start);
+      oscHarmony.stop(ctx.currentTime + note.start + note.duration + 0.1);
+    });
+
+    // Add a cheerful shimmer/sparkle effect
+    for (let i = 0; i < 8; i++) {
+      const sparkle = ctx.createOscillator();
+      sparkle.type = 'sine';
+      sparkle.frequency.value = 2000 + Math.random() * 2000;
+
+      const sparkleGain = ctx.createGain();
+      const startTime = ctx.currentTime + 0.9 + i * 0.05;
+      sparkleGain.gain.setValueAtTime(0, startTime);
+      sparkleGain.gain.linearRampToValueAtTime(0.08, startTime + 0.02);
+      sparkleGain.gain.linearRampToValueAtTime(0, startTime + 0.15);
+
+      sparkle.connect(sparkleGain);
+      sparkleGain.connect(jingleGain);
+
+      sparkle.start(startTime);
+      sparkle.stop(startTime + 0.2);
+    }
+  }
+}
+
+// Older browsers only have the setPosition/setOrientation methods, not the
+// AudioParams
+function setPosition(panner, position) {
+  if (panner.positionX) {
+    panner.positionX.value = position.x;
+    panner.positionY.value = position.y;
+    panner.positionZ.value = position.z;
+  } else {
+    panner.setPosition(position.x, position.y, position.z);
+  }
+}
+
+// Ears at the eyes, facing along the yaw (forward is -z at yaw 0, as for the
+// camera)
+function setListener(listener, position, yaw) {
+  const forwardX = -Math.sin(yaw);
+  const forwardZ = -Math.cos(yaw);
+  if (listener.positionX) {
+    listener.positionX.value = position.x;
+    listener.positionY.value = position.y;
+    listener.positionZ.value = position.z;
+    listener.forwardX.value = forwardX;
+    listener.forwardY.value = 0;
+    listener.forwardZ.value = forwardZ;
+    listener.upX.value = 0;
+    listener.upY.value = 1;
+    listener.upZ.value = 0;
+  } else {
+    listener.setPosition(position.x, position.y, position.z);
+    listener.setOrientation(forwardX, 0, forwardZ, 0, 1, 0);
+  }
+}
@@ -0,0 +1,418 @@
+// Chunked World Building Module
+//
+// Builds the dungeon scene in square chunks of cells around the player and
+// tears down chunks that fall out of range, so memory and draw calls stay
+// bounded however large the maze is. Torch lights come from a fixed pool that
+// follows the nearest torches, which keeps the scene's light count constant
+// (changing it forces three.js to recompile every material).
+//
+// Walls, floors and ceilings are textured with procedural stone (see
+// textures.js), drawn from the maze's seed, one texture across every cell.
+// Each chunk draws them as one merged mesh of just the faces that can be
+// seen (see wallmesh.js).
+import * as THREE from 'three';
+import { CELL } from './maze.js';
+import { createDungeonTextures, disposeDungeonTextures, DEFAULT_TEXTURE_THEME } from './textures.js';
+import { buildWallMesh } from './wallmesh.js';
+
+export class ChunkManager {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.cellSize = options.cellSize || 2;
+    this.wallHeight = options.wallHeight || 3;
+    this.levelSpacing = options.levelSpacing || this.wallHeight + 1; // floor-to-floor height
+
+    // Chunk settings
+    this.chunkSize = options.chunkSize || 12; // cells per chunk side
+    this.viewDistance = options.viewDistance || 2; // chunks loaded around the player
+    this.maxTorchLights = options.maxTorchLights || 16;
+
+    // Surface textures: the theme, and the seed and theme they were last
+    // drawn for. One texture spans a cell's width.
+    this.textureTheme = options.textureTheme || DEFAULT_TEXTURE_THEME;
+    this.textures = null;
+    this.texturesDrawn = null; // 'theme:seed'
+
+    // Loaded state
+    this.maze = null;
+    this.level = 0;
+    this.chunks = new Map();
+    this.torchesByChunk = new Map();
+    this.currentChunkKey = null;
+    this.currentCellKey = null;
+
+    // Shared geometry and materials, reused by every chunk
+    this.torchGeometry = new THREE.BoxGeometry(0.1, 0.3, 0.1);
+    this.stairsDownGeometry = new THREE.RingGeometry(0.35, 0.7, 24);
+    this.ladderRailGeometry = new THREE.BoxGeometry(0.08, this.wallHeight, 0.08);
+    this.ladderRungGeometry = new THREE.BoxGeometry(0.6, 0.06, 0.06);
+
+    // Colour and roughness come from the textures; these scale them
+    this.wallMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      roughness: 1,
+      metalness: 0.1,
+    });
+
+    this.floorMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      roughness: 1,
+      metalness: 0.05,
+    });
+
+    this.ceilingMaterial = new THREE.MeshStandardMaterial({
+      color: 0xcccccc,
+      roughness: 1,
+      metalness: 0,
+    });
+
+    this.torchMaterial = new THREE.MeshStandardMaterial({
+      color: 0x4a3520,
+      emissive: 0xff4400,
+      emissiveIntensity: 0.5,
+    });
+
+    this.stairsMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffaa33,
+      emissive: 0xffaa33,
+      emissiveIntensity: 0.6,
+      side: THREE.DoubleSide,
+    });
+
+    this.ladderMaterial = new THREE.MeshStandardMaterial({
+      color: 0x5a4025,
+      emissive: 0xffaa33,
+      emissiveIntensity: 0.15,
+      roughness: 0.8,
+    });
+
+    // Torch light pool; spare lights are parked far below the dungeon
+    this.torchLights = [];
+    for (let i = 0; i < this.maxTorchLights; i++) {
+      this.torchLights.push(new THREE.PointLight(0xff6622, 1.2, 10));
+    }
+  }
+
+  setMaze(maze, level = 0) {
+    this.clear();
+    this.maze = maze;
+    this.updateTextures();
+
+    this.torchLights.forEach(light => {
+      this.scene.add(light);
+    });
+
+    this.setLevel(level);
+  }
+
+  setTextureTheme(theme) {
+    this.textureTheme = theme;
+    if (this.maze) this.updateTextures();
+  }
+
+  // Draws the textures for the maze's seed and the theme, unless they
+  // already are
+  updateTextures() {
+    const key = `${this.textureTheme}:${this.maze.getSeed()}`;
+    if (key === this.texturesDrawn) return;
+
+    const old = this.textures;
+    this.textures = createDungeonTextures(this.textureTheme, this.maze.getSeed());
+    this.texturesDrawn = key;
+    this.applyTextures(this.wallMaterial, this.textures.wall);
+    this.applyTextures(this.floorMaterial, this.textures.floor);
+    this.applyTextures(this.ceilingMaterial, this.textures.ceiling);
+    if (old) disposeDungeonTextures(old);
+  }
+
+  applyTextures(material, textures) {
+    material.map = textures.map;
+    material.normalMap = textures.normalMap;
+    material.roughnessMap = textures.roughnessMap;
+    // Going from no maps to maps changes the shader
+    material.needsUpdate = true;
+  }
+
+  setLevel(level) {
+    // Only one floor is built at a time; the others are hidden by the slabs anyway
+    this.unloadChunks();
+    this.level = level;
+
+    // Bucket torches by chunk so each chunk can build its own
+    for (const torch of this.maze.getTorches(level)) {
+      const key = this.getChunkKey(
+        Math.floor(torch.x / this.chunkSize),
+        Math.floor(torch.z / this.chunkSize)
+      );
+      if (!this.torchesByChunk.has(key)) {
+        this.torchesByChunk.set(key, []);
+      }
+      this.torchesByChunk.get(key).push(torch);
+    }
+
+    this.torchLights.forEach(light => this.parkLight(light));
+  }
+
+  getLevelY(level) {
+    return -level * this.levelSpacing;
+  }
+
+  getChunkKey(chunkX, chunkZ) {
+    return `${chunkX},${chunkZ}`;
+  }
+
+  update(position) {
+    if (!this.maze) return;
+
+    const cellX = Math.round(position.x / this.cellSize);
+    const cellZ = Math.round(position.z / this.cellSize);
+    const chunkX = Math.floor(cellX / this.chunkSize);
+    const chunkZ = Math.floor(cellZ / this.chunkSize);
+
+    const chunkKey = this.getChunkKey(chunkX, chunkZ);
+    if (chunkKey !== this.currentChunkKey) {
+      this.currentChunkKey = chunkKey;
+      this.loadChunksAround(chunkX, chunkZ);
+    }
+
+    const cellKey = `${cellX},${cellZ}`;
+    if (cellKey !== this.currentCellKey) {
+      this.currentCellKey = cellKey;
+      this.assignTorchLights(position);
+    }
+  }
+
+  loadChunksAround(centerX, centerZ) {
+    // Unload with one chunk of slack so walking along a border doesn't thrash
+    for (const [key, chunk] of this.chunks) {
+      if (
+        Math.abs(chunk.chunkX - centerX) > this.viewDistance + 1 ||
+        Math.abs(chunk.chunkZ - centerZ) > this.viewDistance + 1
+      ) {
+        this.disposeChunk(chunk);
+        this.chunks.delete(key);
+      }
+    }
+
+    for (let chunkZ = centerZ - this.viewDistance; chunkZ <= centerZ + this.viewDistance; chunkZ++) {
+      for (let chunkX = centerX - this.viewDistance; chunkX <= centerX + this.viewDistance; chunkX++) {
+        const key = this.getChunkKey(chunkX, chunkZ);
+        if (this.chunks.has(key)) continue;
+
+        const chunk = this.buildChunk(chunkX, chunkZ);
+        if (chunk) {
+          this.chunks.set(key, chunk);
+        }
+      }
+    }
+  }
+
+  loadAll() {
+    // Build every chunk of the current floor (used by the top-down editor view)
+    const chunksX = Math.ceil(this.maze.getWidth() / this.chunkSize);
+    const chunksZ = Math.ceil(this.maze.getHeight() / this.chunkSize);
+    for (let chunkZ = 0; chunkZ < chunksZ; chunkZ++) {
+      for (let chunkX = 0; chunkX < chunksX; chunkX++) {
+        const key = this.getChunkKey(chunkX, chunkZ);
+        if (!this.chunks.has(key)) {
+          this.chunks.set(key, this.buildChunk(chunkX, chunkZ));
+        }
+      }
+    }
+
+    // Force the next update() to re-evaluate what should stay loaded
+    this.currentChunkKey = null;
+    this.currentCellKey = null;
+  }
+
+  refreshCell(x, z) {
+    // Rebuild the chunk holding an edited cell, and those next to it when
+    // the cell is on their border, since it decides which of their wall
+    // faces show
+    const chunkKeys = new Set();
+    for (const [dx, dz] of [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]]) {
+      chunkKeys.add(this.getChunkKey(
+        Math.floor((x + dx) / this.chunkSize),
+        Math.floor((z + dz) / this.chunkSize)
+      ));
+    }
+    for (const key of chunkKeys) {
+      const chunk = this.chunks.get(key);
+      if (chunk) {
+        this.disposeChunk(chunk);
+        this.chunks.set(key, this.buildChunk(chunk.chunkX, chunk.chunkZ));
+      }
+    }
+  }
+
+  buildChunk(chunkX, chunkZ) {
+    const width = this.maze.getWidth();
+    const height = this.maze.getHeight();
+    const minX = chunkX * this.chunkSize;
+    const minZ = chunkZ * this.chunkSize;
+
+    // Chunks outside the maze have nothing to build
+    if (minX < 0 || minZ < 0 || minX >= width || minZ >= height) {
+      return null;
+    }
+
+    const maxX = Math.min(minX + this.chunkSize, width);
+    const maxZ = Math.min(minZ + this.chunkSize, height);
+    const baseY = this.getLevelY(this.level);
+    const group = new THREE.Group();
+
+    // Walls, floor and ceiling, in the order of the mesh's groups
+    const mesh = buildWallMesh(this.maze, this.level, { minX, minZ, maxX, maxZ }, {
+      cellSize: this.cellSize,
+      wallHeight: this.wallHeight,
+      baseY,
+    });
+    const geometry = createWallGeometry(mesh);
+    const surfaces = new THREE.Mesh(geometry, [this.wallMaterial, this.floorMaterial, this.ceilingMaterial]);
+    surfaces.castShadow = true;
+    surfaces.receiveShadow = true;
+    group.add(surfaces);
+
+    for (let z = minZ; z < maxZ; z++) {
+      for (let x = minX; x < maxX; x++) {
+        const cell = this.maze.getCell(x, z, this.level);
+        if (cell === CELL.STAIRS_DOWN || cell === CELL.STAIRS_UP) {
+          group.add(this.createStairsMarker(cell, x, z, baseY));
+        }
+      }
+    }
+
+    // Torch visuals (small emissive boxes); their lights come from the pool
+    const matrix = new THREE.Matrix4();
+    const chunkTorches = this.torchesByChunk.get(this.getChunkKey(chunkX, chunkZ)) || [];
+    let torches = null;
+    if (chunkTorches.length > 0) {
+      torches = new THREE.InstancedMesh(this.torchGeometry, this.torchMaterial, chunkTorches.length);
+      chunkTorches.forEach((torch, index) => {
+        const position = this.getTorchPosition(torch);
+        matrix.setPosition(position.x, position.y - 0.2, position.z);
+        torches.setMatrixAt(index, matrix);
+      });
+      torches.instanceMatrix.needsUpdate = true;
+      group.add(torches);
+    }
+
+    this.scene.add(group);
+
+    return {
+      chunkX, chunkZ, group, geometry, torches, torchList: chunkTorches,
+      triangles: mesh.triangles, boxTriangles: mesh.boxTriangles,
+    };
+  }
+
+  createStairsMarker(cell, x, z, baseY) {
+    const marker = new THREE.Group();
+    marker.position.set(x * this.cellSize, baseY, z * this.cellSize);
+
+    if (cell === CELL.STAIRS_DOWN) {
+      // Glowing ring around the way down
+      const ring = new THREE.Mesh(this.stairsDownGeometry, this.stairsMaterial);
+      ring.rotation.x = -Math.PI / 2;
+      ring.position.y = 0.02;
+      marker.add(ring);
+    } else {
+      // Ladder up to the floor above
+      for (const side of [-0.3, 0.3]) {
+        const rail = new THREE.Mesh(this.ladderRailGeometry, this.ladderMaterial);
+        rail.position.set(side, this.wallHeight / 2, 0);
+        marker.add(rail);
+      }
+      for (let y = 0.3; y < this.wallHeight; y += 0.4) {
+        const rung = new THREE.Mesh(this.ladderRungGeometry, this.ladderMaterial);
+        rung.position.y = y;
+        marker.add(rung);
+      }
+    }
+
+    return marker;
+  }
+
+  disposeChunk(chunk) {
+    this.scene.remove(chunk.group);
+    chunk.geometry.dispose();
+    if (chunk.torches) chunk.torches.dispose();
+  }
+
+  // Triangles in the loaded chunks' walls, floors and ceilings, and what
+  // drawing every wall cell as a box over two full planes would take
+  getTriangleCounts() {
+    const counts = { merged: 0, boxes: 0 };
+    for (const chunk of this.chunks.values()) {
+      if (!chunk) continue;
+      counts.merged += chunk.triangles;
+      counts.boxes += chunk.boxTriangles;
+    }
+    return counts;
+  }
+
+  getTorchPosition(torch) {
+    return new THREE.Vector3(
+      torch.x * this.cellSize - torch.dx * 0.3,
+      this.getLevelY(torch.level) + this.wallHeight * 0.7,
+      torch.z * this.cellSize - torch.dz * 0.3
+    );
+  }
+
+  assignTorchLights(position) {
+    // Light the nearest loaded torches
+    const candidates = [];
+    for (const chunk of this.chunks.values()) {
+      for (const torch of chunk.torchList) {
+        const torchPosition = this.getTorchPosition(torch);
+        candidates.push({
+          position: torchPosition,
+          distance: torchPosition.distanceToSquared(position),
+        });
+      }
+    }
+    candidates.sort((a, b) => a.distance - b.distance);
+
+    this.torchLights.forEach((light, index) => {
+      if (index < candidates.length) {
+        light.position.copy(candidates[index].position);
+      } else {
+        this.parkLight(light);
+      }
+    });
+  }
+
+  parkLight(light) {
+    light.position.set(0, -1000, 0);
+  }
+
+  unloadChunks() {
+    for (const chunk of this.chunks.values()) {
+      this.disposeChunk(chunk);
+    }
+    this.chunks.clear();
+    this.torchesByChunk.clear();
+    this.currentChunkKey = null;
+    this.currentCellKey = null;
+  }
+
+  clear() {
+    this.unloadChunks();
+    this.maze = null;
+    this.level = 0;
+  }
+}
+
+// A chunk's merged mesh (see buildWallMesh) as a geometry with one group per
+// material
+function createWallGeometry(mesh) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(mesh.positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(mesh.normals, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(mesh.uvs, 2));
+  geometry.setIndex(new THREE.BufferAttribute(mesh.indices, 1));
+  for (const group of mesh.groups) {
+    geometry.addGroup(group.start, group.count, group.materialIndex);
+  }
+  geometry.computeBoundingSphere();
+  return geometry;
+}
@@ -0,0 +1,176 @@
+// Collision Module: a circle (the player, seen from above) moving through a
+// grid of square wall cells
+//
+// Movement is swept rather than tested at the end point, so nothing tunnels
+// through a wall however long the step, and blocked movement slides along the
+// wall instead of stopping dead. Walls are boxes of cellSize centred on their
+// grid cell; isWall(x, z) says which cells are solid.
+
+// Gap left between the circle and a wall it stops against, so the next sweep
+// starts clear of it
+const SKIN = 0.001;
+
+// Blocked movement is re-aimed along the wall this many times per move
+const MAX_SLIDES = 3;
+
+// Wall cells whose boxes can touch the area [minX, maxX] x [minZ, maxZ]
+function forEachWall(isWall, cellSize, minX, minZ, maxX, maxZ, callback) {
+  const half = cellSize / 2;
+  const fromX = Math.floor((minX + half) / cellSize);
+  const toX = Math.floor((maxX + half) / cellSize);
+  const fromZ = Math.floor((minZ + half) / cellSize);
+  const toZ = Math.floor((maxZ + half) / cellSize);
+
+  for (let z = fromZ; z <= toZ; z++) {
+    for (let x = fromX; x <= toX; x++) {
+      if (isWall(x, z)) {
+        callback(x * cellSize - half, z * cellSize - half, x * cellSize + half, z * cellSize + half);
+      }
+    }
+  }
+}
+
+export function circleHitsGrid(isWall, cellSize, x, z, radius) {
+  let hit = false;
+  forEachWall(isWall, cellSize, x - radius, z - radius, x + radius, z + radius, (minX, minZ, maxX, maxZ) => {
+    const closestX = Math.max(minX, Math.min(x, maxX));
+    const closestZ = Math.max(minZ, Math.min(z, maxZ));
+    if (Math.hypot(x - closestX, z - closestZ) < radius) {
+      hit = true;
+    }
+  });
+  return hit;
+}
+
+// Earliest time of impact, as a fraction t of the move (dx, dz), with the
+// wall's surface normal at the contact. null when the whole move is clear.
+export function castCircle(isWall, cellSize, x, z, radius, dx, dz) {
+  let best = null;
+  const consider = (t, normalX, normalZ) => {
+    if (!best || t < best.t) {
+      best = { t, normalX, normalZ };
+    }
+  };
+
+  forEachWall(
+    isWall, cellSize,
+    Math.min(x, x + dx) - radius, Math.min(z, z + dz) - radius,
+    Math.max(x, x + dx) + radius, Math.max(z, z + dz) + radius,
+    (minX, minZ, maxX, maxZ) => {
+      // Already touching: blocked straight away if moving further in
+      const closestX = Math.max(minX, Math.min(x, maxX));
+      const closestZ = Math.max(minZ, Math.min(z, maxZ));
+      const distance = Math.hypot(x - closestX, z - closestZ);
+      if (distance < radius + SKIN) {
+        if (distance > 0) {
+          const normalX = (x - closestX) / distance;
+          const normalZ = (z - closestZ) / distance;
+          if (dx * normalX + dz * normalZ < 0) consider(0, normalX, normalZ);
+        }
+        return;
+      }
+
+      // The circle's centre against the box grown by the radius. Its corners
+      // are really quarter circles, handled below.
+      const hit = castRay(x, z, dx, dz, minX - radius, minZ - radius, maxX + radius, maxZ + radius);
+      if (!hit) return;
+
+      const hitX = x + dx * hit.t;
+      const hitZ = z + dz * hit.t;
+      const cornerX = hitX < minX ? minX : hitX > maxX ? maxX : null;
+      const cornerZ = hitZ < minZ ? minZ : hitZ > maxZ ? maxZ : null;
+      if (cornerX === null || cornerZ === null) {
+        if (hit.normalX !== 0 || hit.normalZ !== 0) consider(hit.t, hit.normalX, hit.normalZ);
+        return;
+      }
+
+      const t = castRayCircle(x, z, dx, dz, cornerX, cornerZ, radius);
+      if (t !== null) {
+        consider(t, (x + dx * t - cornerX) / radius, (z + dz * t - cornerZ) / radius);
+      }
+    }
+  );
+  return best;
+}
+
+// Ray (x, z) + t * (dx, dz), t in [0, 1], against a box; where it enters or null
+function castRay(x, z, dx, dz, minX, minZ, maxX, maxZ) {
+  let tEnter = 0;
+  let tExit = 1;
+  let normalX = 0;
+  let normalZ = 0;
+
+  const slabs = [[x, dx, minX, maxX, 1, 0], [z, dz, minZ, maxZ, 0, 1]];
+  for (const [start, delta, min, max, axisX, axisZ] of slabs) {
+    if (delta === 0) {
+      if (start < min || start > max) return null;
+      continue;
+    }
+    let near = (min - start) / delta;
+    let far = (max - start) / delta;
+    let sign = -1;
+    if (near > far) {
+      [near, far] = [far, near];
+      sign = 1;
+    }
+    if (near > tEnter) {
+      tEnter = near;
+      normalX = axisX * sign;
+      normalZ = axisZ * sign;
+    }
+    tExit = Math.min(tExit, far);
+    if (tEnter > tExit) return null;
+  }
+
+  // A zero normal means the ray starts inside the box
+  return { t: tEnter, normalX, normalZ };
+}
+
+// Ray (x, z) + t * (dx, dz), t in [0, 1], against a circle; first entry or null
+function castRayCircle(x, z, dx, dz, centerX, centerZ, radius) {
+  const offsetX = x - centerX;
+  const offsetZ = z - centerZ;
+  const a = dx * dx + dz * dz;
+  const b = offsetX * dx + offsetZ * dz;
+  const c = offsetX * offsetX + offsetZ * offsetZ - radius * radius;
+  const discriminant = b * b - a * c;
+  if (a === 0 || discriminant < 0) return null;
+
+  const t = (-b - Math.sqrt(discriminant)) / a;
+  return t >= 0 && t <= 1 ? t : null;
+}
+
+// Moves a circle by (dx, dz), stopping at walls and sliding along them.
+// Returns where it ended up and the normals of the walls it touched, so the
+// caller can take the blocked part out of its velocity.
+export function moveCircle(isWall, cellSize, x, z, radius, dx, dz) {
+  const normals = [];
+
+  for (let slide = 0; slide < MAX_SLIDES; slide++) {
+    if (dx === 0 && dz === 0) break;
+
+    const hit = castCircle(isWall, cellSize, x, z, radius, dx, dz);
+    if (!hit) {
+      x += dx;
+      z += dz;
+      dx = 0;
+      dz = 0;
+      break;
+    }
+
+    // Up to the wall, keeping a hair's gap
+    x += dx * hit.t + hit.normalX * SKIN;
+    z += dz * hit.t + hit.normalZ * SKIN;
+    normals.push({ x: hit.normalX, z: hit.normalZ });
+
+    // What is left of the move, without the part pushing into the wall
+    const remaining = 1 - hit.t;
+    dx *= remaining;
+    dz *= remaining;
+    const into = dx * hit.normalX + dz * hit.normalZ;
+    dx -= into * hit.normalX;
+    dz -= into * hit.normalZ;
+  }
+
+  return { x, z, normals };
+}
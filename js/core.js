@@ -0,0 +1,632 @@
+// Game Core Module
+//
+// The game without the graphics: the maze, the player, enemies, keys and
+// doors, run time, hints and the state machine. Nothing here touches
+// three.js or the DOM, so it runs the same in Node. The app feeds it input
+// through fixed-size step() calls and draws whatever it finds in `player`,
+// `state` and `hint`.
+import { CELL } from './maze.js';
+import { moveCircle, circleHitsGrid } from './collision.js';
+import { Enemy, findSpawnPoints } from './enemies.js';
+import { Navigator } from './navigation.js';
+import { SeededRandom } from './random.js';
+
+// Simulation rate; the app runs as many steps per frame as real time needs
+export const FIXED_TIMESTEP = 1 / 60;
+
+// 'instructions', 'playing', 'paused', 'completed', 'caught', 'editor',
+// 'replay'. Only 'playing' advances the simulation; the rest are menus and
+// viewers.
+export const GAME_STATES = ['instructions', 'playing', 'paused', 'completed', 'caught', 'editor', 'replay'];
+
+// Space kept between the top of the player's head and the ceiling
+const HEAD_ROOM = 0.2;
+
+// Input for one step:
+//   { moveForward, moveBackward, moveLeft, moveRight,  // movement, 0 to 1
+//     sprint, crouch, jump,                             // held past 0.5 counts
+//     yaw, pitch }                                      // look angles, radians
+export class GameCore {
+  constructor(options = {}) {
+    // World dimensions, matching the scene built around the maze
+    this.cellSize = options.cellSize || 2;
+    this.levelSpacing = options.levelSpacing || 4; // floor-to-floor height
+    this.wallHeight = options.wallHeight || 3;     // floor-to-ceiling height
+
+    // Player settings
+    this.playerHeight = options.playerHeight || 1.6;
+    this.playerRadius = options.playerRadius || 0.3;
+    this.moveSpeed = options.moveSpeed || 30.0; // top speed, units per second
+    this.damping = options.damping || 10.0;     // how fast velocity reaches the wanted one, per second
+    this.climbSpeed = options.climbSpeed || 3.0;
+
+    // Sprinting runs faster until stamina (0 to 1) runs out; an exhausted
+    // player can't sprint again until it has partly recovered
+    this.sprintMultiplier = options.sprintMultiplier || 1.6;
+    this.staminaDrain = options.staminaDrain || 0.25; // per second sprinting
+    this.staminaRegen = options.staminaRegen || 0.2;  // per second otherwise
+    this.staminaRecovery = 0.3;
+
+    // Crouching lowers the eyes and slows the walk
+    this.crouchHeight = options.crouchHeight || 0.9;
+    this.crouchMultiplier = options.crouchMultiplier || 0.45;
+    this.crouchSpeed = 5.0; // how fast the eyes move between heights, units per second
+
+    // Jumps are ballistic: launch speed up, gravity down, capped by the ceiling
+    this.jumpSpeed = options.jumpSpeed || 5.0;
+    this.gravity = options.gravity || 20.0;
+    this.minPitch = -Math.PI / 2 + 0.1;
+    this.maxPitch = Math.PI / 2 - 0.1;
+    this.exitRadius = 0.8;
+    this.keyRadius = 0.7;  // how close the player must come to pick up a key
+    this.doorReach = 1.5;  // and to a locked door to open it with its key
+
+    // Hints come in charges (a limit of null means unlimited), with a
+    // cooldown in seconds after each one ends. Every hint used adds
+    // hintPenalty seconds to the run's final time.
+    this.hintLimit = options.hintLimit === undefined ? null : options.hintLimit;
+    this.hintDuration = options.hintDuration || 3;
+    this.hintCooldown = options.hintCooldown === undefined ? 10 : options.hintCooldown;
+    this.hintPenalty = options.hintPenalty === undefined ? 10 : options.hintPenalty;
+
+    // Enemies spawned at the start of each run (see enemies.js)
+    this.enemyCount = options.enemyCount || 0;
+    this.enemies = [];
+
+    // Routes for the enemies: one floor each, around stairs and locked doors.
+    // Its distance fields are shared by every enemy heading the same way.
+    this.enemyNavigator = null;
+
+    // Routes for the hints, through any door that is open or whose key is in
+    // `routeKeys`. Kept for the maze so its search arrays are reused.
+    this.routeNavigator = null;
+    this.routeKeys = new Set();
+
+    this.maze = null;
+    this.state = 'instructions';
+
+    // Active run time in seconds; only steps while playing add to it
+    this.time = 0;
+
+    this.player = null;
+    this.lastCellKey = null;
+    this.jumpHeld = false;
+
+    // Cells with a lower ceiling than the walls, by "level,x,z": the height of
+    // the gap above the floor. Only a crouching player fits under a low one.
+    this.ceilings = new Map();
+
+    // The maze's doors by "level,x,z" to their index; key i opens door i.
+    // Keys picked up and doors opened this run, by index.
+    this.doorIndex = new Map();
+    this.keysHeld = new Set();
+    this.doorsOpen = new Set();
+
+    // Active hint, or null: { startedAt, path, progress, direction: {x, z} }.
+    // The path is the route when the hint was asked for; progress is how many
+    // of its cells the player has since walked, and direction points a few
+    // cells past that, following the player along.
+    this.hint = null;
+    this.hintsUsed = 0;
+    this.hintReadyAt = 0; // run time the next hint can be asked for
+
+    // Distance walked and grid cells stepped into, for the run history
+    this.stats = { distance: 0, steps: 0 };
+    this.statsCellKey = null;
+  }
+
+  // A new maze starts a fresh hint allowance, with the player at its start
+  setMaze(maze) {
+    this.maze = maze;
+    this.ceilings = new Map();
+    this.enemies = [];
+    this.doorIndex = new Map(maze.getDoors().map((door, index) => [`${door.level},${door.x},${door.z}`, index]));
+    this.keysHeld = new Set();
+    this.doorsOpen = new Set();
+    this.enemyNavigator = new Navigator(maze, {
+      stairs: false,
+      isBlocked: (x, z, level) => this.getCell(x, z, level) === CELL.DOOR,
+    });
+    this.routeNavigator = new Navigator(maze, {
+      isBlocked: (x, z, level) => {
+        const door = this.doorIndex.get(`${level},${x},${z}`);
+        return door !== undefined && !this.doorsOpen.has(door) && !this.routeKeys.has(door);
+      },
+    });
+    this.hint = null;
+    this.hintsUsed = 0;
+    this.hintReadyAt = 0;
+    this.resetPlayer();
+  }
+
+  resetPlayer() {
+    const start = this.maze.getStart();
+    this.player = {
+      x: start.x * this.cellSize,
+      y: this.getLevelY(start.level) + this.playerHeight, // eyes
+      z: start.z * this.cellSize,
+      yaw: 0,
+      pitch: 0,
+      level: start.level,
+      velocityX: 0,
+      velocityZ: 0,
+
+      // Eyes are floorY + jumpY + height. floorY follows the stairs; jumpY is
+      // how far the feet are off the ground.
+      floorY: this.getLevelY(start.level),
+      jumpY: 0,
+      velocityY: 0,
+      height: this.playerHeight,
+      crouching: false,
+      sprinting: false,
+      stamina: 1,
+      exhausted: false,
+    };
+    this.lastCellKey = null;
+    this.jumpHeld = false;
+  }
+
+  getLevelY(level) {
+    return -level * this.levelSpacing;
+  }
+
+  // Lowers the ceiling of one cell; a height of null restores it
+  setCeiling(x, z, level, height) {
+    const key = `${level},${x},${z}`;
+    if (height === null) {
+      this.ceilings.delete(key);
+    } else {
+      this.ceilings.set(key, height);
+    }
+  }
+
+  getCeiling(x, z, level) {
+    const height = this.ceilings.get(`${level},${x},${z}`);
+    return height === undefined ? this.wallHeight : height;
+  }
+
+  // Lowest ceiling over the cells the player overlaps
+  getClearance() {
+    const player = this.player;
+    const fromX = Math.round((player.x - this.playerRadius) / this.cellSize);
+    const toX = Math.round((player.x + this.playerRadius) / this.cellSize);
+    const fromZ = Math.round((player.z - this.playerRadius) / this.cellSize);
+    const toZ = Math.round((player.z + this.playerRadius) / this.cellSize);
+
+    let clearance = this.wallHeight;
+    for (let z = fromZ; z <= toZ; z++) {
+      for (let x = fromX; x <= toX; x++) {
+        clearance = Math.min(clearance, this.getCeiling(x, z, player.level));
+      }
+    }
+    return clearance;
+  }
+
+  // Whether the player, as tall as they are now, fits under a cell's ceiling
+  fitsUnder(x, z, level) {
+    return this.getCeiling(x, z, level) >= this.player.jumpY + this.player.height + HEAD_ROOM;
+  }
+
+  // Grid cell the player is standing in
+  getPlayerCell() {
+    return {
+      x: Math.round(this.player.x / this.cellSize),
+      z: Math.round(this.player.z / this.cellSize),
+      level: this.player.level,
+    };
+  }
+
+  setState(state) {
+    if (!GAME_STATES.includes(state)) {
+      throw new Error(`Unknown game state "${state}"`);
+    }
+    this.state = state;
+  }
+
+  // Begins a run from wherever the player stands (the start, after setMaze)
+  start() {
+    this.setState('playing');
+    this.time = 0;
+    this.hint = null;
+    this.hintReadyAt = 0;
+    this.stats = { distance: 0, steps: 0 };
+    const cell = this.getPlayerCell();
+    this.statsCellKey = `${cell.level},${cell.x},${cell.z}`;
+    this.keysHeld = new Set();
+    this.doorsOpen = new Set();
+    this.enemyNavigator.invalidate();
+    this.routeNavigator.invalidate();
+    this.spawnEnemies();
+  }
+
+  // Enemies back in their lairs. The maze's seed decides the lairs and their
+  // patrols, so a replayed seed plays out the same way.
+  spawnEnemies() {
+    const random = new SeededRandom(this.maze.getSeed() + 1);
+    this.enemies = findSpawnPoints(this.maze, this.enemyCount)
+      .map(cell => new Enemy(cell, this.cellSize, random));
+  }
+
+  // Freezes the run; momentum is dropped so resuming starts from a standstill.
+  // Returns false when there was no run to pause.
+  pause() {
+    if (this.state !== 'playing') return false;
+    this.setState('paused');
+    this.player.velocityX = 0;
+    this.player.velocityZ = 0;
+    return true;
+  }
+
+  resume() {
+    if (this.state !== 'paused') return false;
+    this.setState('playing');
+    return true;
+  }
+
+  // Advances the run by dt seconds. Returns what happened, as a list of
+  // events for the presentation to react to:
+  //   { type: 'level', level }    the player took the stairs
+  //   { type: 'jumped' }          the player left the ground
+  //   { type: 'landed' }          and came back down
+  //   { type: 'hintEnded' }       the active hint ran out
+  //   { type: 'keyCollected', index }  the player picked up key `index`
+  //   { type: 'doorUnlocked', index }  and opened its door
+  //   { type: 'spotted', enemy }  an enemy noticed the player and gave chase
+  //   { type: 'caught', enemy }   an enemy got the player, ending the run
+  //   { type: 'completed' }       the player reached the exit
+  step(input, dt) {
+    const events = [];
+    if (this.state !== 'playing') return events;
+
+    this.time += dt;
+    const player = this.player;
+
+    if (input.yaw !== undefined) player.yaw = input.yaw;
+    if (input.pitch !== undefined) {
+      player.pitch = Math.max(this.minPitch, Math.min(this.maxPitch, input.pitch));
+    }
+
+    const fromX = player.x;
+    const fromZ = player.z;
+    this.updatePosture(input, dt);
+    this.move(input, dt);
+    this.climb(dt);
+    this.jump(input, dt, events);
+    player.y = player.floorY + player.jumpY + player.height;
+
+    // Take the stairs if the player stepped onto them
+    const level = player.level;
+    this.checkStairs();
+    if (player.level !== level) {
+      events.push({ type: 'level', level: player.level });
+    }
+
+    this.updateStats(fromX, fromZ);
+    this.updateKeys(events);
+
+    if (this.hint && this.time - this.hint.startedAt >= this.hintDuration) {
+      this.hint = null;
+      events.push({ type: 'hintEnded' });
+    } else if (this.hint) {
+      this.aimHint();
+    }
+
+    if (this.checkExit()) {
+      this.setState('completed');
+      events.push({ type: 'completed' });
+      return events;
+    }
+
+    this.updateEnemies(dt, events);
+    return events;
+  }
+
+  move(input, dt) {
+    const player = this.player;
+
+    // Wanted direction relative to where the player faces. Movement inputs
+    // run from 0 to 1 (an analog stick can be part way), and diagonals are
+    // capped so they are no faster than straight lines.
+    let forward = Number(input.moveForward || 0) - Number(input.moveBackward || 0);
+    let strafe = Number(input.moveRight || 0) - Number(input.moveLeft || 0);
+    const length = Math.hypot(forward, strafe);
+    if (length > 1) {
+      forward /= length;
+      strafe /= length;
+    }
+
+    // Sprinting takes stamina only while actually moving
+    player.sprinting = input.sprint > 0.5 && !player.crouching && !player.exhausted && length > 0;
+    if (player.sprinting) {
+      player.stamina = Math.max(0, player.stamina - this.staminaDrain * dt);
+      if (player.stamina === 0) player.exhausted = true;
+    } else {
+      player.stamina = Math.min(1, player.stamina + this.staminaRegen * dt);
+      if (player.stamina >= this.staminaRecovery) player.exhausted = false;
+    }
+
+    let speed = this.moveSpeed;
+    if (player.sprinting) speed *= this.sprintMultiplier;
+    if (player.crouching) speed *= this.crouchMultiplier;
+
+    // Yaw alone decides the ground direction; looking up or down doesn't slow you
+    const sin = Math.sin(player.yaw);
+    const cos = Math.cos(player.yaw);
+    const targetX = (-sin * forward + cos * strafe) * speed;
+    const targetZ = (-cos * forward - sin * strafe) * speed;
+
+    // Velocity closes the gap to the wanted velocity by the same fraction every
+    // second, and the step covers the exact distance travelled along that
+    // curve, so speed and distance don't depend on the step size
+    const decay = Math.exp(-this.damping * dt);
+    const blend = (1 - decay) / this.damping;
+    const moveX = targetX * dt + (player.velocityX - targetX) * blend;
+    const moveZ = targetZ * dt + (player.velocityZ - targetZ) * blend;
+    player.velocityX = targetX + (player.velocityX - targetX) * decay;
+    player.velocityZ = targetZ + (player.velocityZ - targetZ) * decay;
+
+    // Sweep the move against the walls, sliding along any in the way, and
+    // stop pushing into the walls that were hit. Ceilings too low to fit
+    // under block like walls.
+    const isWall = (x, z) => this.isWall(x, z, player.level) || !this.fitsUnder(x, z, player.level);
+    const result = moveCircle(isWall, this.cellSize, player.x, player.z, this.playerRadius, moveX, moveZ);
+    player.x = result.x;
+    player.z = result.z;
+    for (const normal of result.normals) {
+      const into = player.velocityX * normal.x + player.velocityZ * normal.z;
+      if (into < 0) {
+        player.velocityX -= into * normal.x;
+        player.velocityZ -= into * normal.z;
+      }
+    }
+  }
+
+  updateEnemies(dt, events) {
+    for (const enemy of this.enemies) {
+      const result = enemy.update(dt, this);
+      if (result === 'spotted') {
+        events.push({ type: 'spotted', enemy });
+      } else if (result === 'caught' && this.state === 'playing') {
+        this.setState('caught');
+        events.push({ type: 'caught', enemy });
+      }
+    }
+  }
+
+  // Crouching while the crouch input is held, or while there's no room to
+  // stand; the eyes move smoothly between the two heights
+  updatePosture(input, dt) {
+    const player = this.player;
+    const roomToStand = this.getClearance() >= player.jumpY + this.playerHeight + HEAD_ROOM;
+    player.crouching = input.crouch > 0.5 || !roomToStand;
+
+    const targetHeight = player.crouching ? this.crouchHeight : this.playerHeight;
+    const change = this.crouchSpeed * dt;
+    const dh = targetHeight - player.height;
+    player.height = Math.abs(dh) <= change ? targetHeight : player.height + Math.sign(dh) * change;
+  }
+
+  // Climb or descend towards the current floor
+  climb(dt) {
+    const player = this.player;
+    const targetY = this.getLevelY(player.level);
+    const climb = this.climbSpeed * dt;
+    const dy = targetY - player.floorY;
+    if (Math.abs(dy) <= climb) {
+      player.floorY = targetY;
+    } else {
+      player.floorY += Math.sign(dy) * climb;
+    }
+  }
+
+  // Jumping and falling back. Jumps need a fresh press, standing on the
+  // ground, and not crouching, which a ceiling too low to stand under forces.
+  jump(input, dt, events) {
+    const player = this.player;
+    const pressed = input.jump > 0.5;
+    const onGround = player.jumpY === 0;
+    if (pressed && !this.jumpHeld && onGround && !player.crouching) {
+      player.velocityY = this.jumpSpeed;
+      events.push({ type: 'jumped' });
+    }
+    this.jumpHeld = pressed;
+
+    if (onGround && player.velocityY <= 0) return;
+
+    // Constant gravity, so the exact arc rather than a per-step estimate
+    player.jumpY += player.velocityY * dt - 0.5 * this.gravity * dt * dt;
+    player.velocityY -= this.gravity * dt;
+
+    // The head stops at the ceiling
+    const maxJumpY = this.getClearance() - player.height - HEAD_ROOM;
+    if (player.jumpY > maxJumpY) {
+      player.jumpY = Math.max(0, maxJumpY);
+      player.velocityY = Math.min(0, player.velocityY);
+    }
+
+    if (player.jumpY <= 0) {
+      player.jumpY = 0;
+      player.velocityY = 0;
+      events.push({ type: 'landed' });
+    }
+  }
+
+  checkStairs() {
+    // Stepping onto stairs moves you to the same cell on the next floor
+    const cell = this.getPlayerCell();
+    const cellKey = `${cell.level},${cell.x},${cell.z}`;
+    if (cellKey === this.lastCellKey) return;
+
+    const value = this.maze.getCell(cell.x, cell.z, cell.level);
+    if (value === CELL.STAIRS_DOWN) {
+      this.player.level++;
+    } else if (value === CELL.STAIRS_UP) {
+      this.player.level--;
+    }
+
+    // Arriving on the matching stairs must not send you straight back
+    this.lastCellKey = `${this.player.level},${cell.x},${cell.z}`;
+  }
+
+  updateStats(fromX, fromZ) {
+    this.stats.distance += Math.hypot(this.player.x - fromX, this.player.z - fromZ);
+
+    const cell = this.getPlayerCell();
+    const cellKey = `${cell.level},${cell.x},${cell.z}`;
+    if (cellKey !== this.statsCellKey) {
+      this.statsCellKey = cellKey;
+      this.stats.steps++;
+    }
+  }
+
+  checkCollision(x, z, radius, level) {
+    return circleHitsGrid((cellX, cellZ) => this.isWall(cellX, cellZ, level), this.cellSize, x, z, radius);
+  }
+
+  // The maze as it stands this run: locked doors are solid and open ones are
+  // plain floor. Enemies and collision read the grid through these.
+  isWall(x, z, level) {
+    if (this.maze.isWall(x, z, level)) return true;
+    const index = this.doorIndex.get(`${level},${x},${z}`);
+    return index !== undefined && !this.doorsOpen.has(index);
+  }
+
+  getCell(x, z, level) {
+    const cell = this.maze.getCell(x, z, level);
+    if (cell !== CELL.DOOR) return cell;
+    return this.doorsOpen.has(this.doorIndex.get(`${level},${x},${z}`)) ? CELL.OPEN : CELL.DOOR;
+  }
+
+  // Picks up keys the player walks over and opens any locked door they reach
+  // with its key in hand
+  updateKeys(events) {
+    const player = this.player;
+    this.maze.getKeys().forEach((key, index) => {
+      if (this.keysHeld.has(index) || key.level !== player.level) return;
+      const distance = Math.hypot(player.x - key.x * this.cellSize, player.z - key.z * this.cellSize);
+      if (distance < this.keyRadius) {
+        this.keysHeld.add(index);
+        events.push({ type: 'keyCollected', index });
+      }
+    });
+
+    this.maze.getDoors().forEach((door, index) => {
+      if (this.doorsOpen.has(index) || !this.keysHeld.has(index) || door.level !== player.level) return;
+      const distance = Math.hypot(player.x - door.x * this.cellSize, player.z - door.z * this.cellSize);
+      if (distance < this.doorReach) {
+        this.doorsOpen.add(index);
+        this.enemyNavigator.invalidate();
+        this.routeNavigator.invalidate();
+        events.push({ type: 'doorUnlocked', index });
+      }
+    });
+  }
+
+  checkExit() {
+    const end = this.maze.getEnd();
+    if (this.player.level !== end.level) return false;
+
+    const dx = this.player.x - end.x * this.cellSize;
+    const dz = this.player.z - end.z * this.cellSize;
+    return Math.hypot(dx, dz) < this.exitRadius;
+  }
+
+  // Route from a cell (the player's, unless another is given) to the exit.
+  // Doors count as passable once open or when their key is among `keys`;
+  // while the exit is shut off, the route first detours to the nearest key
+  // still lying around, as many times as it takes. The route can cross
+  // floors by the stairs; each step records the level it lands on.
+  findPathToExit(from, keys = this.keysHeld) {
+    const end = this.maze.getEnd();
+    const held = new Set(keys);
+    const keyCells = this.maze.getKeys();
+    const navigator = this.routeNavigator;
+    // Keys picked up along the way open more doors, so the blocked cells
+    // change as the route goes on
+    this.routeKeys = held;
+    navigator.invalidate();
+    const route = [];
+    let origin = from || this.getPlayerCell();
+
+    for (;;) {
+      const path = navigator.findPath(origin, end);
+      if (path) return route.concat(path);
+
+      const detour = navigator.findNearest(origin, cell => keyCells.some((key, index) =>
+        !held.has(index) && key.x === cell.x && key.z === cell.z && key.level === cell.level
+      ));
+      // No path found (shouldn't happen in a valid maze)
+      if (!detour) return [];
+
+      route.push(...detour);
+      if (detour.length > 0) origin = detour[detour.length - 1];
+      held.add(keyCells.findIndex(key =>
+        key.x === origin.x && key.z === origin.z && key.level === origin.level
+      ));
+      navigator.invalidate();
+    }
+  }
+
+  hintsRemaining() {
+    return this.hintLimit === null ? Infinity : Math.max(0, this.hintLimit - this.hintsUsed);
+  }
+
+  // Seconds until the next hint can be asked for
+  hintCooldownRemaining() {
+    return Math.max(0, this.hintReadyAt - this.time);
+  }
+
+  // Seconds the hints used so far add to the run's time
+  getPenalty() {
+    return this.hintsUsed * this.hintPenalty;
+  }
+
+  // Spends a hint charge pointing along the route to the exit. Returns the
+  // hint, or null when one is already showing, the last one is cooling down
+  // or none are left.
+  requestHint() {
+    if (this.state !== 'playing' || this.hint || this.hintsRemaining() === 0) return null;
+    if (this.hintCooldownRemaining() > 0) return null;
+    this.hintsUsed++;
+    this.hintReadyAt = this.time + this.hintDuration + this.hintCooldown;
+
+    this.hint = {
+      startedAt: this.time,
+      path: this.findPathToExit(),
+      progress: 0,
+      direction: { x: 0, z: 0 },
+    };
+    this.aimHint();
+    return this.hint;
+  }
+
+  // Points the hint a few cells further along its route than the player has
+  // got, but no further than the stairs when the route changes floor
+  aimHint() {
+    const hint = this.hint;
+    const player = this.player;
+    const cell = this.getPlayerCell();
+    const reached = hint.path.findIndex((step, index) =>
+      index >= hint.progress && step.x === cell.x && step.z === cell.z && step.level === cell.level
+    );
+    if (reached !== -1) hint.progress = reached + 1;
+
+    let target;
+    if (hint.progress < hint.path.length) {
+      let targetIndex = Math.min(hint.progress + 2, hint.path.length - 1);
+      const stairsIndex = hint.path.findIndex((step, index) => index >= hint.progress && step.level !== player.level);
+      if (stairsIndex !== -1) {
+        targetIndex = Math.min(targetIndex, stairsIndex);
+      }
+      target = hint.path[targetIndex];
+    } else {
+      // Fallback to direct direction if no path found
+      target = this.maze.getEnd();
+    }
+
+    const dirX = target.x * this.cellSize - player.x;
+    const dirZ = target.z * this.cellSize - player.z;
+    const distance = Math.hypot(dirX, dirZ) || 1;
+    hint.direction = { x: dirX / distance, z: dirZ / distance };
+  }
+}
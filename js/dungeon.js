@@ -0,0 +1,335 @@
+// Dungeon Generation Module using Binary Space Partitioning
+//
+// Splits each floor into leaves, puts a room of random size in every leaf and
+// joins sibling subtrees with corridors. Rooms are aligned to the same odd
+// cell lattice that MazeGenerator uses, so the output is the same 0/1/2 grid
+// and everything that reads a maze (walls, torches, collision, stairs) works
+// unchanged.
+import { MazeGenerator, CELL } from './maze.js';
+
+export class DungeonGenerator extends MazeGenerator {
+  constructor(width, height, options = {}) {
+    super(width, height, { ...options, algorithm: undefined });
+
+    // Sizes are in lattice cells (one lattice cell = one maze cell)
+    this.minLeafSize = options.minLeafSize || 4;
+    this.maxLeafSize = options.maxLeafSize || 8;
+    this.minRoomSize = options.minRoomSize || 2;
+
+    this.algorithm = 'bsp';
+    this.rooms = [];
+  }
+
+  generate() {
+    // Restart the random sequence so repeated calls give the same grid
+    this.random.reset();
+
+    this.levels = [];
+    this.rooms = [];
+    const roots = [];
+    const leavesByLevel = [];
+
+    for (let level = 0; level < this.floors; level++) {
+      this.grid = this.createSolidGrid();
+      this.levels.push(this.grid);
+
+      const root = {
+        x: 0,
+        z: 0,
+        width: (this.width - 1) / 2,
+        height: (this.height - 1) / 2,
+      };
+      this.splitLeaf(root);
+      roots.push(root);
+      leavesByLevel.push(this.getLeaves(root));
+    }
+
+    // Rooms are sized once we know where the start and exit go
+
+    // Start in the room nearest the top-left corner of the top floor
+    const startLeaf = this.closestLeaf(leavesByLevel[0], 0, 0);
+
+    // The exit sits in a full-size chamber in the leaf furthest from the start
+    const exitLevel = this.floors - 1;
+    const exitLeaf = this.furthestLeaf(leavesByLevel[exitLevel], startLeaf);
+
+    leavesByLevel.forEach((leaves, level) => {
+      this.grid = this.levels[level];
+      for (const leaf of leaves) {
+        let tag = 'room';
+        if (leaf === startLeaf) tag = 'start';
+        if (leaf === exitLeaf) tag = 'exit';
+        leaf.room = this.createRoom(leaf, level, tag);
+      }
+      this.connectLeaves(roots[level]);
+    });
+
+    const startRoom = startLeaf.room;
+    const exitRoom = exitLeaf.room;
+    this.start = { ...this.getRoomCenter(startRoom), level: 0 };
+    this.end = { ...this.getRoomCenter(exitRoom), level: exitLevel };
+
+    // A floor too small to split is a single room holding both; start in its
+    // corner rather than on the exit
+    if (startLeaf === exitLeaf) {
+      this.start = { x: startRoom.x, z: startRoom.z, level: 0 };
+    }
+
+    // Mark the exit cell (value 2)
+    this.levels[this.end.level][this.end.z][this.end.x] = CELL.EXIT;
+
+    this.placeStairs();
+
+    this.torches = [];
+    this.levels.forEach((grid, level) => this.placeTorches(level));
+    this.lightChamber(exitRoom);
+
+    this.placeDoors();
+
+    // The top floor stays available as this.grid for single-floor callers
+    this.grid = this.levels[0];
+    return this.grid;
+  }
+
+  splitLeaf(root) {
+    // Split iteratively until every leaf is small enough
+    const stack = [root];
+    while (stack.length > 0) {
+      const leaf = stack.pop();
+      if (leaf.width <= this.maxLeafSize && leaf.height <= this.maxLeafSize) continue;
+
+      // Prefer cutting across the longer side
+      let vertical;
+      if (leaf.width > leaf.height * 1.25) {
+        vertical = true;
+      } else if (leaf.height > leaf.width * 1.25) {
+        vertical = false;
+      } else {
+        vertical = this.random.next() < 0.5;
+      }
+
+      const size = vertical ? leaf.width : leaf.height;
+      if (size < this.minLeafSize * 2) continue;
+
+      const cut = this.minLeafSize + this.random.nextInt(size - this.minLeafSize * 2 + 1);
+      if (vertical) {
+        leaf.children = [
+          { x: leaf.x, z: leaf.z, width: cut, height: leaf.height },
+          { x: leaf.x + cut, z: leaf.z, width: leaf.width - cut, height: leaf.height },
+        ];
+      } else {
+        leaf.children = [
+          { x: leaf.x, z: leaf.z, width: leaf.width, height: cut },
+          { x: leaf.x, z: leaf.z + cut, width: leaf.width, height: leaf.height - cut },
+        ];
+      }
+      stack.push(...leaf.children);
+    }
+  }
+
+  getLeaves(root) {
+    const leaves = [];
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.children) {
+        stack.push(...node.children);
+      } else {
+        leaves.push(node);
+      }
+    }
+    return leaves;
+  }
+
+  closestLeaf(leaves, x, z) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const leaf of leaves) {
+      const distance = Math.hypot(leaf.x + leaf.width / 2 - x, leaf.z + leaf.height / 2 - z);
+      if (distance < bestDistance) {
+        best = leaf;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  furthestLeaf(leaves, from) {
+    const fromX = from.x + from.width / 2;
+    const fromZ = from.z + from.height / 2;
+    let best = null;
+    let bestDistance = -1;
+    for (const leaf of leaves) {
+      if (leaf === from) continue;
+      const distance = Math.hypot(leaf.x + leaf.width / 2 - fromX, leaf.z + leaf.height / 2 - fromZ);
+      if (distance > bestDistance) {
+        best = leaf;
+        bestDistance = distance;
+      }
+    }
+    // A single-leaf floor has nowhere else to put the exit
+    return best || from;
+  }
+
+  createRoom(leaf, level, tag) {
+    // Exit chambers fill their leaf; other rooms get a random size inside it
+    let width = leaf.width;
+    let height = leaf.height;
+    if (tag !== 'exit') {
+      width = this.minRoomSize + this.random.nextInt(Math.max(1, leaf.width - this.minRoomSize + 1));
+      height = this.minRoomSize + this.random.nextInt(Math.max(1, leaf.height - this.minRoomSize + 1));
+      width = Math.min(width, leaf.width);
+      height = Math.min(height, leaf.height);
+    }
+    const x = leaf.x + this.random.nextInt(leaf.width - width + 1);
+    const z = leaf.z + this.random.nextInt(leaf.height - height + 1);
+
+    // Convert lattice cells to grid cells; neighbouring rooms keep a wall between them
+    const room = {
+      id: this.rooms.length,
+      level,
+      tags: [tag],
+      x: x * 2 + 1,
+      z: z * 2 + 1,
+      width: width * 2 - 1,
+      height: height * 2 - 1,
+    };
+
+    for (let gz = room.z; gz < room.z + room.height; gz++) {
+      for (let gx = room.x; gx < room.x + room.width; gx++) {
+        this.grid[gz][gx] = CELL.OPEN;
+      }
+    }
+
+    this.rooms.push(room);
+    return room;
+  }
+
+  connectLeaves(root) {
+    // Join the two halves of every split with a corridor between one room
+    // from each side
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node.children) continue;
+
+      const [left, right] = node.children;
+      const roomA = this.pickRoom(left);
+      const roomB = this.pickRoom(right);
+      this.carveCorridor(this.getRoomCenter(roomA), this.getRoomCenter(roomB));
+      stack.push(left, right);
+    }
+  }
+
+  pickRoom(node) {
+    const leaves = this.getLeaves(node);
+    return leaves[this.random.nextInt(leaves.length)].room;
+  }
+
+  getRoomCenter(room) {
+    // Round to the odd lattice so corridors and stairs line up
+    const x = room.x + Math.floor((room.width - 1) / 4) * 2;
+    const z = room.z + Math.floor((room.height - 1) / 4) * 2;
+    return { x, z };
+  }
+
+  carveCorridor(from, to) {
+    // L-shaped corridor along odd grid lines, bending at a random corner
+    const horizontalFirst = this.random.next() < 0.5;
+    const corner = horizontalFirst ? { x: to.x, z: from.z } : { x: from.x, z: to.z };
+
+    this.carveLine(from, corner);
+    this.carveLine(corner, to);
+  }
+
+  carveLine(from, to) {
+    const dx = Math.sign(to.x - from.x);
+    const dz = Math.sign(to.z - from.z);
+    let x = from.x;
+    let z = from.z;
+    while (true) {
+      if (this.grid[z][x] === CELL.WALL) {
+        this.grid[z][x] = CELL.OPEN;
+      }
+      if (x === to.x && z === to.z) break;
+      x += dx;
+      z += dz;
+    }
+  }
+
+  // Rooms on neighbouring floors need not overlap. Stairs then go in a room
+  // cell of the upper floor, and a corridor on the floor below joins that
+  // cell to the nearest room there.
+  carveStairCell(level, arrival) {
+    const upper = this.levels[level];
+    const candidates = [];
+    for (let z = 1; z < this.height - 1; z += 2) {
+      for (let x = 1; x < this.width - 1; x += 2) {
+        if (
+          upper[z][x] === CELL.OPEN &&
+          !(x === arrival.x && z === arrival.z) &&
+          !(x === this.end.x && z === this.end.z)
+        ) {
+          candidates.push({ x, z });
+        }
+      }
+    }
+    if (candidates.length === 0) return null;
+
+    const cell = candidates[this.random.nextInt(candidates.length)];
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const room of this.getRooms(level + 1)) {
+      const center = this.getRoomCenter(room);
+      const distance = Math.abs(center.x - cell.x) + Math.abs(center.z - cell.z);
+      if (distance < nearestDistance) {
+        nearest = center;
+        nearestDistance = distance;
+      }
+    }
+
+    const grid = this.grid;
+    this.grid = this.levels[level + 1];
+    this.carveCorridor(cell, nearest);
+    this.grid = grid;
+    return cell;
+  }
+
+  lightChamber(room) {
+    // Ring the exit chamber with torches on every other cell of its walls
+    const { level } = room;
+    const add = (x, z, dx, dz) => {
+      if (this.isWall(x + dx, z + dz, level) && !this.isWall(x, z, level)) {
+        this.torches.push({ x, z, level, dx, dz });
+      }
+    };
+
+    for (let x = room.x; x < room.x + room.width; x += 2) {
+      add(x, room.z, 0, -1);
+      add(x, room.z + room.height - 1, 0, 1);
+    }
+    for (let z = room.z; z < room.z + room.height; z += 2) {
+      add(room.x, z, -1, 0);
+      add(room.x + room.width - 1, z, 1, 0);
+    }
+  }
+
+  getRooms(level) {
+    if (level === undefined) {
+      return this.rooms;
+    }
+    return this.rooms.filter(room => room.level === level);
+  }
+
+  getRoomAt(x, z, level = 0) {
+    return this.rooms.find(room =>
+      room.level === level &&
+      x >= room.x && x < room.x + room.width &&
+      z >= room.z && z < room.z + room.height
+    ) || null;
+  }
+
+  getRoomsByTag(tag) {
+    return this.rooms.filter(room => room.tags.includes(tag));
+  }
+}
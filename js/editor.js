@@ -0,0 +1,497 @@
+// Level Editor Module
+//
+// Top-down orthographic editing of the current maze. The scene is built with
+// the same DungeonMaze.buildMazeScene/ChunkManager code used in play, so a
+// level looks the same in the editor as it does in first person.
+import * as THREE from 'three';
+import { CELL } from './maze.js';
+import { exportLevelJSON, loadLevelJSON, LevelFormatError } from './levels.js';
+
+const MAX_HISTORY = 100;
+
+export class LevelEditor {
+  constructor(game) {
+    this.game = game;
+    this.cellSize = game.cellSize;
+    this.wallHeight = game.wallHeight;
+
+    // Edit state
+    this.active = false;
+    this.maze = null;       // editable copy of the level
+    this.sourceMaze = null; // level last handed to test play
+    this.level = 0;
+    this.tool = 'wall';
+    this.paintValue = null; // wall/open while dragging with the wall tool
+    this.undoStack = [];
+    this.redoStack = [];
+    this.zoom = 1;
+    this.savedFog = null;
+
+    // Top-down camera; north (-z) is up on screen
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 500);
+    this.camera.up.set(0, 0, -1);
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+
+    // Flat lighting so the whole level is readable from above
+    this.light = new THREE.HemisphereLight(0xffffff, 0x404060, 1.5);
+
+    // Editor-only markers
+    this.overlay = new THREE.Group();
+    this.hoverMesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(this.cellSize, this.cellSize),
+      new THREE.MeshBasicMaterial({ color: 0xffa832, transparent: true, opacity: 0.4, depthTest: false })
+    );
+    this.hoverMesh.rotation.x = -Math.PI / 2;
+    this.hoverMesh.visible = false;
+    this.overlay.add(this.hoverMesh);
+
+    this.startMarker = new THREE.Mesh(
+      new THREE.RingGeometry(0.3, 0.7, 24),
+      new THREE.MeshBasicMaterial({ color: 0x4aa8ff, side: THREE.DoubleSide })
+    );
+    this.startMarker.rotation.x = -Math.PI / 2;
+    this.overlay.add(this.startMarker);
+
+    // DOM elements
+    this.panel = document.getElementById('editor-panel');
+    this.toolButtons = this.panel.querySelectorAll('[data-tool]');
+    this.floorSelect = document.getElementById('editor-floor');
+    this.undoButton = document.getElementById('editor-undo');
+    this.redoButton = document.getElementById('editor-redo');
+    this.testButton = document.getElementById('editor-test');
+    this.closeButton = document.getElementById('editor-close');
+    this.status = document.getElementById('editor-status');
+
+    // Bind event handlers
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+
+    this.setupPanel();
+  }
+
+  setupPanel() {
+    this.toolButtons.forEach(button => {
+      button.addEventListener('click', () => this.setTool(button.dataset.tool));
+    });
+    this.floorSelect.addEventListener('change', () => {
+      this.level = Number(this.floorSelect.value);
+      this.rebuild();
+    });
+    this.undoButton.addEventListener('click', () => this.undo());
+    this.redoButton.addEventListener('click', () => this.redo());
+    this.testButton.addEventListener('click', () => this.testPlay());
+    this.closeButton.addEventListener('click', () => this.game.closeEditor());
+  }
+
+  open(maze) {
+    // Keep the edit session (and its history) when coming back from test play
+    if (maze !== this.sourceMaze || !this.maze) {
+      this.maze = loadLevelJSON(exportLevelJSON(maze));
+      this.undoStack = [];
+      this.redoStack = [];
+      this.level = 0;
+      this.zoom = 1;
+    }
+    this.active = true;
+
+    // Fog would hide everything from the camera's height
+    this.savedFog = this.game.scene.fog;
+    this.game.scene.fog = null;
+
+    this.floorSelect.innerHTML = '';
+    for (let level = 0; level < this.maze.getFloors(); level++) {
+      const option = document.createElement('option');
+      option.value = level;
+      option.textContent = `${level + 1}`;
+      this.floorSelect.appendChild(option);
+    }
+    this.floorSelect.value = this.level;
+
+    const canvas = this.game.renderer.domElement;
+    canvas.addEventListener('pointerdown', this.onPointerDown);
+    canvas.addEventListener('pointermove', this.onPointerMove);
+    canvas.addEventListener('wheel', this.onWheel, { passive: false });
+    window.addEventListener('pointerup', this.onPointerUp);
+    document.addEventListener('keydown', this.onKeyDown);
+
+    this.panel.classList.remove('hidden');
+    this.setTool(this.tool);
+    this.setStatus('');
+    this.rebuild();
+  }
+
+  close() {
+    this.active = false;
+    this.paintValue = null;
+    this.game.scene.fog = this.savedFog;
+    this.game.scene.remove(this.light);
+    this.game.scene.remove(this.overlay);
+
+    const canvas = this.game.renderer.domElement;
+    canvas.removeEventListener('pointerdown', this.onPointerDown);
+    canvas.removeEventListener('pointermove', this.onPointerMove);
+    canvas.removeEventListener('wheel', this.onWheel);
+    window.removeEventListener('pointerup', this.onPointerUp);
+    document.removeEventListener('keydown', this.onKeyDown);
+
+    this.panel.classList.add('hidden');
+  }
+
+  hasChanges() {
+    return this.undoStack.length > 0;
+  }
+
+  // Returns the edited level validated as a LoadedMaze, or throws LevelFormatError
+  getLevel() {
+    const metadata = { ...(this.maze.getMetadata() || {}), name: 'Editor Level' };
+    return loadLevelJSON(exportLevelJSON(this.maze, metadata));
+  }
+
+  testPlay() {
+    let level;
+    try {
+      level = this.getLevel();
+    } catch (error) {
+      if (!(error instanceof LevelFormatError)) throw error;
+      this.setStatus(error.message, true);
+      return;
+    }
+
+    this.sourceMaze = level;
+    this.game.testPlay(level);
+  }
+
+  setTool(tool) {
+    this.tool = tool;
+    this.toolButtons.forEach(button => {
+      button.classList.toggle('active', button.dataset.tool === tool);
+    });
+  }
+
+  setStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.classList.toggle('error', isError);
+  }
+
+  rebuild() {
+    // Same scene building as play, then the whole floor rather than the
+    // chunks around the player
+    this.game.mazeGenerator = this.maze;
+    this.game.buildMazeScene();
+    this.game.setLevel(this.level);
+    this.game.chunkManager.loadAll();
+
+    this.game.scene.add(this.light);
+    this.game.scene.add(this.overlay);
+    this.updateOverlay();
+    this.frameCamera();
+    this.updateHistoryButtons();
+  }
+
+  updateOverlay() {
+    const start = this.maze.getStart();
+    const baseY = this.game.getLevelY(this.level);
+    this.startMarker.visible = start.level === this.level;
+    this.startMarker.position.set(start.x * this.cellSize, baseY + 0.05, start.z * this.cellSize);
+  }
+
+  frameCamera() {
+    const width = this.maze.getWidth() * this.cellSize;
+    const depth = this.maze.getHeight() * this.cellSize;
+    const centerX = ((this.maze.getWidth() - 1) * this.cellSize) / 2;
+    const centerZ = ((this.maze.getHeight() - 1) * this.cellSize) / 2;
+    const baseY = this.game.getLevelY(this.level);
+
+    // Fit the whole floor with a small margin, keeping the screen aspect
+    const aspect = window.innerWidth / window.innerHeight;
+    let viewHeight = (depth * 1.1) / this.zoom;
+    let viewWidth = viewHeight * aspect;
+    if (viewWidth < (width * 1.1) / this.zoom) {
+      viewWidth = (width * 1.1) / this.zoom;
+      viewHeight = viewWidth / aspect;
+    }
+
+    this.camera.left = -viewWidth / 2;
+    this.camera.right = viewWidth / 2;
+    this.camera.top = viewHeight / 2;
+    this.camera.bottom = -viewHeight / 2;
+    this.camera.position.set(centerX, baseY + 100, centerZ);
+    this.camera.lookAt(centerX, baseY, centerZ);
+    this.camera.updateProjectionMatrix();
+    this.camera.updateMatrixWorld();
+  }
+
+  onResize() {
+    if (this.active) {
+      this.frameCamera();
+    }
+  }
+
+  getCellFromEvent(event) {
+    const rect = this.game.renderer.domElement.getBoundingClientRect();
+    this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    // Intersect the floor plane of the floor being edited
+    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -this.game.getLevelY(this.level));
+    const hit = new THREE.Vector3();
+    if (!this.raycaster.ray.intersectPlane(plane, hit)) return null;
+
+    const x = Math.round(hit.x / this.cellSize);
+    const z = Math.round(hit.z / this.cellSize);
+    if (x < 0 || x >= this.maze.getWidth() || z < 0 || z >= this.maze.getHeight()) {
+      return null;
+    }
+    return { x, z };
+  }
+
+  onPointerDown(event) {
+    if (event.button !== 0) return;
+    const cell = this.getCellFromEvent(event);
+    if (!cell) return;
+
+    this.setStatus('');
+    this.applyTool(cell);
+  }
+
+  onPointerMove(event) {
+    const cell = this.getCellFromEvent(event);
+    this.hoverMesh.visible = cell !== null;
+    if (!cell) return;
+
+    const baseY = this.game.getLevelY(this.level);
+    this.hoverMesh.position.set(
+      cell.x * this.cellSize,
+      baseY + this.wallHeight + 0.05,
+      cell.z * this.cellSize
+    );
+
+    // Keep painting walls while the button is held
+    if (this.paintValue !== null) {
+      this.paintWall(cell);
+    }
+  }
+
+  onPointerUp() {
+    this.paintValue = null;
+  }
+
+  onWheel(event) {
+    event.preventDefault();
+    this.zoom = Math.min(8, Math.max(0.5, this.zoom * (event.deltaY < 0 ? 1.1 : 1 / 1.1)));
+    this.frameCamera();
+  }
+
+  onKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+
+    if (event.code === 'KeyZ' && !event.shiftKey) {
+      event.preventDefault();
+      this.undo();
+    } else if (event.code === 'KeyY' || (event.code === 'KeyZ' && event.shiftKey)) {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+
+  getGrid() {
+    return this.maze.getGrid(this.level);
+  }
+
+  isStart(x, z, level = this.level) {
+    const start = this.maze.getStart();
+    return start.x === x && start.z === z && start.level === level;
+  }
+
+  isProtected(x, z) {
+    // Cells the wall tool must not paint over
+    const cell = this.getGrid()[z][x];
+    const isKey = this.maze.getKeys().some(key => key.x === x && key.z === z && key.level === this.level);
+    return this.isStart(x, z) || isKey || cell === CELL.EXIT || cell === CELL.STAIRS_DOWN ||
+      cell === CELL.STAIRS_UP || cell === CELL.DOOR;
+  }
+
+  applyTool(cell) {
+    const { x, z } = cell;
+    const grid = this.getGrid();
+
+    switch (this.tool) {
+      case 'wall':
+        if (this.isProtected(x, z)) return;
+        this.pushHistory();
+        this.paintValue = grid[z][x] === CELL.WALL ? CELL.OPEN : CELL.WALL;
+        this.paintWall(cell);
+        break;
+
+      case 'start':
+        if (grid[z][x] !== CELL.OPEN && grid[z][x] !== CELL.WALL) return;
+        this.pushHistory();
+        grid[z][x] = CELL.OPEN;
+        this.maze.start = { x, z, level: this.level };
+        this.rebuild();
+        break;
+
+      case 'exit': {
+        if (this.isStart(x, z) || (grid[z][x] !== CELL.OPEN && grid[z][x] !== CELL.WALL)) return;
+        this.pushHistory();
+        const end = this.maze.getEnd();
+        this.maze.getGrid(end.level)[end.z][end.x] = CELL.OPEN;
+        grid[z][x] = CELL.EXIT;
+        this.maze.end = { x, z, level: this.level };
+        this.rebuild();
+        break;
+      }
+
+      case 'torch':
+        this.toggleTorch(x, z);
+        break;
+
+      case 'stairs':
+        this.toggleStairs(x, z);
+        break;
+    }
+  }
+
+  paintWall(cell) {
+    const { x, z } = cell;
+    const grid = this.getGrid();
+    if (this.isProtected(x, z) || grid[z][x] === this.paintValue) return;
+
+    grid[z][x] = this.paintValue;
+
+    // A wall cell can't hold a torch
+    const torches = this.maze.torches;
+    this.maze.torches = torches.filter(t => !(t.x === x && t.z === z && t.level === this.level));
+    if (this.maze.torches.length !== torches.length) {
+      this.rebuild();
+    } else {
+      this.game.chunkManager.refreshCell(x, z);
+    }
+  }
+
+  toggleTorch(x, z) {
+    const grid = this.getGrid();
+    const index = this.maze.torches.findIndex(t => t.x === x && t.z === z && t.level === this.level);
+
+    if (index === -1) {
+      if (grid[z][x] === CELL.WALL) return;
+
+      // Mount it on the first adjacent wall, like generated torches
+      const facing = [
+        { dx: 1, dz: 0 },
+        { dx: -1, dz: 0 },
+        { dx: 0, dz: 1 },
+        { dx: 0, dz: -1 }
+      ].find(p => this.maze.isWall(x + p.dx, z + p.dz, this.level));
+      if (!facing) {
+        this.setStatus('Torches need an adjacent wall', true);
+        return;
+      }
+
+      this.pushHistory();
+      this.maze.torches.push({ x, z, level: this.level, dx: facing.dx, dz: facing.dz });
+    } else {
+      this.pushHistory();
+      this.maze.torches.splice(index, 1);
+    }
+    this.rebuild();
+  }
+
+  toggleStairs(x, z) {
+    const grid = this.getGrid();
+    const cell = grid[z][x];
+
+    // Stairs are a pair: down on this floor, up on the floor below
+    let upper = this.level;
+    if (cell === CELL.STAIRS_UP) {
+      upper = this.level - 1;
+    } else if (cell !== CELL.STAIRS_DOWN) {
+      if (this.level >= this.maze.getFloors() - 1) {
+        this.setStatus('Stairs lead down, so they need a floor below', true);
+        return;
+      }
+      const below = this.maze.getGrid(this.level + 1)[z][x];
+      if (
+        cell === CELL.EXIT || below === CELL.EXIT ||
+        below === CELL.STAIRS_DOWN || this.isStart(x, z) || this.isStart(x, z, this.level + 1)
+      ) {
+        this.setStatus('Stairs must go on free cells on both floors', true);
+        return;
+      }
+    }
+
+    this.pushHistory();
+    const upperGrid = this.maze.getGrid(upper);
+    const lowerGrid = this.maze.getGrid(upper + 1);
+    if (upperGrid[z][x] === CELL.STAIRS_DOWN) {
+      upperGrid[z][x] = CELL.OPEN;
+      lowerGrid[z][x] = CELL.OPEN;
+    } else {
+      upperGrid[z][x] = CELL.STAIRS_DOWN;
+      lowerGrid[z][x] = CELL.STAIRS_UP;
+    }
+    this.updateStairs();
+    this.rebuild();
+  }
+
+  updateStairs() {
+    this.maze.stairs = [];
+    this.maze.levels.forEach((grid, level) => grid.forEach((row, z) => row.forEach((cell, x) => {
+      if (cell === CELL.STAIRS_DOWN) {
+        this.maze.stairs.push({ x, z, level });
+      }
+    })));
+  }
+
+  snapshot() {
+    return JSON.stringify({
+      levels: this.maze.levels,
+      start: this.maze.start,
+      end: this.maze.end,
+      torches: this.maze.torches,
+    });
+  }
+
+  restore(snapshot) {
+    const data = JSON.parse(snapshot);
+    this.maze.levels = data.levels;
+    this.maze.grid = data.levels[0];
+    this.maze.start = data.start;
+    this.maze.end = data.end;
+    this.maze.torches = data.torches;
+    this.updateStairs();
+  }
+
+  pushHistory() {
+    this.undoStack.push(this.snapshot());
+    if (this.undoStack.length > MAX_HISTORY) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.updateHistoryButtons();
+  }
+
+  undo() {
+    if (this.undoStack.length === 0) return;
+    this.redoStack.push(this.snapshot());
+    this.restore(this.undoStack.pop());
+    this.rebuild();
+  }
+
+  redo() {
+    if (this.redoStack.length === 0) return;
+    this.undoStack.push(this.snapshot());
+    this.restore(this.redoStack.pop());
+    this.rebuild();
+  }
+
+  updateHistoryButtons() {
+    this.undoButton.disabled = this.undoStack.length === 0;
+    this.redoButton.disabled = this.redoStack.length === 0;
+  }
+}
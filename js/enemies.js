@@ -0,0 +1,316 @@
+// Enemies Module: creatures that patrol the dungeon and hunt the player
+//
+// Simulation only, like core.js: no three.js and no DOM. The game core spawns
+// and steps the enemies; the app just draws them where they are. Enemies keep
+// to the floor they spawn on and move from cell centre to cell centre.
+//
+// An enemy patrols the corridors near its lair until it notices the player,
+// by seeing them (in range, in front of it, nothing in the way) or by hearing
+// them close by. It then chases along the grid, heads for where it last saw
+// the player if it loses sight, searches there for a while and goes back to
+// patrolling.
+import { CELL } from './maze.js';
+import { SeededRandom } from './random.js';
+import { Navigator } from './navigation.js';
+
+// 'patrol', 'chase', 'search'
+export const ENEMY_STATES = ['patrol', 'chase', 'search'];
+
+const DIRECTIONS = [
+  { dx: 0, dz: -1 }, // North
+  { dx: 1, dz: 0 },  // East
+  { dx: 0, dz: 1 },  // South
+  { dx: -1, dz: 0 }, // West
+];
+
+// Cells an enemy can walk on: open, not a locked door and not stairs, which
+// would take it to another floor
+function isWalkable(maze, x, z, level) {
+  if (maze.isWall(x, z, level)) return false;
+  const cell = maze.getCell(x, z, level);
+  return cell !== CELL.STAIRS_DOWN && cell !== CELL.STAIRS_UP && cell !== CELL.DOOR;
+}
+
+// Open cells with a single open neighbour, on one floor
+export function findDeadEnds(maze, level) {
+  const deadEnds = [];
+  for (let z = 0; z < maze.getHeight(); z++) {
+    for (let x = 0; x < maze.getWidth(); x++) {
+      if (!isWalkable(maze, x, z, level)) continue;
+      const open = DIRECTIONS.filter(dir => !maze.isWall(x + dir.dx, z + dir.dz, level)).length;
+      if (open === 1) {
+        deadEnds.push({ x, z, level });
+      }
+    }
+  }
+  return deadEnds;
+}
+
+// Whether the straight line between two world points crosses only open
+// cells. Visits every grid cell the line passes through, in order.
+export function hasLineOfSight(maze, level, cellSize, fromX, fromZ, toX, toZ) {
+  // Grid coordinates where cell n spans [n - 0.5, n + 0.5)
+  const startX = fromX / cellSize + 0.5;
+  const startZ = fromZ / cellSize + 0.5;
+  const endX = toX / cellSize + 0.5;
+  const endZ = toZ / cellSize + 0.5;
+
+  let x = Math.floor(startX);
+  let z = Math.floor(startZ);
+  const targetX = Math.floor(endX);
+  const targetZ = Math.floor(endZ);
+  const dx = endX - startX;
+  const dz = endZ - startZ;
+  const stepX = Math.sign(dx);
+  const stepZ = Math.sign(dz);
+
+  // Distance along the line, as a fraction of it, to the next cell border on
+  // each axis and between borders
+  const deltaX = stepX !== 0 ? Math.abs(1 / dx) : Infinity;
+  const deltaZ = stepZ !== 0 ? Math.abs(1 / dz) : Infinity;
+  let nextX = stepX > 0 ? (x + 1 - startX) * deltaX : stepX < 0 ? (startX - x) * deltaX : Infinity;
+  let nextZ = stepZ > 0 ? (z + 1 - startZ) * deltaZ : stepZ < 0 ? (startZ - z) * deltaZ : Infinity;
+
+  while (x !== targetX || z !== targetZ) {
+    if (nextX < nextZ) {
+      x += stepX;
+      nextX += deltaX;
+    } else {
+      z += stepZ;
+      nextZ += deltaZ;
+    }
+    if (maze.isWall(x, z, level)) return false;
+
+    // Rounding can carry the walk past the end; it has seen all it needs to
+    if (nextX > 1 && nextZ > 1) break;
+  }
+  return true;
+}
+
+// Lairs for `count` enemies: dead ends well away from the start, chosen with
+// the maze's seed so the same maze always gets the same enemies. Mazes
+// without enough dead ends use the farthest open cells instead.
+export function findSpawnPoints(maze, count) {
+  if (count <= 0) return [];
+
+  const start = maze.getStart();
+  const end = maze.getEnd();
+  // Walking distance from the start, by "level,x,z"; stairs connect the
+  // floors, as they do for the player
+  const reachable = new Navigator(maze).findWithin(start);
+  const distances = new Map(reachable.map(cell => [`${cell.level},${cell.x},${cell.z}`, cell.distance]));
+  const distanceTo = cell => distances.get(`${cell.level},${cell.x},${cell.z}`);
+  const farthest = reachable.length > 0 ? reachable[reachable.length - 1].distance : 0;
+  const minDistance = Math.max(6, farthest * 0.4);
+
+  const isEnd = cell => cell.x === end.x && cell.z === end.z && cell.level === end.level;
+
+  let candidates = [];
+  for (let level = 0; level < maze.getFloors(); level++) {
+    candidates.push(...findDeadEnds(maze, level).filter(cell => distanceTo(cell) >= minDistance && !isEnd(cell)));
+  }
+
+  const random = new SeededRandom(maze.getSeed());
+  shuffle(candidates, random);
+
+  if (candidates.length < count) {
+    // Then any open cell, farthest first
+    const extra = [];
+    for (const { x, z, level, distance } of reachable) {
+      const cell = { x, z, level };
+      if (distance >= 6 && isWalkable(maze, x, z, level) && !isEnd(cell)) {
+        extra.push(cell);
+      }
+    }
+    extra.sort((a, b) => distanceTo(b) - distanceTo(a));
+    candidates = candidates.concat(extra);
+  }
+
+  // Keep lairs apart, so enemies don't start as a pack
+  const chosen = [];
+  for (const cell of candidates) {
+    if (chosen.length === count) break;
+    if (chosen.every(other => other.level !== cell.level || Math.abs(other.x - cell.x) + Math.abs(other.z - cell.z) > 4)) {
+      chosen.push(cell);
+    }
+  }
+  return chosen;
+}
+
+function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = random.nextInt(i + 1);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+export class Enemy {
+  constructor(cell, cellSize, random, options = {}) {
+    this.cellSize = cellSize;
+    this.random = random;
+
+    // Lair, and where it is now (world units)
+    this.home = { x: cell.x, z: cell.z };
+    this.level = cell.level;
+    this.x = cell.x * cellSize;
+    this.z = cell.z * cellSize;
+    this.yaw = 0; // facing, same convention as the player
+
+    // Movement, units per second. The player walks at up to 30 and sprints
+    // faster still, so a chase is lost by running and won by cornering.
+    this.patrolSpeed = options.patrolSpeed || 3.0;
+    this.chaseSpeed = options.chaseSpeed || 9.0;
+    this.patrolRadius = options.patrolRadius || 5; // cells from the lair
+
+    // Senses, units. Crouching players are seen from half as far and can't
+    // be heard at all.
+    this.sightRange = options.sightRange || 16;
+    this.fieldOfView = options.fieldOfView || Math.PI * 2 / 3;
+    this.hearingRange = options.hearingRange || 3;
+    this.crouchSightScale = 0.5;
+    this.catchRadius = options.catchRadius || 0.8;
+
+    // Seconds spent searching where the player was last seen
+    this.searchTime = options.searchTime || 3;
+
+    this.state = 'patrol';
+    this.path = [];     // cells still to walk, next first
+    this.wait = 0;      // seconds left standing still
+    this.lastSeen = null; // cell the player was last noticed in
+  }
+
+  getCell() {
+    return {
+      x: Math.round(this.x / this.cellSize),
+      z: Math.round(this.z / this.cellSize),
+      level: this.level,
+    };
+  }
+
+  // Advances the enemy by dt seconds against the core's maze and player.
+  // Returns what happened: null, 'spotted' or 'caught'.
+  update(dt, core) {
+    const player = core.player;
+    // The core answers isWall/getCell for the maze as it stands this run, so
+    // doors the player has opened let enemies through too; its navigator
+    // routes them the same way
+    const maze = core;
+    const navigator = core.enemyNavigator;
+    let result = null;
+
+    const noticed = this.canNotice(player, maze);
+    if (noticed) {
+      const playerCell = core.getPlayerCell();
+      if (this.state !== 'chase') {
+        this.state = 'chase';
+        result = 'spotted';
+      }
+      if (!this.lastSeen || this.lastSeen.x !== playerCell.x || this.lastSeen.z !== playerCell.z) {
+        this.lastSeen = playerCell;
+        this.path = navigator.findPath(this.getCell(), playerCell) || [];
+      }
+    }
+
+    if (this.state === 'patrol') {
+      if (this.path.length === 0 && this.wait <= 0) {
+        this.path = this.pickPatrolPath(navigator);
+        this.wait = 0.5 + this.random.next();
+      }
+    } else if (this.state === 'chase' && !noticed && this.path.length === 0) {
+      // Reached where the player was last seen, and they're gone
+      this.state = 'search';
+      this.wait = this.searchTime;
+    } else if (this.state === 'search' && this.wait <= 0) {
+      this.state = 'patrol';
+      this.lastSeen = null;
+      // Every enemy's lair has its own cached field, so going home is cheap
+      this.path = navigator.pathTo(this.getCell(), this.getHome()) || [];
+    }
+
+    if (this.path.length > 0) {
+      this.walk(dt, this.state === 'chase' ? this.chaseSpeed : this.patrolSpeed);
+    } else {
+      this.wait -= dt;
+      if (this.state === 'search') {
+        this.yaw += dt * 2; // looking around
+      } else if (this.state === 'chase' && player.level === this.level) {
+        // Cornered the player in its own cell; close the last gap
+        this.walkTowards(player.x, player.z, dt * this.chaseSpeed);
+      }
+    }
+
+    if (player.level === this.level && Math.hypot(player.x - this.x, player.z - this.z) < this.catchRadius + core.playerRadius) {
+      result = 'caught';
+    }
+    return result;
+  }
+
+  canNotice(player, maze) {
+    if (player.level !== this.level) return false;
+
+    const dx = player.x - this.x;
+    const dz = player.z - this.z;
+    const distance = Math.hypot(dx, dz);
+
+    const heard = !player.crouching && distance <= this.hearingRange;
+    if (!heard) {
+      const range = this.sightRange * (player.crouching ? this.crouchSightScale : 1);
+      if (distance > range) return false;
+
+      // Chasing enemies keep their eyes on the player; others only see ahead
+      if (this.state !== 'chase') {
+        const facingX = -Math.sin(this.yaw);
+        const facingZ = -Math.cos(this.yaw);
+        const cos = distance > 0 ? (dx * facingX + dz * facingZ) / distance : 1;
+        if (cos < Math.cos(this.fieldOfView / 2)) return false;
+      }
+    }
+
+    return hasLineOfSight(maze, this.level, this.cellSize, this.x, this.z, player.x, player.z);
+  }
+
+  getHome() {
+    return { x: this.home.x, z: this.home.z, level: this.level };
+  }
+
+  // A short walk to an open cell near the lair
+  pickPatrolPath(navigator) {
+    const cells = navigator.findWithin(this.getHome(), this.patrolRadius)
+      .filter(cell => cell.distance > 1);
+    const targets = cells.length > 0 ? cells : [this.getHome()];
+    const target = targets[this.random.nextInt(targets.length)];
+    return navigator.findPath(this.getCell(), { x: target.x, z: target.z, level: this.level }) || [];
+  }
+
+  // Along the path, cell centre to cell centre
+  walk(dt, speed) {
+    let distance = speed * dt;
+    while (distance > 0 && this.path.length > 0) {
+      const next = this.path[0];
+      const remaining = this.walkTowards(next.x * this.cellSize, next.z * this.cellSize, distance);
+      if (remaining === null) break;
+      distance = remaining;
+      this.path.shift();
+    }
+  }
+
+  // Moves up to `distance` towards a point. Returns the distance left over
+  // once there, or null when it ran out on the way.
+  walkTowards(x, z, distance) {
+    const dx = x - this.x;
+    const dz = z - this.z;
+    const length = Math.hypot(dx, dz);
+    if (length > 0) {
+      this.yaw = Math.atan2(-dx, -dz);
+    }
+    if (length <= distance) {
+      this.x = x;
+      this.z = z;
+      return distance - length;
+    }
+    this.x += dx / length * distance;
+    this.z += dz / length * distance;
+    return null;
+  }
+}
@@ -0,0 +1,275 @@
+// Input Module: keyboard, mouse and gamepad mapped to game actions
+//
+// Bindings map each action to a list of control codes:
+//   'KeyW', 'ArrowUp'   keyboard, by KeyboardEvent.code
+//   'Mouse0'            mouse button (0 left, 1 middle, 2 right)
+//   'Pad0'              gamepad button, in the standard mapping (0 A ... 9 Start)
+//   'Axis1-', 'Axis1+'  one direction of a gamepad stick axis
+// Every control reads as a value from 0 to 1, so a half-tilted stick walks at
+// half speed while a key is all or nothing. Mouse movement always looks
+// around; it isn't a binding, and neither are the touch controls (touch.js).
+
+// Bindable actions and their labels
+export const INPUT_ACTIONS = {
+  moveForward: 'Move Forward',
+  moveBackward: 'Move Backward',
+  moveLeft: 'Strafe Left',
+  moveRight: 'Strafe Right',
+  sprint: 'Sprint',
+  crouch: 'Crouch',
+  jump: 'Jump',
+  lookLeft: 'Look Left',
+  lookRight: 'Look Right',
+  lookUp: 'Look Up',
+  lookDown: 'Look Down',
+  hint: 'Show Hint',
+  map: 'Toggle Map',
+  pause: 'Pause',
+};
+
+// Actions that fire once per press rather than being held
+export const PRESS_ACTIONS = ['hint', 'map', 'pause'];
+
+export const DEFAULT_BINDINGS = {
+  moveForward: ['KeyW', 'ArrowUp', 'Axis1-'],
+  moveBackward: ['KeyS', 'ArrowDown', 'Axis1+'],
+  moveLeft: ['KeyA', 'ArrowLeft', 'Axis0-'],
+  moveRight: ['KeyD', 'ArrowRight', 'Axis0+'],
+  sprint: ['ShiftLeft', 'Pad10'],
+  crouch: ['KeyC', 'Pad1'],
+  jump: ['Space', 'Pad0'],
+  lookLeft: ['Axis2-'],
+  lookRight: ['Axis2+'],
+  lookUp: ['Axis3-'],
+  lookDown: ['Axis3+'],
+  hint: ['KeyH', 'Pad3'],
+  map: ['KeyM', 'Pad8'],
+  pause: ['KeyP', 'Pad9'],
+};
+
+// Standard gamepad mapping, as labelled on an Xbox-style pad
+const PAD_BUTTONS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'L3', 'R3', 'D-Pad ↑', 'D-Pad ↓', 'D-Pad ←', 'D-Pad →', 'Home',
+];
+const MOUSE_BUTTONS = ['Left Click', 'Middle Click', 'Right Click'];
+
+// Axis half past which it counts as pressed, for press actions and rebinding
+const PRESS_THRESHOLD = 0.5;
+
+// 'gamepad' for pad buttons and sticks, 'keyboard' for keys and the mouse
+export function getDevice(code) {
+  return /^(Pad|Axis)\d/.test(code) ? 'gamepad' : 'keyboard';
+}
+
+// Readable name for a control code
+export function formatBinding(code) {
+  const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+  if (arrows[code]) return arrows[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+
+  let match = code.match(/^Mouse(\d+)$/);
+  if (match) return MOUSE_BUTTONS[match[1]] || `Mouse ${match[1]}`;
+  match = code.match(/^Pad(\d+)$/);
+  if (match) return PAD_BUTTONS[match[1]] || `Button ${match[1]}`;
+  match = code.match(/^Axis(\d+)([+-])$/);
+  if (match) {
+    const axis = Number(match[1]);
+    const stick = axis < 2 ? 'L Stick' : axis < 4 ? 'R Stick' : `Axis ${axis}`;
+    const directions = axis % 2 === 0 ? { '-': '←', '+': '→' } : { '-': '↑', '+': '↓' };
+    return `${stick} ${directions[match[2]]}`;
+  }
+
+  return code.replace(/(Left|Right)$/, '');
+}
+
+export class InputManager {
+  constructor(bindings, options = {}) {
+    this.bindings = bindings;
+    this.deadzone = options.deadzone === undefined ? 0.2 : options.deadzone;
+
+    // Called with the action when a press action's control goes down, and
+    // with (code, pressed) whenever any digital control changes
+    this.onAction = options.onAction || null;
+    this.onControl = options.onControl || null;
+
+    // Held keys, mouse buttons, pad buttons and axis halves past the threshold
+    this.pressed = new Set();
+
+    // Stick axes of the first connected gamepad, deadzone applied
+    this.axes = [];
+    this.gamepadName = null;
+
+    // Callback waiting for the next control pressed on a device, for rebinding
+    this.capture = null;
+
+    // Other devices read straight by action, like the touch joystick: objects
+    // with getValue(action) returning 0 to 1
+    this.sources = [];
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onMouseDown = this.onMouseDown.bind(this);
+    this.onMouseUp = this.onMouseUp.bind(this);
+    this.onBlur = this.onBlur.bind(this);
+
+    // Capture phase, so a key taken for rebinding never reaches the game
+    window.addEventListener('keydown', this.onKeyDown, true);
+    window.addEventListener('keyup', this.onKeyUp, true);
+    window.addEventListener('mousedown', this.onMouseDown, true);
+    window.addEventListener('mouseup', this.onMouseUp, true);
+    window.addEventListener('blur', this.onBlur);
+  }
+
+  setBindings(bindings) {
+    this.bindings = bindings;
+  }
+
+  addSource(source) {
+    this.sources.push(source);
+  }
+
+  onKeyDown(event) {
+    if (this.captureControl(event.code, event)) return;
+    if (!event.repeat) this.press(event.code);
+  }
+
+  onKeyUp(event) {
+    this.release(event.code);
+  }
+
+  onMouseDown(event) {
+    if (this.captureControl(`Mouse${event.button}`, event)) return;
+    this.press(`Mouse${event.button}`);
+  }
+
+  onMouseUp(event) {
+    this.release(`Mouse${event.button}`);
+  }
+
+  onBlur() {
+    // Key-ups are lost while the window is in the background
+    this.clear();
+  }
+
+  press(code) {
+    if (this.pressed.has(code)) return;
+    this.pressed.add(code);
+    if (this.onControl) this.onControl(code, true);
+
+    for (const action of PRESS_ACTIONS) {
+      if (this.bindings[action].includes(code) && this.onAction) {
+        this.onAction(action);
+      }
+    }
+  }
+
+  release(code) {
+    if (!this.pressed.delete(code)) return;
+    if (this.onControl) this.onControl(code, false);
+  }
+
+  // Drop everything held, e.g. when pausing (the releases may never arrive)
+  clear() {
+    this.pressed.clear();
+  }
+
+  // Hands the next control pressed on a device ('keyboard' or 'gamepad') to
+  // the callback instead of the game. Escape always comes through, to cancel.
+  captureNext(device, callback) {
+    this.capture = { device, callback };
+  }
+
+  cancelCapture() {
+    this.capture = null;
+  }
+
+  captureControl(code, event = null) {
+    if (!this.capture || (code !== 'Escape' && getDevice(code) !== this.capture.device)) {
+      return false;
+    }
+    if (event) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+    const { callback } = this.capture;
+    this.capture = null;
+    callback(code);
+    return true;
+  }
+
+  // Reads the gamepad; call once a frame. Browsers only report gamepads by
+  // polling, so pad buttons and sticks act through here rather than events.
+  update() {
+    const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    const pad = [...pads].find(candidate => candidate && candidate.connected);
+    this.gamepadName = pad ? pad.id : null;
+    if (!pad) {
+      this.axes = [];
+      for (const code of this.pressed) {
+        if (getDevice(code) === 'gamepad') this.release(code);
+      }
+      return;
+    }
+
+    // Deadzone per stick rather than per axis, so diagonals stay smooth
+    this.axes = [];
+    for (let axis = 0; axis < pad.axes.length; axis += 2) {
+      const x = pad.axes[axis] || 0;
+      const y = pad.axes[axis + 1] || 0;
+      const length = Math.hypot(x, y);
+      const scale = length > this.deadzone ? Math.min(1, (length - this.deadzone) / (1 - this.deadzone)) / length : 0;
+      this.axes[axis] = x * scale;
+      this.axes[axis + 1] = y * scale;
+    }
+
+    const controls = [];
+    pad.buttons.forEach((button, index) => controls.push([`Pad${index}`, button.pressed]));
+    this.axes.forEach((value, index) => {
+      controls.push([`Axis${index}-`, value < -PRESS_THRESHOLD]);
+      controls.push([`Axis${index}+`, value > PRESS_THRESHOLD]);
+    });
+
+    for (const [code, down] of controls) {
+      if (down && !this.pressed.has(code) && this.captureControl(code)) {
+        // Held already, so the action it was just bound to waits for a fresh press
+        this.pressed.add(code);
+      } else if (down) {
+        this.press(code);
+      } else {
+        this.release(code);
+      }
+    }
+  }
+
+  // How far a control is pushed, 0 to 1
+  getControlValue(code) {
+    const match = code.match(/^Axis(\d+)([+-])$/);
+    if (match) {
+      const value = this.axes[match[1]] || 0;
+      return Math.max(0, match[2] === '+' ? value : -value);
+    }
+    return this.pressed.has(code) ? 1 : 0;
+  }
+
+  // Strongest of an action's bound controls and the other sources, 0 to 1
+  getValue(action) {
+    let value = 0;
+    for (const code of this.bindings[action] || []) {
+      value = Math.max(value, this.getControlValue(code));
+    }
+    for (const source of this.sources) {
+      value = Math.max(value, source.getValue(action));
+    }
+    return value;
+  }
+
+  dispose() {
+    window.removeEventListener('keydown', this.onKeyDown, true);
+    window.removeEventListener('keyup', this.onKeyUp, true);
+    window.removeEventListener('mousedown', this.onMouseDown, true);
+    window.removeEventListener('mouseup', this.onMouseUp, true);
+    window.removeEventListener('blur', this.onBlur);
+  }
+}
@@ -0,0 +1,240 @@
+// Leaderboard Module: finished runs kept in IndexedDB
+//
+// Each run record:
+//   {
+//     "id": 1,                         // assigned by IndexedDB
+//     "finishedAt": "2024-01-01T12:00:00.000Z",
+//     "config": "maze:backtracker:21x21:1f:0b",
+//     "seed": 123, "level": null,      // level name for imported/edited levels
+//     "layout": "maze", "algorithm": "backtracker",
+//     "width": 21, "height": 21, "floors": 1, "braid": 0,
+//     "doors": 1,                      // locked doors; config ends ":1d" when any
+//     "difficulty": "medium",
+//     "time": 83.2,                    // active seconds, pauses excluded
+//     "distance": 154.1,               // metres walked
+//     "hintsUsed": 2,
+//     "penalty": 20,                   // seconds the hints added to the time
+//     "cellsExplored": 140, "openCells": 220,
+//     "optimalLength": 56,             // cells on the shortest route, keys included
+//     "actualLength": 97,              // cells actually stepped through
+//     "pathRatio": 0.58                // optimal / actual, 1 is a perfect run
+//   }
+//
+// Runs with the same config compete for a personal best: the lowest time
+// once hint penalties are added (see getScore).
+// The best run on each config and seed, scored the same way, also keeps its
+// recording (see recording.js) for ghost replays.
+
+import { MAZE_ALGORITHMS } from './algorithms.js';
+
+const DB_NAME = 'dungeon-maze';
+const DB_VERSION = 2;
+const STORE = 'runs';
+const RECORDINGS_STORE = 'recordings';
+
+export const HISTORY_FORMAT = 'dungeon-maze-history';
+export const HISTORY_VERSION = 1;
+
+// Fields every imported run must have, and their types
+const RUN_FIELDS = {
+  finishedAt: 'string',
+  config: 'string',
+  layout: 'string',
+  width: 'number',
+  height: 'number',
+  floors: 'number',
+  time: 'number',
+  distance: 'number',
+  hintsUsed: 'number',
+  cellsExplored: 'number',
+  optimalLength: 'number',
+  actualLength: 'number',
+  pathRatio: 'number',
+};
+
+// Fields an imported run may leave out (older runs have no penalty or doors,
+// levels no seed), but that must be finite numbers when present: scores and
+// configs are worked out from them
+const OPTIONAL_NUMBER_FIELDS = ['penalty', 'braid', 'doors', 'seed'];
+
+// Layouts a run can be on: the generators', or 'custom' for loaded levels
+const RUN_LAYOUTS = ['maze', 'rooms', 'custom'];
+
+// Longest level name an imported run may have
+const MAX_LEVEL_NAME = 80;
+
+export class HistoryFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HistoryFormatError';
+  }
+}
+
+// A run's final time, hint penalty included; runs from before penalties
+// have none
+export function getScore(run) {
+  return run.time + (run.penalty || 0);
+}
+
+// Key grouping runs on the same kind of maze; seeds differ between runs
+export function getRunConfig({ layout, algorithm, width, height, floors, braid, doors = 0, level }) {
+  if (level) {
+    return `level:${level}`;
+  }
+  // Mazes without doors keep the key they had before doors existed
+  const config = `${layout}:${algorithm}:${width}x${height}:${floors}f:${Math.round(braid * 100)}b`;
+  return doors > 0 ? `${config}:${doors}d` : config;
+}
+
+// Wraps an IDBRequest (or transaction) in a promise
+function promisify(request, event = 'success') {
+  return new Promise((resolve, reject) => {
+    request.addEventListener(event, () => resolve(request.result));
+    request.addEventListener('error', () => reject(request.error));
+  });
+}
+
+export class Leaderboard {
+  constructor() {
+    this.db = null;
+  }
+
+  // Resolves once the database is ready; rejects where IndexedDB is missing
+  // or blocked (some private browsing modes)
+  async open() {
+    if (this.db) return this.db;
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available');
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.addEventListener('upgradeneeded', () => {
+      // Version 1 only had runs
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+        db.createObjectStore(RECORDINGS_STORE, { keyPath: 'key' });
+      }
+    });
+    this.db = await promisify(request);
+    return this.db;
+  }
+
+  async addRun(run) {
+    const db = await this.open();
+    const transaction = db.transaction(STORE, 'readwrite');
+    const id = await promisify(transaction.objectStore(STORE).add(run));
+    return { ...run, id };
+  }
+
+  // All runs, newest first
+  async getRuns() {
+    const db = await this.open();
+    const runs = await promisify(db.transaction(STORE).objectStore(STORE).getAll());
+    return runs.sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+  }
+
+  // Best run (lowest score) for each config, as a Map of config -> run. Oldest first, so
+  // the first run to set a time keeps it on a tie.
+  async getPersonalBests() {
+    const bests = new Map();
+    for (const run of (await this.getRuns()).reverse()) {
+      const best = bests.get(run.config);
+      if (!best || getScore(run) < getScore(best)) {
+        bests.set(run.config, run);
+      }
+    }
+    return bests;
+  }
+
+  async getRecording(key) {
+    const db = await this.open();
+    const recording = await promisify(db.transaction(RECORDINGS_STORE).objectStore(RECORDINGS_STORE).get(key));
+    return recording || null;
+  }
+
+  // Keeps the best-scoring recording for each config and seed, as personal
+  // bests are ranked. Resolves to true when this recording was stored.
+  async saveRecording(recording) {
+    const existing = await this.getRecording(recording.key);
+    if (existing && getScore(existing) <= getScore(recording)) {
+      return false;
+    }
+
+    const db = await this.open();
+    const transaction = db.transaction(RECORDINGS_STORE, 'readwrite');
+    transaction.objectStore(RECORDINGS_STORE).put(recording);
+    await promisify(transaction, 'complete');
+    return true;
+  }
+
+  async exportJSON() {
+    const runs = await this.getRuns();
+    return {
+      format: HISTORY_FORMAT,
+      version: HISTORY_VERSION,
+      exportedAt: new Date().toISOString(),
+      runs: runs.map(({ id, ...run }) => run),
+    };
+  }
+
+  // Adds the runs from an exported file, skipping ones already stored.
+  // Resolves to the number of runs added.
+  async importJSON(input) {
+    let data = input;
+    if (typeof input === 'string') {
+      try {
+        data = JSON.parse(input);
+      } catch (error) {
+        throw new HistoryFormatError(`Invalid JSON: ${error.message}`);
+      }
+    }
+
+    if (!data || data.format !== HISTORY_FORMAT) {
+      throw new HistoryFormatError(`Not a run history file (expected format "${HISTORY_FORMAT}")`);
+    }
+    if (data.version !== HISTORY_VERSION) {
+      throw new HistoryFormatError(`Unsupported history version ${data.version}`);
+    }
+    if (!Array.isArray(data.runs)) {
+      throw new HistoryFormatError('History has no runs list');
+    }
+    data.runs.forEach((run, index) => {
+      for (const [field, type] of Object.entries(RUN_FIELDS)) {
+        if (!run || typeof run[field] !== type) {
+          throw new HistoryFormatError(`Run ${index + 1} is missing "${field}"`);
+        }
+      }
+      for (const field of OPTIONAL_NUMBER_FIELDS) {
+        if (run[field] != null && !Number.isFinite(run[field])) {
+          throw new HistoryFormatError(`Run ${index + 1} has an invalid "${field}"`);
+        }
+      }
+      // Names are shown in the history table, so only ones the game makes
+      if (!RUN_LAYOUTS.includes(run.layout)) {
+        throw new HistoryFormatError(`Run ${index + 1} has an unknown layout "${run.layout}"`);
+      }
+      if (run.layout === 'maze' && !MAZE_ALGORITHMS[run.algorithm]) {
+        throw new HistoryFormatError(`Run ${index + 1} has an unknown algorithm`);
+      }
+      if (run.level != null && (typeof run.level !== 'string' || run.level.length > MAX_LEVEL_NAME)) {
+        throw new HistoryFormatError(`Run ${index + 1} has an invalid level name`);
+      }
+    });
+
+    // A run is the same run if it finished at the same moment on the same maze
+    const existing = new Set((await this.getRuns()).map(run => `${run.finishedAt}|${run.config}`));
+    const added = data.runs.filter(run => !existing.has(`${run.finishedAt}|${run.config}`));
+
+    const db = await this.open();
+    const transaction = db.transaction(STORE, 'readwrite');
+    const store = transaction.objectStore(STORE);
+    for (const { id, ...run } of added) {
+      store.add(run);
+    }
+    await promisify(transaction, 'complete');
+    return added.length;
+  }
+}
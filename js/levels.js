@@ -0,0 +1,473 @@
+// Level Import/Export Module
+//
+// Two formats for saving and hand-authoring levels:
+//
+// JSON (versioned):
+//   {
+//     "format": "dungeon-maze-level",
+//     "version": 1,
+//     "width": 21, "height": 21, "floors": 1,
+//     "cells": [["111...", "101...", ...]],   // one row string per z, per floor
+//     "start": { "x": 1, "z": 1, "level": 0 },
+//     "end": { "x": 19, "z": 19, "level": 0 },
+//     "torches": [{ "x": 1, "z": 1, "level": 0, "dx": 1, "dz": 0 }],
+//     "doors": [{ "x": 9, "z": 4, "level": 0 }],  // optional, door cells in key order
+//     "keys": [{ "x": 3, "z": 7, "level": 0 }],   // optional, keys[i] opens doors[i]
+//     "metadata": { "name": "...", "author": "...", "seed": 123 }
+//   }
+//   Cell digits are the CELL values from maze.js. Without "doors", door
+//   cells pair with the keys in reading order (floor, then row, then column).
+//
+// ASCII: '#' wall, '.' floor, 'S' start, 'E' exit, '>' stairs down and
+//   '<' stairs up. A capital letter other than E or S is a locked door and
+//   the same letter in lower case its key; doors go in alphabetical order.
+//   Floors are separated by a blank line; lines starting with ';' are
+//   comments. Torches are placed automatically.
+import { MazeGenerator, CELL } from './maze.js';
+
+export const LEVEL_FORMAT = 'dungeon-maze-level';
+export const LEVEL_VERSION = 1;
+
+const ASCII_TO_CELL = {
+  '#': CELL.WALL,
+  '.': CELL.OPEN,
+  'S': CELL.OPEN,
+  'E': CELL.EXIT,
+  '>': CELL.STAIRS_DOWN,
+  '<': CELL.STAIRS_UP,
+};
+
+// Door i is DOOR_LETTERS[i] in ASCII levels, and its key the lower case
+const DOOR_LETTERS = 'ABCDFGHIJKLMNOPQRTUVWXYZ';
+
+const CELL_TO_ASCII = {
+  [CELL.WALL]: '#',
+  [CELL.OPEN]: '.',
+  [CELL.EXIT]: 'E',
+  [CELL.STAIRS_DOWN]: '>',
+  [CELL.STAIRS_UP]: '<',
+};
+
+export class LevelFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LevelFormatError';
+  }
+}
+
+// A MazeGenerator whose grid comes from a level file instead of being carved
+export class LoadedMaze extends MazeGenerator {
+  constructor(level) {
+    super(level.width, level.height, { seed: level.metadata.seed, floors: level.cells.length });
+
+    // Hand-made levels may have even dimensions
+    this.width = level.width;
+    this.height = level.height;
+
+    this.levels = level.cells;
+    this.grid = this.levels[0];
+    this.start = { ...level.start };
+    this.end = { ...level.end };
+    this.stairs = level.stairs;
+    this.doors = level.doors;
+    this.keys = level.keys;
+    this.metadata = level.metadata;
+    this.algorithm = 'custom';
+
+    if (level.torches) {
+      this.torches = level.torches.map(torch => ({ ...torch }));
+    } else {
+      this.torches = [];
+      this.levels.forEach((grid, index) => this.placeTorches(index));
+    }
+  }
+
+  generate() {
+    // Already built; nothing to carve
+    return this.grid;
+  }
+
+  getMetadata() {
+    return this.metadata;
+  }
+}
+
+export function exportLevelJSON(maze, metadata = {}) {
+  const floors = maze.getFloors();
+  const cells = [];
+  for (let level = 0; level < floors; level++) {
+    cells.push(maze.getGrid(level).map(row => row.join('')));
+  }
+
+  return {
+    format: LEVEL_FORMAT,
+    version: LEVEL_VERSION,
+    width: maze.getWidth(),
+    height: maze.getHeight(),
+    floors,
+    cells,
+    start: { ...maze.getStart() },
+    end: { ...maze.getEnd() },
+    torches: maze.getTorches().map(torch => ({ ...torch })),
+    doors: maze.getDoors().map(door => ({ ...door })),
+    keys: maze.getKeys().map(key => ({ ...key })),
+    metadata: {
+      seed: maze.getSeed(),
+      algorithm: maze.getAlgorithm(),
+      created: new Date().toISOString(),
+      ...(maze.metadata || {}),
+      ...metadata,
+    },
+  };
+}
+
+export function exportLevelASCII(maze) {
+  const start = maze.getStart();
+  const doors = maze.getDoors();
+  const keys = maze.getKeys();
+  if (doors.length > DOOR_LETTERS.length) {
+    throw new LevelFormatError(`ASCII levels have room for ${DOOR_LETTERS.length} doors`);
+  }
+  const indexAt = (cells, x, z, level) =>
+    cells.findIndex(cell => cell.level === level && cell.x === x && cell.z === z);
+
+  const floors = [];
+  for (let level = 0; level < maze.getFloors(); level++) {
+    const rows = maze.getGrid(level).map((row, z) =>
+      row.map((cell, x) => {
+        if (level === start.level && x === start.x && z === start.z) return 'S';
+        const door = indexAt(doors, x, z, level);
+        if (door !== -1) return DOOR_LETTERS[door];
+        const key = indexAt(keys, x, z, level);
+        if (key !== -1) return DOOR_LETTERS[key].toLowerCase();
+        return CELL_TO_ASCII[cell];
+      }).join('')
+    );
+    floors.push(rows.join('\n'));
+  }
+  return floors.join('\n\n') + '\n';
+}
+
+export function loadLevelJSON(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      throw new LevelFormatError(`Level is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!data || typeof data !== 'object') {
+    throw new LevelFormatError('Level must be a JSON object');
+  }
+  if (data.format !== LEVEL_FORMAT) {
+    throw new LevelFormatError(`Unknown level format "${data.format}", expected "${LEVEL_FORMAT}"`);
+  }
+  if (data.version !== LEVEL_VERSION) {
+    throw new LevelFormatError(`Unsupported level version ${data.version}, expected ${LEVEL_VERSION}`);
+  }
+  if (!Array.isArray(data.cells) || data.cells.length === 0) {
+    throw new LevelFormatError('Level has no cells');
+  }
+
+  const cells = data.cells.map((rows, level) => {
+    if (!Array.isArray(rows)) {
+      throw new LevelFormatError(`Floor ${level + 1} cells must be an array of row strings`);
+    }
+    return rows.map((row, z) => {
+      if (typeof row !== 'string') {
+        throw new LevelFormatError(`Row ${z + 1} of floor ${level + 1} must be a string`);
+      }
+      return [...row].map((char, x) => {
+        const cell = /^\d$/.test(char) ? Number(char) : NaN;
+        if (!Object.values(CELL).includes(cell)) {
+          throw new LevelFormatError(
+            `Unknown cell "${char}" at column ${x + 1}, row ${z + 1} of floor ${level + 1}`
+          );
+        }
+        return cell;
+      });
+    });
+  });
+
+  if (!data.start) {
+    throw new LevelFormatError('Level has no start position');
+  }
+  if (!data.end) {
+    throw new LevelFormatError('Level has no exit position');
+  }
+
+  const level = {
+    width: data.width,
+    height: data.height,
+    cells,
+    start: { level: 0, ...data.start },
+    end: { level: 0, ...data.end },
+    torches: Array.isArray(data.torches)
+      ? data.torches.map(torch => ({ level: 0, ...torch }))
+      : null,
+    doors: Array.isArray(data.doors) ? data.doors.map(door => ({ level: 0, ...door })) : null,
+    keys: Array.isArray(data.keys) ? data.keys.map(key => ({ level: 0, ...key })) : [],
+    metadata: data.metadata || {},
+  };
+
+  // The exit cell is implied by "end"
+  validateLevel(level, { exitFromEnd: true });
+  return new LoadedMaze(level);
+}
+
+export function loadLevelASCII(text, metadata = {}) {
+  const floors = [[]];
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+
+  for (const line of lines) {
+    if (line.startsWith(';')) continue;
+    const trimmed = line.trimEnd();
+    if (trimmed === '') {
+      // A blank line starts a new floor
+      if (floors[floors.length - 1].length > 0) floors.push([]);
+      continue;
+    }
+    floors[floors.length - 1].push(trimmed);
+  }
+  if (floors[floors.length - 1].length === 0) floors.pop();
+
+  if (floors.length === 0) {
+    throw new LevelFormatError('Level is empty');
+  }
+
+  let start = null;
+  let end = null;
+  const doors = [];
+  const keys = [];
+  const cells = floors.map((rows, level) =>
+    rows.map((row, z) =>
+      [...row].map((char, x) => {
+        const letter = DOOR_LETTERS.indexOf(char.toUpperCase());
+        if (letter !== -1) {
+          const cells = char === char.toUpperCase() ? doors : keys;
+          if (cells[letter]) {
+            throw new LevelFormatError(`Level has more than one ${char === char.toUpperCase() ? 'door' : 'key'} ${char}`);
+          }
+          cells[letter] = { x, z, level };
+          return cells === doors ? CELL.DOOR : CELL.OPEN;
+        }
+        if (!(char in ASCII_TO_CELL)) {
+          throw new LevelFormatError(
+            `Unknown character "${char}" at column ${x + 1}, row ${z + 1} of floor ${level + 1}`
+          );
+        }
+        if (char === 'S') {
+          if (start) throw new LevelFormatError('Level has more than one start (S)');
+          start = { x, z, level };
+        }
+        if (char === 'E') {
+          if (end) throw new LevelFormatError('Level has more than one exit (E)');
+          end = { x, z, level };
+        }
+        return ASCII_TO_CELL[char];
+      })
+    )
+  );
+
+  if (!start) {
+    throw new LevelFormatError('Level has no start (S)');
+  }
+  if (!end) {
+    throw new LevelFormatError('Level has no exit (E)');
+  }
+
+  // Letters pair up doors and keys; skipped letters are fine
+  for (let letter = 0; letter < DOOR_LETTERS.length; letter++) {
+    if (Boolean(doors[letter]) !== Boolean(keys[letter])) {
+      const missing = doors[letter] ? `key ${DOOR_LETTERS[letter].toLowerCase()}` : `door ${DOOR_LETTERS[letter]}`;
+      throw new LevelFormatError(`Level has no ${missing}`);
+    }
+  }
+
+  const level = {
+    width: cells[0][0].length,
+    height: cells[0].length,
+    cells,
+    start,
+    end,
+    torches: null,
+    doors: doors.filter(Boolean),
+    keys: keys.filter(Boolean),
+    metadata,
+  };
+
+  validateLevel(level, { exitFromEnd: false });
+  return new LoadedMaze(level);
+}
+
+function validateLevel(level, { exitFromEnd }) {
+  const { cells, start, end } = level;
+  const floorCount = cells.length;
+
+  // Dimensions: every floor and every row must match
+  if (!Number.isInteger(level.width) || !Number.isInteger(level.height)) {
+    level.width = cells[0][0] ? cells[0][0].length : 0;
+    level.height = cells[0].length;
+  }
+  if (level.width < 3 || level.height < 3) {
+    throw new LevelFormatError(`Level must be at least 3x3, got ${level.width}x${level.height}`);
+  }
+  cells.forEach((rows, floor) => {
+    if (rows.length !== level.height) {
+      throw new LevelFormatError(
+        `Floor ${floor + 1} has ${rows.length} rows, expected ${level.height}`
+      );
+    }
+    rows.forEach((row, z) => {
+      if (row.length !== level.width) {
+        throw new LevelFormatError(
+          `Row ${z + 1} of floor ${floor + 1} has ${row.length} cells, expected ${level.width} (ragged row)`
+        );
+      }
+    });
+  });
+
+  const inBounds = (pos) =>
+    Number.isInteger(pos.x) && Number.isInteger(pos.z) && Number.isInteger(pos.level) &&
+    pos.x >= 0 && pos.x < level.width &&
+    pos.z >= 0 && pos.z < level.height &&
+    pos.level >= 0 && pos.level < floorCount;
+
+  if (!inBounds(start)) {
+    throw new LevelFormatError(`Start (${start.x}, ${start.z}) is outside the level`);
+  }
+  if (!inBounds(end)) {
+    throw new LevelFormatError(`Exit (${end.x}, ${end.z}) is outside the level`);
+  }
+  if (cells[start.level][start.z][start.x] === CELL.WALL) {
+    throw new LevelFormatError(`Start (${start.x}, ${start.z}) is inside a wall`);
+  }
+
+  // Exactly one exit cell, at "end"
+  if (exitFromEnd) {
+    if (cells[end.level][end.z][end.x] === CELL.WALL) {
+      throw new LevelFormatError(`Exit (${end.x}, ${end.z}) is inside a wall`);
+    }
+    cells[end.level][end.z][end.x] = CELL.EXIT;
+  }
+  cells.forEach((rows, floor) => rows.forEach((row, z) => row.forEach((cell, x) => {
+    if (cell === CELL.EXIT && (floor !== end.level || x !== end.x || z !== end.z)) {
+      throw new LevelFormatError(`Level has a second exit at (${x}, ${z}) on floor ${floor + 1}`);
+    }
+  })));
+
+  // Stairs must come in matching pairs between neighbouring floors
+  level.stairs = [];
+  cells.forEach((rows, floor) => rows.forEach((row, z) => row.forEach((cell, x) => {
+    if (cell === CELL.STAIRS_DOWN) {
+      if (floor + 1 >= floorCount || cells[floor + 1][z][x] !== CELL.STAIRS_UP) {
+        throw new LevelFormatError(
+          `Stairs down at (${x}, ${z}) on floor ${floor + 1} have no stairs up below them`
+        );
+      }
+      level.stairs.push({ x, z, level: floor });
+    }
+    if (cell === CELL.STAIRS_UP) {
+      if (floor === 0 || cells[floor - 1][z][x] !== CELL.STAIRS_DOWN) {
+        throw new LevelFormatError(
+          `Stairs up at (${x}, ${z}) on floor ${floor + 1} have no stairs down above them`
+        );
+      }
+    }
+  })));
+
+  if (level.torches) {
+    level.torches.forEach((torch, index) => {
+      if (!inBounds(torch) || Math.abs(torch.dx) + Math.abs(torch.dz) !== 1) {
+        throw new LevelFormatError(`Torch ${index + 1} has an invalid position or facing`);
+      }
+    });
+  }
+
+  // Every door cell has a key; listed doors must be door cells, and unlisted
+  // ones pair with the keys in reading order
+  const doorCells = [];
+  cells.forEach((rows, floor) => rows.forEach((row, z) => row.forEach((cell, x) => {
+    if (cell === CELL.DOOR) doorCells.push({ x, z, level: floor });
+  })));
+  if (level.doors) {
+    level.doors.forEach((door, index) => {
+      if (!inBounds(door) || cells[door.level][door.z][door.x] !== CELL.DOOR) {
+        throw new LevelFormatError(`Door ${index + 1} is not on a door cell`);
+      }
+    });
+    if (level.doors.length !== doorCells.length) {
+      throw new LevelFormatError(`Level lists ${level.doors.length} doors but has ${doorCells.length} door cells`);
+    }
+  } else {
+    level.doors = doorCells;
+  }
+  if (level.keys.length !== level.doors.length) {
+    throw new LevelFormatError(`Level has ${level.doors.length} doors but ${level.keys.length} keys`);
+  }
+  level.keys.forEach((key, index) => {
+    if (!inBounds(key) || cells[key.level][key.z][key.x] === CELL.WALL || cells[key.level][key.z][key.x] === CELL.DOOR) {
+      throw new LevelFormatError(`Key ${index + 1} is outside the level or inside a wall or door`);
+    }
+  });
+
+  // Collect every key that can be reached, unlock its door and go again,
+  // until the exit is open or nothing new is reachable
+  const unlocked = new Set();
+  let reachable = null;
+  for (;;) {
+    reachable = floodFill(level, unlocked);
+    const found = level.keys.findIndex((key, index) =>
+      !unlocked.has(index) && reachable.has(`${key.level},${key.x},${key.z}`)
+    );
+    if (found === -1) break;
+    unlocked.add(found);
+  }
+  if (!reachable.has(`${end.level},${end.x},${end.z}`)) {
+    const stuck = level.keys.findIndex((key, index) => !unlocked.has(index));
+    throw new LevelFormatError(stuck === -1
+      ? `Exit (${end.x}, ${end.z}) cannot be reached from the start`
+      : `Exit (${end.x}, ${end.z}) cannot be reached: key ${stuck + 1} is locked behind a door`);
+  }
+}
+
+// Cells reachable from the start, by "level,x,z". Stairs lead between floors;
+// doors only open once their key (by index) is unlocked.
+function floodFill(level, unlocked) {
+  const { cells, start, doors } = level;
+  const visited = new Set([`${start.level},${start.x},${start.z}`]);
+  const stack = [start];
+  const isLocked = (x, z, floor) => doors.some((door, index) =>
+    !unlocked.has(index) && door.x === x && door.z === z && door.level === floor
+  );
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+
+    const neighbours = [
+      { x: current.x + 1, z: current.z, level: current.level },
+      { x: current.x - 1, z: current.z, level: current.level },
+      { x: current.x, z: current.z + 1, level: current.level },
+      { x: current.x, z: current.z - 1, level: current.level },
+    ];
+    const cell = cells[current.level][current.z][current.x];
+    if (cell === CELL.STAIRS_DOWN) neighbours.push({ ...current, level: current.level + 1 });
+    if (cell === CELL.STAIRS_UP) neighbours.push({ ...current, level: current.level - 1 });
+
+    for (const next of neighbours) {
+      if (next.x < 0 || next.x >= level.width || next.z < 0 || next.z >= level.height) continue;
+      if (cells[next.level][next.z][next.x] === CELL.WALL) continue;
+      if (isLocked(next.x, next.z, next.level)) continue;
+
+      const key = `${next.level},${next.x},${next.z}`;
+      if (!visited.has(key)) {
+        visited.add(key);
+        stack.push(next);
+      }
+    }
+  }
+
+  return visited;
+}
@@ -1,54 +1,319 @@
-// Maze Generation Module using Recursive Backtracking Algorithm
+// Maze Generation Module with pluggable carving algorithms
+import { SeededRandom } from './random.js';
+import { MAZE_ALGORITHMS, DEFAULT_ALGORITHM } from './algorithms.js';
+
+// Grid cell values
+export const CELL = {
+  OPEN: 0,
+  WALL: 1,
+  EXIT: 2,
+  STAIRS_DOWN: 3, // leads to the same cell on the floor below
+  STAIRS_UP: 4,   // leads to the same cell on the floor above
+  DOOR: 5,        // locked until the player brings its key
+};
+
+const DIRECTIONS = [
+  { dx: 0, dz: -1 },
+  { dx: 1, dz: 0 },
+  { dx: 0, dz: 1 },
+  { dx: -1, dz: 0 },
+];
 
 export class MazeGenerator {
-  constructor(width, height) {
+  constructor(width, height, options = {}) {
     // Ensure odd dimensions for proper maze walls
     this.width = width % 2 === 0 ? width + 1 : width;
     this.height = height % 2 === 0 ? height + 1 : height;
     this.grid = [];
-    this.start = { x: 1, z: 1 };
-    this.end = { x: this.width - 2, z: this.height - 2 };
+    this.torches = [];
+
+    // Stacked floors joined by stairs; floor 0 is the top, the exit is on the deepest
+    this.floors = Math.max(1, Math.floor(options.floors || 1));
+    this.levels = [];
+    this.stairs = [];
+
+    // Locked doors and their keys: keys[i] opens doors[i], and each key can
+    // be reached without going through its own door or any later one
+    this.doorCount = Math.max(0, Math.floor(options.doors || 0));
+    this.doors = [];
+    this.keys = [];
+
+    this.start = { x: 1, z: 1, level: 0 };
+    this.end = { x: this.width - 2, z: this.height - 2, level: this.floors - 1 };
+
+    // Same seed always produces the same maze
+    this.seed = options.seed !== undefined && options.seed !== null
+      ? SeededRandom.normalizeSeed(options.seed)
+      : SeededRandom.randomSeed();
+    this.random = new SeededRandom(this.seed);
+
+    // Wall torches are placed on a grid of cells this many apart
+    this.torchInterval = options.torchInterval || 6;
+
+    // Braiding: fraction of dead ends to remove (0-1), and fraction of the
+    // remaining inner walls to knock out for extra loops (0-1)
+    this.braid = Math.min(1, Math.max(0, options.braid || 0));
+    this.loops = Math.min(1, Math.max(0, options.loops || 0));
+
+    // Carving strategy, see algorithms.js
+    this.algorithm = options.algorithm || DEFAULT_ALGORITHM;
+    if (!MAZE_ALGORITHMS[this.algorithm]) {
+      throw new Error(`Unknown maze algorithm: ${this.algorithm}`);
+    }
   }
 
   generate() {
+    // Restart the random sequence so repeated calls give the same grid
+    this.random.reset();
+
+    // Each floor is its own maze; carving works on this.grid
+    this.levels = [];
+    for (let level = 0; level < this.floors; level++) {
+      this.grid = this.createSolidGrid();
+      this.levels.push(this.grid);
+
+      // Carve passages using the selected algorithm
+      MAZE_ALGORITHMS[this.algorithm].carve(this);
+
+      // Open up the perfect maze so there is more than one route
+      if (this.braid > 0) {
+        this.braidDeadEnds(this.braid);
+      }
+      if (this.loops > 0) {
+        this.addLoops(this.loops);
+      }
+    }
+
+    // Ensure start and end are open
+    this.levels[this.start.level][this.start.z][this.start.x] = 0;
+    this.levels[this.end.level][this.end.z][this.end.x] = 0;
+
+    // Mark the end cell as exit (value 2)
+    this.levels[this.end.level][this.end.z][this.end.x] = 2;
+
+    this.placeStairs();
+
+    this.torches = [];
+    this.levels.forEach((grid, level) => this.placeTorches(level));
+
+    this.placeDoors();
+
+    // The top floor stays available as this.grid for single-floor callers
+    this.grid = this.levels[0];
+    return this.grid;
+  }
+
+  createSolidGrid() {
     // Initialize grid with all walls
-    this.grid = [];
+    const grid = [];
     for (let z = 0; z < this.height; z++) {
       const row = [];
       for (let x = 0; x < this.width; x++) {
         row.push(1); // 1 = wall
       }
-      this.grid.push(row);
+      grid.push(row);
     }
+    return grid;
+  }
 
-    // Carve passages using recursive backtracking
-    this.carvePassages(1, 1);
+  placeStairs() {
+    // One staircase between each pair of floors, on a maze cell that is open
+    // on both. It avoids the start, the exit and the cell you arrive on.
+    this.stairs = [];
+    let arrival = this.start;
 
-    // Ensure start and end are open
-    this.grid[this.start.z][this.start.x] = 0;
-    this.grid[this.end.z][this.end.x] = 0;
+    for (let level = 0; level < this.floors - 1; level++) {
+      const candidates = [];
+      for (let z = 1; z < this.height - 1; z += 2) {
+        for (let x = 1; x < this.width - 1; x += 2) {
+          if (
+            this.levels[level][z][x] === CELL.OPEN &&
+            this.levels[level + 1][z][x] === CELL.OPEN &&
+            !(x === arrival.x && z === arrival.z) &&
+            !(x === this.end.x && z === this.end.z)
+          ) {
+            candidates.push({ x, z });
+          }
+        }
+      }
 
-    // Mark the end cell as exit (value 2)
-    this.grid[this.end.z][this.end.x] = 2;
+      // Layouts that can open a cell up for the stairs do; tiny mazes may
+      // have no room for them
+      if (candidates.length === 0) {
+        const carved = this.carveStairCell(level, arrival);
+        if (!carved) {
+          throw new Error(`Maze is too small for ${this.floors} floors`);
+        }
+        candidates.push(carved);
+      }
 
-    return this.grid;
+      const cell = candidates[this.random.nextInt(candidates.length)];
+      this.levels[level][cell.z][cell.x] = CELL.STAIRS_DOWN;
+      this.levels[level + 1][cell.z][cell.x] = CELL.STAIRS_UP;
+      this.stairs.push({ x: cell.x, z: cell.z, level });
+      arrival = cell;
+    }
   }
 
-  carvePassages(x, z) {
-    // Mark current cell as passage
-    this.grid[z][x] = 0;
+  // Opens a cell on both `level` and the floor below for stairs when no cell
+  // is open on both already, returning it, or null when the layout can't.
+  // Every open cell of a maze is on the lattice, so a maze never needs to.
+  carveStairCell() {
+    return null;
+  }
+
+  // Breadth-first search over open cells, taking stairs between floors.
+  // Returns the cell each reached cell was reached from, by "level,x,z"
+  // (null for the origin), in the order they were reached.
+  floodFrom(origin, isBlocked = () => false) {
+    const previous = new Map();
+    previous.set(`${origin.level},${origin.x},${origin.z}`, null);
+    const queue = [origin];
+
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      for (const dir of DIRECTIONS) {
+        const x = current.x + dir.dx;
+        const z = current.z + dir.dz;
+        if (this.isWall(x, z, current.level) || isBlocked(x, z, current.level)) continue;
+
+        const cell = this.getCell(x, z, current.level);
+        let level = current.level;
+        if (cell === CELL.STAIRS_DOWN) level++;
+        if (cell === CELL.STAIRS_UP) level--;
+
+        const key = `${level},${x},${z}`;
+        if (!previous.has(key)) {
+          previous.set(key, current);
+          queue.push({ x, z, level });
+        }
+      }
+    }
+    return previous;
+  }
+
+  placeDoors() {
+    // Doors go on corridor cells spread evenly along the route from the start
+    // to the exit. Each key then goes somewhere reachable with its own door
+    // and all later ones still locked, preferring cells that only open up
+    // once the earlier door is through, and dead ends. A route with too few
+    // corridor cells (a short one through open rooms) gets fewer doors than
+    // asked for; see getMissingDoors().
+    this.doors = [];
+    this.keys = [];
+    if (this.doorCount === 0) return;
+
+    const reached = this.floodFrom(this.start);
+    const route = [];
+    for (let cell = this.end; cell; cell = reached.get(`${cell.level},${cell.x},${cell.z}`)) {
+      route.push(cell);
+    }
+    route.reverse();
+
+    const isCorridor = (x, z, level) => {
+      if (this.getCell(x, z, level) !== CELL.OPEN) return false;
+      const northSouth = !this.isWall(x, z - 1, level) && !this.isWall(x, z + 1, level);
+      const eastWest = !this.isWall(x - 1, z, level) && !this.isWall(x + 1, z, level);
+      const open = DIRECTIONS.filter(dir => !this.isWall(x + dir.dx, z + dir.dz, level)).length;
+      return open === 2 && (northSouth || eastWest);
+    };
+
+    // Route steps a door can go on, clear of the first and last steps, and
+    // how many doors fit from a step on when each keeps three steps from the
+    // last
+    const candidates = [];
+    route.forEach((cell, index) => {
+      if (index >= 2 && index < route.length - 2 && isCorridor(cell.x, cell.z, cell.level)) {
+        candidates.push(index);
+      }
+    });
+    const fitFrom = start => {
+      let count = 0;
+      let next = start;
+      for (const index of candidates) {
+        if (index < next) continue;
+        count++;
+        next = index + 3;
+      }
+      return count;
+    };
 
-    // Get shuffled directions
-    const directions = this.shuffleArray([
+    // Each door takes the candidate nearest its even share of the route that
+    // still leaves room for the doors after it
+    const doorCount = Math.min(this.doorCount, fitFrom(0));
+    let from = 0;
+    for (let i = 0; i < doorCount; i++) {
+      const target = Math.floor((route.length * (i + 1)) / (doorCount + 1));
+      let best = -1;
+      for (const index of candidates) {
+        if (index < from || fitFrom(index + 3) < doorCount - i - 1) continue;
+        if (best === -1 || Math.abs(index - target) < Math.abs(best - target)) best = index;
+      }
+      this.doors.push({ x: route[best].x, z: route[best].z, level: route[best].level });
+      from = best + 3;
+    }
+
+    const isDoor = (x, z, level) => this.doors.some(door => door.x === x && door.z === z && door.level === level);
+    const isFree = cell => this.getCell(cell.x, cell.z, cell.level) === CELL.OPEN &&
+      !isDoor(cell.x, cell.z, cell.level) &&
+      !(cell.x === this.start.x && cell.z === this.start.z && cell.level === this.start.level);
+    const isDeadEnd = cell =>
+      DIRECTIONS.filter(dir => !this.isWall(cell.x + dir.dx, cell.z + dir.dz, cell.level)).length === 1;
+
+    let before = new Set();
+    for (let i = 0; i < this.doors.length; i++) {
+      const locked = this.doors.slice(i);
+      const region = this.floodFrom(this.start, (x, z, level) =>
+        locked.some(other => other.x === x && other.z === z && other.level === level)
+      );
+      const cells = [...region.keys()].map(key => {
+        const [level, x, z] = key.split(',').map(Number);
+        return { x, z, level };
+      });
+      const fresh = cells.filter(cell => !before.has(`${cell.level},${cell.x},${cell.z}`) && isFree(cell));
+      const pool = [fresh.filter(isDeadEnd), fresh, cells.filter(isFree)].find(list => list.length > 0);
+
+      // Nowhere to put the key: this door and any after it are left out
+      if (!pool) {
+        this.doors.length = i;
+        break;
+      }
+      this.keys.push(pool[this.random.nextInt(pool.length)]);
+      before = new Set(region.keys());
+    }
+
+    for (const door of this.doors) {
+      this.levels[door.level][door.z][door.x] = CELL.DOOR;
+    }
+  }
+
+  // Backtracking carver, used by the 'backtracker' algorithm. Uses an explicit
+  // stack rather than recursion so 1000x1000 mazes cannot overflow the call
+  // stack; cells are visited in the same order the recursive version used.
+  carvePassages(startX, startZ) {
+    const directions = [
       { dx: 0, dz: -2 }, // North
       { dx: 2, dz: 0 },  // East
       { dx: 0, dz: 2 },  // South
       { dx: -2, dz: 0 }  // West
-    ]);
+    ];
 
-    for (const dir of directions) {
-      const newX = x + dir.dx;
-      const newZ = z + dir.dz;
+    // Mark start cell as passage
+    this.grid[startZ][startX] = 0;
+    const stack = [{ x: startX, z: startZ, directions: this.shuffleArray(directions), next: 0 }];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+
+      // All directions tried, backtrack
+      if (frame.next >= frame.directions.length) {
+        stack.pop();
+        continue;
+      }
+
+      const dir = frame.directions[frame.next++];
+      const newX = frame.x + dir.dx;
+      const newZ = frame.z + dir.dz;
 
       // Check if the new position is within bounds and is a wall
       if (
@@ -57,9 +322,128 @@ export class MazeGenerator {
         this.grid[newZ][newX] === 1
       ) {
         // Carve through the wall between current and new cell
-        this.grid[z + dir.dz / 2][x + dir.dx / 2] = 0;
-        // Recursively carve from new cell
-        this.carvePassages(newX, newZ);
+        this.grid[frame.z + dir.dz / 2][frame.x + dir.dx / 2] = 0;
+        this.grid[newZ][newX] = 0;
+        stack.push({ x: newX, z: newZ, directions: this.shuffleArray(directions), next: 0 });
+      }
+    }
+  }
+
+  isDeadEnd(x, z) {
+    if (this.isWall(x, z)) return false;
+
+    let openNeighbours = 0;
+    if (!this.isWall(x + 1, z)) openNeighbours++;
+    if (!this.isWall(x - 1, z)) openNeighbours++;
+    if (!this.isWall(x, z + 1)) openNeighbours++;
+    if (!this.isWall(x, z - 1)) openNeighbours++;
+    return openNeighbours === 1;
+  }
+
+  getDeadEnds() {
+    // Dead ends are always maze cells (odd coordinates), never wall gaps
+    const deadEnds = [];
+    for (let z = 1; z < this.height - 1; z += 2) {
+      for (let x = 1; x < this.width - 1; x += 2) {
+        if (this.isDeadEnd(x, z)) {
+          deadEnds.push({ x, z });
+        }
+      }
+    }
+    return deadEnds;
+  }
+
+  countDeadEnds() {
+    return this.getDeadEnds().length;
+  }
+
+  getClosedWallsAround(x, z) {
+    // Walls between this cell and its neighbouring cells that could be knocked out
+    const walls = [];
+    for (const dir of [{ dx: 0, dz: -2 }, { dx: 2, dz: 0 }, { dx: 0, dz: 2 }, { dx: -2, dz: 0 }]) {
+      const newX = x + dir.dx;
+      const newZ = z + dir.dz;
+      const wallX = x + dir.dx / 2;
+      const wallZ = z + dir.dz / 2;
+      if (
+        newX > 0 && newX < this.width - 1 &&
+        newZ > 0 && newZ < this.height - 1 &&
+        this.grid[wallZ][wallX] === 1 &&
+        !this.isWall(newX, newZ)
+      ) {
+        walls.push({ x: wallX, z: wallZ, cellX: newX, cellZ: newZ });
+      }
+    }
+    return walls;
+  }
+
+  braidDeadEnds(factor) {
+    // Knocking out a wall never creates a dead end, but it removes two at once
+    // when it joins two dead ends. Only do that while at least two still need
+    // removing, so the final count matches the requested factor.
+    const deadEnds = this.shuffleArray(this.getDeadEnds());
+    let remaining = Math.round(deadEnds.length * factor);
+
+    for (const cell of deadEnds) {
+      if (remaining <= 0) break;
+      if (!this.isDeadEnd(cell.x, cell.z)) continue;
+
+      const walls = this.shuffleArray(this.getClosedWallsAround(cell.x, cell.z));
+      const joinsDeadEnd = walls.filter(w => this.isDeadEnd(w.cellX, w.cellZ));
+      const joinsPassage = walls.filter(w => !this.isDeadEnd(w.cellX, w.cellZ));
+
+      const wall = remaining >= 2
+        ? joinsDeadEnd[0] || joinsPassage[0]
+        : joinsPassage[0];
+      if (!wall) continue;
+
+      remaining -= this.isDeadEnd(wall.cellX, wall.cellZ) ? 2 : 1;
+      this.grid[wall.z][wall.x] = 0;
+    }
+  }
+
+  addLoops(factor) {
+    // Collect inner walls that separate two open cells
+    const walls = [];
+    for (let z = 1; z < this.height - 1; z++) {
+      for (let x = 1; x < this.width - 1; x++) {
+        // Wall gaps sit between cells: one coordinate odd, the other even
+        if ((x + z) % 2 === 0 || this.grid[z][x] !== 1) continue;
+
+        const horizontal = x % 2 === 0;
+        const open = horizontal
+          ? !this.isWall(x - 1, z) && !this.isWall(x + 1, z)
+          : !this.isWall(x, z - 1) && !this.isWall(x, z + 1);
+        if (open) {
+          walls.push({ x, z });
+        }
+      }
+    }
+
+    const count = Math.round(walls.length * factor);
+    for (const wall of this.shuffleArray(walls).slice(0, count)) {
+      this.grid[wall.z][wall.x] = 0;
+    }
+  }
+
+  placeTorches(level) {
+    // Torches sit at intervals along passages, on the first adjacent wall
+    const grid = this.levels[level];
+    const positions = [
+      { dx: 1, dz: 0 },
+      { dx: -1, dz: 0 },
+      { dx: 0, dz: 1 },
+      { dx: 0, dz: -1 }
+    ];
+
+    for (let z = 1; z < this.height - 1; z += this.torchInterval) {
+      for (let x = 1; x < this.width - 1; x += this.torchInterval) {
+        if (grid[z][x] !== 0) continue;
+
+        const pos = positions.find(p => this.isWall(x + p.dx, z + p.dz, level));
+        if (pos) {
+          this.torches.push({ x, z, level, dx: pos.dx, dz: pos.dz });
+        }
       }
     }
   }
@@ -67,12 +451,52 @@ export class MazeGenerator {
   shuffleArray(array) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = this.random.nextInt(i + 1);
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
   }
 
+  getSeed() {
+    return this.seed;
+  }
+
+  getBraid() {
+    return this.braid;
+  }
+
+  getAlgorithm() {
+    return this.algorithm;
+  }
+
+  getTorches(level) {
+    if (level === undefined) {
+      return this.torches;
+    }
+    return this.torches.filter(torch => torch.level === level);
+  }
+
+  getFloors() {
+    return this.floors;
+  }
+
+  getStairs() {
+    return this.stairs;
+  }
+
+  getDoors() {
+    return this.doors;
+  }
+
+  // Doors asked for that the layout had no room for
+  getMissingDoors() {
+    return Math.max(0, this.doorCount - this.doors.length);
+  }
+
+  getKeys() {
+    return this.keys;
+  }
+
   getStart() {
     return this.start;
   }
@@ -81,18 +505,31 @@ export class MazeGenerator {
     return this.end;
   }
 
-  isWall(x, z) {
+  // Level-aware lookups fall back to this.grid (the top floor, or the floor
+  // being carved during generation) when no level is given
+  getGrid(level) {
+    return level === undefined ? this.grid : this.levels[level];
+  }
+
+  getCell(x, z, level) {
+    if (x < 0 || x >= this.width || z < 0 || z >= this.height) {
+      return CELL.WALL;
+    }
+    return this.getGrid(level)[z][x];
+  }
+
+  isWall(x, z, level) {
     if (x < 0 || x >= this.width || z < 0 || z >= this.height) {
       return true;
     }
-    return this.grid[z][x] === 1;
+    return this.getGrid(level)[z][x] === 1;
   }
 
-  isExit(x, z) {
+  isExit(x, z, level) {
     if (x < 0 || x >= this.width || z < 0 || z >= this.height) {
       return false;
     }
-    return this.grid[z][x] === 2;
+    return this.getGrid(level)[z][x] === 2;
   }
 
   getWidth() {
@@ -0,0 +1,208 @@
+// Minimap HUD Module
+//
+// Draws the maze from the grid, revealing only cells the player has had line
+// of sight to. Explored cells are painted once into an offscreen canvas per
+// floor (one pixel per cell), so drawing stays cheap on huge mazes: each frame
+// is a single scaled drawImage plus the player marker.
+import { CELL } from './maze.js';
+
+const COLORS = {
+  [CELL.WALL]: '#4a4038',
+  [CELL.OPEN]: '#a89878',
+  [CELL.EXIT]: '#00ff88',
+  [CELL.STAIRS_DOWN]: '#ffaa33',
+  [CELL.STAIRS_UP]: '#ffaa33',
+  [CELL.DOOR]: '#8b5a2b',
+};
+
+const KEY_COLOR = '#ffd700';
+
+export class Minimap {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.cellSize = options.cellSize || 2;
+
+    // Settings
+    this.sightRadius = options.sightRadius || 6; // cells
+    this.cornerSize = options.cornerSize || 200; // pixels
+    this.cornerCells = options.cornerCells || 21; // cells shown across the corner map
+
+    // State
+    this.maze = null;
+    this.mode = 'corner'; // 'corner' or 'fullscreen'
+    this.explored = [];
+    this.layers = [];
+    this.exploredOpen = 0;
+    this.totalOpen = 0;
+    this.lastCellKey = null;
+
+    this.setMode('corner');
+  }
+
+  setMaze(maze) {
+    this.maze = maze;
+    this.explored = [];
+    this.layers = [];
+    this.exploredOpen = 0;
+    this.totalOpen = 0;
+    this.lastCellKey = null;
+
+    const width = maze.getWidth();
+    const height = maze.getHeight();
+    for (let level = 0; level < maze.getFloors(); level++) {
+      this.explored.push(new Uint8Array(width * height));
+
+      const layer = document.createElement('canvas');
+      layer.width = width;
+      layer.height = height;
+      this.layers.push(layer);
+
+      for (let z = 0; z < height; z++) {
+        for (let x = 0; x < width; x++) {
+          if (!maze.isWall(x, z, level)) this.totalOpen++;
+        }
+      }
+    }
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.canvas.classList.toggle('fullscreen', mode === 'fullscreen');
+
+    const size = mode === 'fullscreen'
+      ? Math.floor(Math.min(window.innerWidth, window.innerHeight) * 0.9)
+      : this.cornerSize;
+    this.canvas.width = size;
+    this.canvas.height = size;
+  }
+
+  toggleMode() {
+    this.setMode(this.mode === 'corner' ? 'fullscreen' : 'corner');
+  }
+
+  getCoverage() {
+    return this.totalOpen > 0 ? this.exploredOpen / this.totalOpen : 0;
+  }
+
+  update(position, level) {
+    if (!this.maze) return;
+
+    // Only re-check line of sight when the player enters a new cell
+    const cellX = Math.round(position.x / this.cellSize);
+    const cellZ = Math.round(position.z / this.cellSize);
+    const cellKey = `${level},${cellX},${cellZ}`;
+    if (cellKey === this.lastCellKey) return;
+    this.lastCellKey = cellKey;
+
+    this.reveal(cellX, cellZ, level);
+  }
+
+  reveal(fromX, fromZ, level) {
+    const radius = this.sightRadius;
+    for (let z = fromZ - radius; z <= fromZ + radius; z++) {
+      for (let x = fromX - radius; x <= fromX + radius; x++) {
+        if (x < 0 || x >= this.maze.getWidth() || z < 0 || z >= this.maze.getHeight()) continue;
+        if ((x - fromX) ** 2 + (z - fromZ) ** 2 > radius * radius) continue;
+
+        if (this.hasLineOfSight(fromX, fromZ, x, z, level)) {
+          this.markExplored(x, z, level);
+        }
+      }
+    }
+  }
+
+  hasLineOfSight(fromX, fromZ, toX, toZ, level) {
+    // Sample the line at half-cell steps; walls block everything behind them
+    const steps = Math.max(Math.abs(toX - fromX), Math.abs(toZ - fromZ)) * 2;
+    for (let i = 1; i < steps; i++) {
+      const x = Math.round(fromX + ((toX - fromX) * i) / steps);
+      const z = Math.round(fromZ + ((toZ - fromZ) * i) / steps);
+      if ((x !== toX || z !== toZ) && this.maze.isWall(x, z, level)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  markExplored(x, z, level) {
+    const index = z * this.maze.getWidth() + x;
+    if (this.explored[level][index]) return;
+    this.explored[level][index] = 1;
+
+    const cell = this.maze.getCell(x, z, level);
+    if (cell !== CELL.WALL) this.exploredOpen++;
+
+    const context = this.layers[level].getContext('2d');
+    context.fillStyle = COLORS[cell] || COLORS[CELL.OPEN];
+    context.fillRect(x, z, 1, 1);
+  }
+
+  isExplored(x, z, level) {
+    return this.explored[level][z * this.maze.getWidth() + x] === 1;
+  }
+
+  // `keys` are the keys still lying in the maze; each shows once its cell has
+  // been seen
+  draw(position, yaw, level, keys = []) {
+    if (!this.maze) return;
+
+    const ctx = this.context;
+    const size = this.canvas.width;
+    ctx.clearRect(0, 0, size, size);
+    ctx.fillStyle = 'rgba(10, 10, 15, 0.75)';
+    ctx.fillRect(0, 0, size, size);
+
+    // Player position in cell units (cell centres sit on whole numbers)
+    const playerX = position.x / this.cellSize + 0.5;
+    const playerZ = position.z / this.cellSize + 0.5;
+
+    // Corner map follows the player; full-screen map shows the whole floor
+    let viewCells;
+    let originX;
+    let originZ;
+    if (this.mode === 'corner') {
+      viewCells = this.cornerCells;
+      originX = playerX - viewCells / 2;
+      originZ = playerZ - viewCells / 2;
+    } else {
+      viewCells = Math.max(this.maze.getWidth(), this.maze.getHeight());
+      originX = (this.maze.getWidth() - viewCells) / 2;
+      originZ = (this.maze.getHeight() - viewCells) / 2;
+    }
+    const scale = size / viewCells;
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(
+      this.layers[level],
+      -originX * scale,
+      -originZ * scale,
+      this.maze.getWidth() * scale,
+      this.maze.getHeight() * scale
+    );
+
+    ctx.fillStyle = KEY_COLOR;
+    for (const key of keys) {
+      if (key.level !== level || !this.isExplored(key.x, key.z, level)) continue;
+      ctx.beginPath();
+      ctx.arc((key.x + 0.5 - originX) * scale, (key.z + 0.5 - originZ) * scale, Math.max(2, scale * 0.3), 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Player marker pointing the way the camera faces (north is up)
+    const screenX = (playerX - originX) * scale;
+    const screenZ = (playerZ - originZ) * scale;
+    const arrowSize = Math.max(6, scale * 0.8);
+    ctx.save();
+    ctx.translate(screenX, screenZ);
+    ctx.rotate(-yaw);
+    ctx.fillStyle = '#ffa832';
+    ctx.beginPath();
+    ctx.moveTo(0, -arrowSize);
+    ctx.lineTo(arrowSize * 0.6, arrowSize * 0.7);
+    ctx.lineTo(-arrowSize * 0.6, arrowSize * 0.7);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  }
+}
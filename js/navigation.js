@@ -0,0 +1,379 @@
+// Navigation Module: shortest routes over the maze grid
+//
+// Every open cell is a node, and stepping onto a neighbouring one costs that
+// cell's cost: 1 unless a cost function says otherwise, never less, and
+// Infinity for cells that can't be entered. Stepping onto stairs lands on the
+// same cell of the next floor, as it does for the player. Cells are
+// { x, z, level }; routes are the cells after the starting one, [] when
+// already there and null when there is no way.
+//
+//   findPath(from, to)        A* between two cells
+//   findNearest(from, isGoal) route to the closest cell passing isGoal
+//   findWithin(from, max)     every cell reachable for up to `max`, closest first
+//   getField(target)          every cell's cost to reach a target (Dijkstra),
+//                             cached, for many walkers heading the same way
+//   nextStep(from, target)    first step of a shortest route, off the field
+//
+// Searches work on typed arrays indexed by cell, reused between searches, so
+// a 500 × 500 maze costs a few megabytes rather than a Map entry per cell.
+import { CELL } from './maze.js';
+
+const DIRECTIONS = [
+  { dx: 0, dz: -1 }, // North
+  { dx: 1, dz: 0 },  // East
+  { dx: 0, dz: 1 },  // South
+  { dx: -1, dz: 0 }, // West
+];
+
+// Distance fields kept per navigator; the oldest is dropped past this
+const MAX_FIELDS = 16;
+
+// Binary min-heap of node indices by priority. Nodes may be pushed more than
+// once; searches skip the stale entries as they come out.
+class NodeHeap {
+  constructor() {
+    this.nodes = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  push(node, priority) {
+    const { nodes, priorities } = this;
+    let index = nodes.length;
+    nodes.push(node);
+    priorities.push(priority);
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      nodes[index] = nodes[parent];
+      priorities[index] = priorities[parent];
+      index = parent;
+    }
+    nodes[index] = node;
+    priorities[index] = priority;
+  }
+
+  // Takes the lowest-priority node; its priority is left in `lastPriority`
+  pop() {
+    const { nodes, priorities } = this;
+    const top = nodes[0];
+    this.lastPriority = priorities[0];
+    const node = nodes.pop();
+    const priority = priorities.pop();
+    if (nodes.length > 0) {
+      let index = 0;
+      for (;;) {
+        let child = index * 2 + 1;
+        if (child >= nodes.length) break;
+        if (child + 1 < nodes.length && priorities[child + 1] < priorities[child]) child++;
+        if (priorities[child] >= priority) break;
+        nodes[index] = nodes[child];
+        priorities[index] = priorities[child];
+        index = child;
+      }
+      nodes[index] = node;
+      priorities[index] = priority;
+    }
+    return top;
+  }
+}
+
+export class Navigator {
+  // options:
+  //   isBlocked(x, z, level)  cells to treat as walls besides the maze's own
+  //   cost(x, z, level)       cost of stepping onto a cell, at least 1
+  //   stairs                  false keeps every route on its starting floor
+  constructor(maze, options = {}) {
+    this.maze = maze;
+    this.width = maze.getWidth();
+    this.height = maze.getHeight();
+    this.floors = maze.getFloors();
+    this.isBlocked = options.isBlocked || null;
+    this.cost = options.cost || null;
+    this.stairs = options.stairs !== false;
+
+    // Cells blocked with setBlocked, by node index
+    this.blocked = new Set();
+
+    // Distance fields by target node, oldest first
+    this.fields = new Map();
+
+    // Search scratch: a node's entries count only when its stamp is the
+    // current search's, so nothing is cleared between searches
+    const size = this.width * this.height * this.floors;
+    this.costs = new Float64Array(size);
+    this.previous = new Int32Array(size);
+    this.stamps = new Uint32Array(size);
+    this.stamp = 0;
+  }
+
+  nodeOf(cell) {
+    return (cell.level * this.height + cell.z) * this.width + cell.x;
+  }
+
+  cellOf(node) {
+    const perFloor = this.width * this.height;
+    const level = Math.floor(node / perFloor);
+    const rest = node - level * perFloor;
+    return { x: rest % this.width, z: Math.floor(rest / this.width), level };
+  }
+
+  // Whether a cell is somewhere a route can be, blocked cells aside
+  isOpen(x, z, level) {
+    if (x < 0 || x >= this.width || z < 0 || z >= this.height || level < 0 || level >= this.floors) {
+      return false;
+    }
+    if (this.maze.isWall(x, z, level)) return false;
+    if (this.blocked.has((level * this.height + z) * this.width + x)) return false;
+    return !this.isBlocked || !this.isBlocked(x, z, level);
+  }
+
+  // Cost of stepping onto a cell, Infinity when it can't be entered
+  stepCost(x, z, level) {
+    if (!this.isOpen(x, z, level)) return Infinity;
+    if (!this.stairs && isStairs(this.maze.getCell(x, z, level))) return Infinity;
+    return this.cost ? this.cost(x, z, level) : 1;
+  }
+
+  // Calls back with (node, cost) for every cell one step on from a node
+  forEachNeighbor(node, callback) {
+    const { x, z, level } = this.cellOf(node);
+    for (const dir of DIRECTIONS) {
+      const nextX = x + dir.dx;
+      const nextZ = z + dir.dz;
+      const cost = this.stepCost(nextX, nextZ, level);
+      if (cost === Infinity) continue;
+
+      const nextLevel = level + floorChange(this.maze.getCell(nextX, nextZ, level));
+      callback((nextLevel * this.height + nextZ) * this.width + nextX, cost);
+    }
+  }
+
+  // The reverse: every cell one step before a node, for searches that work
+  // back from a target. Stairs make the two differ, since the step onto them
+  // lands a floor away.
+  forEachPredecessor(node, callback) {
+    const { x, z, level } = this.cellOf(node);
+    for (let fromLevel = level - 1; fromLevel <= level + 1; fromLevel++) {
+      const cost = this.stepCost(x, z, fromLevel);
+      if (cost === Infinity) continue;
+      if (fromLevel + floorChange(this.maze.getCell(x, z, fromLevel)) !== level) continue;
+
+      for (const dir of DIRECTIONS) {
+        const fromX = x - dir.dx;
+        const fromZ = z - dir.dz;
+        if (this.isOpen(fromX, fromZ, fromLevel)) {
+          callback((fromLevel * this.height + fromZ) * this.width + fromX, cost);
+        }
+      }
+    }
+  }
+
+  // Starts a search over the scratch arrays, forgetting the last one
+  beginSearch() {
+    this.stamp++;
+    if (this.stamp === 0xffffffff) {
+      this.stamps.fill(0);
+      this.stamp = 1;
+    }
+  }
+
+  getCost(node) {
+    return this.stamps[node] === this.stamp ? this.costs[node] : Infinity;
+  }
+
+  setCost(node, cost, previous) {
+    this.stamps[node] = this.stamp;
+    this.costs[node] = cost;
+    this.previous[node] = previous;
+  }
+
+  // Cells from just after `from` to `node`, following the previous nodes
+  tracePath(from, node) {
+    const path = [];
+    for (let current = node; current !== from; current = this.previous[current]) {
+      path.push(this.cellOf(current));
+    }
+    return path.reverse();
+  }
+
+  findPath(from, to) {
+    const start = this.nodeOf(from);
+    const goal = this.nodeOf(to);
+    if (start === goal) return [];
+
+    // Manhattan distance never overestimates, since every step moves one
+    // cell across and costs at least 1
+    const heuristic = node => {
+      const cell = this.cellOf(node);
+      return Math.abs(cell.x - to.x) + Math.abs(cell.z - to.z);
+    };
+
+    this.beginSearch();
+    this.setCost(start, 0, -1);
+    const heap = new NodeHeap();
+    heap.push(start, heuristic(start));
+
+    while (heap.size > 0) {
+      const node = heap.pop();
+      const cost = this.getCost(node);
+      if (heap.lastPriority > cost + heuristic(node)) continue; // stale
+      if (node === goal) return this.tracePath(start, goal);
+
+      this.forEachNeighbor(node, (next, stepCost) => {
+        const nextCost = cost + stepCost;
+        if (nextCost < this.getCost(next)) {
+          this.setCost(next, nextCost, node);
+          heap.push(next, nextCost + heuristic(next));
+        }
+      });
+    }
+    return null;
+  }
+
+  // Dijkstra outwards from a cell, closest first, stopping at the first cell
+  // passing isGoal or past maxCost. Returns that cell's node, or -1, and
+  // hands every cell settled on the way to onSettle(node, cost).
+  search(from, maxCost, isGoal, onSettle) {
+    const start = this.nodeOf(from);
+    this.beginSearch();
+    this.setCost(start, 0, -1);
+    const heap = new NodeHeap();
+    heap.push(start, 0);
+
+    while (heap.size > 0) {
+      const node = heap.pop();
+      const cost = this.getCost(node);
+      if (heap.lastPriority > cost) continue; // stale
+      if (cost > maxCost) break;
+      if (onSettle) onSettle(node, cost);
+      if (isGoal && isGoal(this.cellOf(node))) return node;
+
+      this.forEachNeighbor(node, (next, stepCost) => {
+        const nextCost = cost + stepCost;
+        if (nextCost < this.getCost(next)) {
+          this.setCost(next, nextCost, node);
+          heap.push(next, nextCost);
+        }
+      });
+    }
+    return -1;
+  }
+
+  findNearest(from, isGoal) {
+    const node = this.search(from, Infinity, isGoal, null);
+    return node === -1 ? null : this.tracePath(this.nodeOf(from), node);
+  }
+
+  // [{ x, z, level, distance }], the starting cell first at distance 0
+  findWithin(from, maxCost = Infinity) {
+    const cells = [];
+    this.search(from, maxCost, null, (node, cost) => {
+      cells.push({ ...this.cellOf(node), distance: cost });
+    });
+    return cells;
+  }
+
+  // Cost of reaching the target from every cell, Infinity where it can't be
+  // reached, as a Float64Array by node index (see nodeOf). Kept until
+  // invalidate(), so reuse one navigator per maze.
+  getField(target) {
+    const goal = this.nodeOf(target);
+    let field = this.fields.get(goal);
+    if (field) {
+      // Most recently used last
+      this.fields.delete(goal);
+      this.fields.set(goal, field);
+      return field;
+    }
+
+    field = new Float64Array(this.costs.length).fill(Infinity);
+    field[goal] = 0;
+    const heap = new NodeHeap();
+    heap.push(goal, 0);
+    while (heap.size > 0) {
+      const node = heap.pop();
+      const cost = field[node];
+      if (heap.lastPriority > cost) continue; // stale
+
+      this.forEachPredecessor(node, (previous, stepCost) => {
+        if (cost + stepCost < field[previous]) {
+          field[previous] = cost + stepCost;
+          heap.push(previous, cost + stepCost);
+        }
+      });
+    }
+
+    this.fields.set(goal, field);
+    if (this.fields.size > MAX_FIELDS) {
+      this.fields.delete(this.fields.keys().next().value);
+    }
+    return field;
+  }
+
+  distance(from, target) {
+    return this.getField(target)[this.nodeOf(from)];
+  }
+
+  // The neighbour to step onto to head for the target fastest, or null when
+  // already there or the target can't be reached
+  nextStep(from, target) {
+    const field = this.getField(target);
+    const node = this.nodeOf(from);
+    if (field[node] === 0 || field[node] === Infinity) return null;
+
+    let best = -1;
+    let bestCost = Infinity;
+    this.forEachNeighbor(node, (next, stepCost) => {
+      if (stepCost + field[next] < bestCost) {
+        bestCost = stepCost + field[next];
+        best = next;
+      }
+    });
+    return best === -1 ? null : this.cellOf(best);
+  }
+
+  // A whole route off the field; what findPath gives, but free once the
+  // field is cached
+  pathTo(from, target) {
+    const field = this.getField(target);
+    if (field[this.nodeOf(from)] === Infinity) return null;
+
+    const path = [];
+    for (let cell = this.nextStep(from, target); cell; cell = this.nextStep(cell, target)) {
+      path.push(cell);
+    }
+    return path;
+  }
+
+  setBlocked(cell, blocked) {
+    const node = this.nodeOf(cell);
+    if (blocked === this.blocked.has(node)) return;
+    if (blocked) {
+      this.blocked.add(node);
+    } else {
+      this.blocked.delete(node);
+    }
+    this.invalidate();
+  }
+
+  // Drops the cached fields; call whenever the maze, blocked cells or costs
+  // change
+  invalidate() {
+    this.fields.clear();
+  }
+}
+
+function isStairs(cell) {
+  return cell === CELL.STAIRS_DOWN || cell === CELL.STAIRS_UP;
+}
+
+// Floors moved by stepping onto a cell
+function floorChange(cell) {
+  if (cell === CELL.STAIRS_DOWN) return 1;
+  if (cell === CELL.STAIRS_UP) return -1;
+  return 0;
+}
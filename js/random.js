@@ -0,0 +1,49 @@
+// Seeded Random Number Generator Module (Mulberry32)
+
+export class SeededRandom {
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // Hash arbitrary strings (FNV-1a) so words can be used as seeds too
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Returns a float in [0, 1), like Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Returns an integer in [0, max)
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  reset() {
+    this.state = this.seed;
+  }
+}
@@ -0,0 +1,173 @@
+// Run Recording Module: per-tick samples of a run, and the ghost that plays
+// one back alongside the current run
+//
+// Recording:
+//   {
+//     "version": 1,
+//     "key": "maze:backtracker:21x21:1f:0b|123",  // config|seed, see leaderboard.js
+//     "seed": 123, "config": "...", "time": 83.2,
+//     "penalty": 20,                              // seconds the hints added
+//     "samples": [[t, x, y, z, yaw, pitch, level], ...],  // one per tick
+//     "events": [[t, "KeyW", 1], [t, "KeyW", 0], ...]      // key down (1) / up (0)
+//   }
+// Times are active run seconds, so pauses leave no gap.
+import * as THREE from 'three';
+
+export const RECORDING_VERSION = 1;
+
+const SAMPLE = { T: 0, X: 1, Y: 2, Z: 3, YAW: 4, PITCH: 5, LEVEL: 6 };
+
+// Three decimals is millimetre precision; keeps stored recordings small
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export function getRecordingKey(config, seed) {
+  return `${config}|${seed === null || seed === undefined ? '' : seed}`;
+}
+
+export class RunRecorder {
+  constructor() {
+    this.samples = [];
+    this.events = [];
+  }
+
+  start() {
+    this.samples = [];
+    this.events = [];
+  }
+
+  record(time, position, yaw, pitch, level) {
+    this.samples.push([
+      round(time),
+      round(position.x),
+      round(position.y),
+      round(position.z),
+      round(yaw),
+      round(pitch),
+      level,
+    ]);
+  }
+
+  recordKey(time, code, pressed) {
+    this.events.push([round(time), code, pressed ? 1 : 0]);
+  }
+
+  finish(config, seed, time, penalty) {
+    return {
+      version: RECORDING_VERSION,
+      key: getRecordingKey(config, seed),
+      seed,
+      config,
+      time,
+      penalty,
+      samples: this.samples,
+      events: this.events,
+    };
+  }
+}
+
+// Position and view at a run time, interpolated between the two nearest
+// samples. Level comes from the earlier sample, so floor changes are instant.
+export function sampleAt(recording, time) {
+  const samples = recording.samples;
+  if (samples.length === 0) return null;
+
+  // Binary search for the last sample at or before the time
+  let low = 0;
+  let high = samples.length - 1;
+  if (time <= samples[0][SAMPLE.T]) high = 0;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (samples[mid][SAMPLE.T] <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const a = samples[low];
+  const b = samples[Math.min(low + 1, samples.length - 1)];
+  const span = b[SAMPLE.T] - a[SAMPLE.T];
+  const t = span > 0 && b[SAMPLE.LEVEL] === a[SAMPLE.LEVEL]
+    ? Math.min(1, Math.max(0, (time - a[SAMPLE.T]) / span))
+    : 0;
+  const lerp = index => a[index] + (b[index] - a[index]) * t;
+
+  return {
+    index: low,
+    x: lerp(SAMPLE.X),
+    y: lerp(SAMPLE.Y),
+    z: lerp(SAMPLE.Z),
+    yaw: lerp(SAMPLE.YAW),
+    pitch: lerp(SAMPLE.PITCH),
+    level: a[SAMPLE.LEVEL],
+  };
+}
+
+// Key codes held down at a run time
+export function getHeldKeys(recording, time) {
+  const held = new Set();
+  for (const [t, code, pressed] of recording.events) {
+    if (t > time) break;
+    if (pressed) {
+      held.add(code);
+    } else {
+      held.delete(code);
+    }
+  }
+  return [...held];
+}
+
+// Translucent figure that follows a recording in step with the run timer
+export class Ghost {
+  constructor(playerHeight) {
+    this.recording = null;
+
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x88ccff,
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false,
+    });
+
+    // Body and head, with the group origin at eye height like the camera
+    this.group = new THREE.Group();
+    const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.25, playerHeight - 0.7, 4, 12), material);
+    body.position.y = -playerHeight / 2 + 0.05;
+    this.group.add(body);
+
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.2, 16, 12), material);
+    this.group.add(head);
+
+    // Nose, so you can tell which way it is facing
+    const nose = new THREE.Mesh(new THREE.ConeGeometry(0.06, 0.2, 8), material);
+    nose.rotation.x = -Math.PI / 2;
+    nose.position.z = -0.25;
+    this.group.add(nose);
+
+    this.group.visible = false;
+  }
+
+  setRecording(recording) {
+    this.recording = recording;
+    this.group.visible = false;
+  }
+
+  clear() {
+    this.setRecording(null);
+  }
+
+  update(time, level) {
+    const sample = this.recording ? sampleAt(this.recording, time) : null;
+
+    // Hidden on other floors, and once it has finished its run
+    this.group.visible = sample !== null &&
+      sample.level === level &&
+      time <= this.recording.time;
+    if (!this.group.visible) return;
+
+    this.group.position.set(sample.x, sample.y, sample.z);
+    this.group.rotation.y = sample.yaw;
+  }
+}
@@ -0,0 +1,283 @@
+// Replay Viewer Module
+//
+// Plays a run recording back over the current maze, either through the
+// runner's eyes or top-down with the route traced over the floor plan. It
+// reuses the scene built for play, like the level editor does, and only adds
+// a camera and overlays of its own.
+import * as THREE from 'three';
+import { sampleAt, getHeldKeys } from './recording.js';
+import { formatTime } from './timer.js';
+import { formatBinding } from './input.js';
+
+const SCRUB_STEPS = 1000;
+
+export class ReplayViewer {
+  constructor(game) {
+    this.game = game;
+    this.cellSize = game.cellSize;
+    this.wallHeight = game.wallHeight;
+
+    // Playback state
+    this.active = false;
+    this.recording = null;
+    this.time = 0;
+    this.playing = false;
+    this.speed = 1;
+    this.view = 'top'; // 'top' or 'first'
+    this.level = null;
+    this.savedFog = null;
+
+    // Top-down camera; north (-z) is up on screen
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 500);
+    this.camera.up.set(0, 0, -1);
+
+    // Flat lighting so the whole floor is readable from above
+    this.light = new THREE.HemisphereLight(0xffffff, 0x404060, 1.5);
+
+    // Route traces (one per floor) and the runner's marker, drawn over the walls
+    this.overlay = new THREE.Group();
+    this.traces = [];
+    this.marker = new THREE.Mesh(
+      new THREE.ConeGeometry(0.5, 1.2, 12),
+      new THREE.MeshBasicMaterial({ color: 0xffa832, depthTest: false })
+    );
+    this.marker.rotation.order = 'YXZ';
+    this.marker.renderOrder = 2;
+    this.overlay.add(this.marker);
+
+    // DOM elements
+    this.panel = document.getElementById('replay-panel');
+    this.playButton = document.getElementById('replay-play');
+    this.scrub = document.getElementById('replay-scrub');
+    this.timeLabel = document.getElementById('replay-time');
+    this.speedSelect = document.getElementById('replay-speed');
+    this.viewButton = document.getElementById('replay-view');
+    this.closeButton = document.getElementById('replay-close');
+    this.keysLabel = document.getElementById('replay-keys');
+
+    this.setupPanel();
+  }
+
+  setupPanel() {
+    this.scrub.max = SCRUB_STEPS;
+    this.playButton.addEventListener('click', () => this.togglePlay());
+    this.scrub.addEventListener('input', () => {
+      this.playing = false;
+      this.seek((Number(this.scrub.value) / SCRUB_STEPS) * this.recording.time);
+    });
+    this.speedSelect.addEventListener('change', () => {
+      this.speed = Number(this.speedSelect.value);
+    });
+    this.viewButton.addEventListener('click', () => {
+      this.setView(this.view === 'top' ? 'first' : 'top');
+    });
+    this.closeButton.addEventListener('click', () => this.game.closeReplay());
+  }
+
+  open(recording) {
+    this.active = true;
+    this.recording = recording;
+    this.time = 0;
+    this.playing = true;
+    this.level = null;
+    this.savedFog = this.game.scene.fog;
+
+    this.buildTraces();
+    this.game.scene.add(this.overlay);
+    this.panel.classList.remove('hidden');
+    this.setView(this.view);
+  }
+
+  close() {
+    this.active = false;
+    this.playing = false;
+    this.game.scene.fog = this.savedFog;
+    this.game.scene.remove(this.light);
+    this.game.scene.remove(this.overlay);
+    this.clearTraces();
+    this.panel.classList.add('hidden');
+  }
+
+  buildTraces() {
+    // Each floor's samples as a dim full route plus a bright trail that grows
+    // with playback. indices maps trail points back to recording samples.
+    this.clearTraces();
+    const samples = this.recording.samples;
+    const floors = new Map();
+    samples.forEach((sample, index) => {
+      const level = sample[6];
+      if (!floors.has(level)) floors.set(level, { points: [], indices: [] });
+      floors.get(level).points.push(new THREE.Vector3(sample[1], 0, sample[3]));
+      floors.get(level).indices.push(index);
+    });
+
+    for (const [level, floor] of floors) {
+      const y = this.game.getLevelY(level) + this.wallHeight + 0.1;
+      floor.points.forEach(point => { point.y = y; });
+
+      const route = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(floor.points),
+        new THREE.LineBasicMaterial({ color: 0xffa832, transparent: true, opacity: 0.3, depthTest: false })
+      );
+      const trail = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(floor.points),
+        new THREE.LineBasicMaterial({ color: 0xffa832, depthTest: false })
+      );
+      route.renderOrder = 1;
+      trail.renderOrder = 1;
+
+      const trace = { level, route, trail, indices: floor.indices };
+      this.traces.push(trace);
+      this.overlay.add(route);
+      this.overlay.add(trail);
+    }
+  }
+
+  clearTraces() {
+    for (const trace of this.traces) {
+      for (const line of [trace.route, trace.trail]) {
+        this.overlay.remove(line);
+        line.geometry.dispose();
+        line.material.dispose();
+      }
+    }
+    this.traces = [];
+  }
+
+  setView(view) {
+    this.view = view;
+    const scene = this.game.scene;
+
+    if (view === 'top') {
+      scene.fog = null;
+      scene.add(this.light);
+      this.viewButton.textContent = 'First Person';
+    } else {
+      scene.fog = this.savedFog;
+      scene.remove(this.light);
+      this.viewButton.textContent = 'Top Down';
+    }
+    this.overlay.visible = view === 'top';
+
+    // Reload the floor for the new view
+    this.level = null;
+    if (this.recording) {
+      this.seek(this.time);
+    }
+  }
+
+  togglePlay() {
+    // Playing from the end starts again
+    if (!this.playing && this.time >= this.recording.time) {
+      this.time = 0;
+    }
+    this.playing = !this.playing;
+    this.updatePanel();
+  }
+
+  seek(time) {
+    this.time = Math.min(this.recording.time, Math.max(0, time));
+    const sample = sampleAt(this.recording, this.time);
+    if (!sample) return;
+
+    // Follow the runner between floors; from above, show all of the floor
+    if (sample.level !== this.level) {
+      this.level = sample.level;
+      this.game.setLevel(sample.level);
+      if (this.view === 'top') {
+        this.game.chunkManager.loadAll();
+        this.frameCamera();
+      }
+      this.traces.forEach(trace => {
+        trace.route.visible = trace.level === sample.level;
+        trace.trail.visible = trace.level === sample.level;
+      });
+    }
+
+    // The player camera doubles as the first person view
+    const camera = this.game.camera;
+    camera.position.set(sample.x, sample.y, sample.z);
+    camera.rotation.set(sample.pitch, sample.yaw, 0, 'YXZ');
+    if (this.view === 'first') {
+      this.game.chunkManager.update(camera.position);
+    }
+
+    // Marker points the way the runner faces; trail grows up to this sample
+    this.marker.position.set(sample.x, this.game.getLevelY(sample.level) + this.wallHeight + 0.5, sample.z);
+    this.marker.rotation.set(-Math.PI / 2, sample.yaw, 0);
+    for (const trace of this.traces) {
+      trace.trail.geometry.setDrawRange(0, countUpTo(trace.indices, sample.index));
+    }
+
+    this.updatePanel();
+  }
+
+  updatePanel() {
+    const duration = this.recording.time;
+    this.playButton.textContent = this.playing ? 'Pause' : 'Play';
+    this.scrub.value = duration > 0 ? Math.round((this.time / duration) * SCRUB_STEPS) : 0;
+    this.timeLabel.textContent = `${formatTime(this.time)} / ${formatTime(duration)}`;
+
+    const keys = getHeldKeys(this.recording, this.time);
+    this.keysLabel.textContent = keys.length > 0 ? keys.map(formatBinding).join(' ') : '';
+  }
+
+  frameCamera() {
+    const maze = this.game.mazeGenerator;
+    const width = maze.getWidth() * this.cellSize;
+    const depth = maze.getHeight() * this.cellSize;
+    const centerX = ((maze.getWidth() - 1) * this.cellSize) / 2;
+    const centerZ = ((maze.getHeight() - 1) * this.cellSize) / 2;
+    const baseY = this.game.getLevelY(this.level);
+
+    // Fit the whole floor with a small margin, keeping the screen aspect
+    const aspect = window.innerWidth / window.innerHeight;
+    const viewHeight = Math.max(depth, width / aspect) * 1.1;
+    const viewWidth = viewHeight * aspect;
+
+    this.camera.left = -viewWidth / 2;
+    this.camera.right = viewWidth / 2;
+    this.camera.top = viewHeight / 2;
+    this.camera.bottom = -viewHeight / 2;
+    this.camera.position.set(centerX, baseY + 100, centerZ);
+    this.camera.lookAt(centerX, baseY, centerZ);
+    this.camera.updateProjectionMatrix();
+    this.camera.updateMatrixWorld();
+  }
+
+  onResize() {
+    if (this.active && this.view === 'top') {
+      this.frameCamera();
+    }
+  }
+
+  getCamera() {
+    return this.view === 'top' ? this.camera : this.game.camera;
+  }
+
+  update(delta) {
+    if (!this.playing) return;
+
+    let time = this.time + delta * this.speed;
+    if (time >= this.recording.time) {
+      time = this.recording.time;
+      this.playing = false;
+    }
+    this.seek(time);
+  }
+}
+
+// Number of sorted indices that are <= index
+function countUpTo(indices, index) {
+  let low = 0;
+  let high = indices.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (indices[mid] <= index) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
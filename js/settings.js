@@ -0,0 +1,437 @@
+// Settings Module: difficulty presets and player options saved to localStorage
+import { MAZE_ALGORITHMS, DEFAULT_ALGORITHM } from './algorithms.js';
+import { INPUT_ACTIONS, DEFAULT_BINDINGS, formatBinding, getDevice } from './input.js';
+import { TEXTURE_THEMES, DEFAULT_TEXTURE_THEME } from './textures.js';
+
+const STORAGE_KEY = 'dungeon-maze-settings';
+
+// Each preset sets the maze size, carving algorithm, torch density, fog,
+// hint charges, cooldown and time penalty, number of enemies and locked
+// doors. Changing any of those by hand makes the difficulty 'custom'.
+// A hintLimit of null means unlimited hints.
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    name: 'Easy',
+    mazeSize: 15,
+    algorithm: 'backtracker',
+    torchInterval: 4,
+    fogDistance: 60,
+    hintLimit: 10,
+    hintDuration: 5,
+    hintCooldown: 5,
+    hintPenalty: 5,
+    enemies: 1,
+    doors: 0,
+  },
+  medium: {
+    name: 'Medium',
+    mazeSize: 21,
+    algorithm: 'backtracker',
+    torchInterval: 6,
+    fogDistance: 45,
+    hintLimit: 5,
+    hintDuration: 3,
+    hintCooldown: 10,
+    hintPenalty: 10,
+    enemies: 2,
+    doors: 1,
+  },
+  hard: {
+    name: 'Hard',
+    mazeSize: 31,
+    algorithm: 'wilson',
+    torchInterval: 10,
+    fogDistance: 25,
+    hintLimit: 3,
+    hintDuration: 2,
+    hintCooldown: 20,
+    hintPenalty: 30,
+    enemies: 4,
+    doors: 2,
+  },
+};
+
+// How a hint shows the way: a lantern ahead, glowing breadcrumbs along the
+// route or a compass needle on the HUD
+const HINT_MODES = {
+  lantern: 'Lantern',
+  trail: 'Breadcrumb Trail',
+  compass: 'Compass',
+};
+
+const PRESET_KEYS = Object.keys(DIFFICULTY_PRESETS.medium).filter(key => key !== 'name');
+
+export const DEFAULT_SETTINGS = {
+  difficulty: 'medium',
+  mazeSize: 21,
+  layout: 'maze',
+  algorithm: DEFAULT_ALGORITHM,
+  floors: 1,
+  braid: 0,
+  torchInterval: 6,
+  fogDistance: 45,
+  textureTheme: DEFAULT_TEXTURE_THEME,
+  hintLimit: 5,
+  hintDuration: 3,
+  hintCooldown: 10,
+  hintPenalty: 10,
+  hintMode: 'lantern',
+  enemies: 2,
+  doors: 1,
+  mouseSensitivity: 0.002,
+  invertY: false,
+  fov: 75,
+  deadzone: 0.2,
+  masterVolume: 0.8,
+  musicVolume: 0.5,
+  sfxVolume: 0.8,
+  showRenderStats: false,
+  bindings: DEFAULT_BINDINGS,
+};
+
+// Allowed range of each numeric setting
+const LIMITS = {
+  mazeSize: [7, 1001],
+  floors: [1, 5],
+  braid: [0, 1],
+  torchInterval: [2, 20],
+  fogDistance: [10, 100],
+  hintLimit: [0, 99],
+  hintDuration: [1, 10],
+  hintCooldown: [0, 60],
+  hintPenalty: [0, 60],
+  enemies: [0, 10],
+  doors: [0, 3],
+  mouseSensitivity: [0.0002, 0.01],
+  fov: [50, 110],
+  deadzone: [0, 0.5],
+  masterVolume: [0, 1],
+  musicVolume: [0, 1],
+  sfxVolume: [0, 1],
+};
+
+export function clampSetting(key, value) {
+  const [min, max] = LIMITS[key];
+  return Math.min(max, Math.max(min, value));
+}
+
+// Floors a maze of this size has room for: a small one would be little more
+// than its stairs
+export function maxFloors(mazeSize) {
+  return Math.max(1, Math.min(LIMITS.floors[1], Math.floor((mazeSize - 1) / 4)));
+}
+
+// Lowers the floor count to what the maze size allows; true if it changed
+export function limitFloors(settings) {
+  const floors = Math.min(settings.floors, maxFloors(settings.mazeSize));
+  if (floors === settings.floors) return false;
+  settings.floors = floors;
+  return true;
+}
+
+function copySettings(settings) {
+  return JSON.parse(JSON.stringify(settings));
+}
+
+export function loadSettings() {
+  const settings = copySettings(DEFAULT_SETTINGS);
+
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    // Storage blocked or the saved value is corrupt; use the defaults
+  }
+  if (!saved || typeof saved !== 'object') {
+    return settings;
+  }
+
+  // Only take values of the expected type, so old or hand-edited saves can't
+  // break the game
+  for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+    const value = saved[key];
+    if (key === 'bindings') {
+      // Saves from before gamepad support have keyboard codes only, under
+      // keyBindings; those keep the default gamepad bindings
+      const source = value || saved.keyBindings;
+      for (const action of Object.keys(INPUT_ACTIONS)) {
+        const codes = source && source[action];
+        if (Array.isArray(codes) && codes.every(code => typeof code === 'string')) {
+          settings.bindings[action] = value
+            ? codes
+            : [...codes, ...DEFAULT_BINDINGS[action].filter(code => getDevice(code) === 'gamepad')];
+        }
+      }
+    } else if (key === 'hintLimit') {
+      if (value === null || Number.isFinite(value)) {
+        settings.hintLimit = value === null ? null : Math.round(clampSetting(key, value));
+      }
+    } else if (typeof value === typeof defaultValue) {
+      settings[key] = LIMITS[key] && Number.isFinite(value) ? clampSetting(key, value) : value;
+    }
+  }
+
+  // Saves from before enemies, doors and hint charges get what their
+  // difficulty has; the charges replace the unlimited hints it used to give
+  const preset = DIFFICULTY_PRESETS[settings.difficulty];
+  if (preset) {
+    for (const key of ['enemies', 'doors', 'hintCooldown', 'hintPenalty']) {
+      if (saved[key] === undefined) settings[key] = preset[key];
+    }
+    if (saved.hintCooldown === undefined) settings.hintLimit = preset.hintLimit;
+  }
+  if (!HINT_MODES[settings.hintMode]) {
+    settings.hintMode = DEFAULT_SETTINGS.hintMode;
+  }
+  if (!TEXTURE_THEMES[settings.textureTheme]) {
+    settings.textureTheme = DEFAULT_TEXTURE_THEME;
+  }
+
+  if (!MAZE_ALGORITHMS[settings.algorithm]) {
+    settings.algorithm = DEFAULT_ALGORITHM;
+  }
+  limitFloors(settings);
+  if (settings.difficulty !== 'custom' && !DIFFICULTY_PRESETS[settings.difficulty]) {
+    settings.difficulty = matchDifficulty(settings);
+  }
+  return settings;
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    // Private browsing can refuse storage; settings then last for this visit
+  }
+}
+
+export function applyPreset(settings, difficulty) {
+  const preset = DIFFICULTY_PRESETS[difficulty];
+  for (const key of PRESET_KEYS) {
+    settings[key] = preset[key];
+  }
+  settings.difficulty = difficulty;
+}
+
+// The preset the current values match, or 'custom'
+export function matchDifficulty(settings) {
+  const match = Object.keys(DIFFICULTY_PRESETS).find(difficulty =>
+    PRESET_KEYS.every(key => settings[key] === DIFFICULTY_PRESETS[difficulty][key])
+  );
+  return match || 'custom';
+}
+
+// Form fields in the settings panel. The stored value is the input's value
+// divided by `divisor`, `output` shows the current value next to a slider, and
+// `preset` marks the fields a difficulty preset controls.
+const FIELDS = [
+  { key: 'mazeSize', id: 'size-input', output: 'size-value', preset: true, format: v => `${v} × ${v}` },
+  { key: 'layout', id: 'layout-select' },
+  { key: 'algorithm', id: 'algorithm-select', preset: true },
+  { key: 'floors', id: 'floors-select' },
+  { key: 'braid', id: 'braid-input', output: 'braid-value', divisor: 100, format: v => `${Math.round(v * 100)}%` },
+  { key: 'torchInterval', id: 'torch-input', output: 'torch-value', preset: true, format: v => `1 in ${v}` },
+  { key: 'fogDistance', id: 'fog-input', output: 'fog-value', preset: true, format: v => `${v}m` },
+  { key: 'textureTheme', id: 'texture-theme-select' },
+  { key: 'showRenderStats', id: 'render-stats-input' },
+  { key: 'hintLimit', id: 'hint-limit-select', preset: true },
+  { key: 'hintDuration', id: 'hint-duration-input', output: 'hint-duration-value', preset: true, format: v => `${v}s` },
+  { key: 'hintCooldown', id: 'hint-cooldown-input', output: 'hint-cooldown-value', preset: true, format: v => (v === 0 ? 'None' : `${v}s`) },
+  { key: 'hintPenalty', id: 'hint-penalty-input', output: 'hint-penalty-value', preset: true, format: v => (v === 0 ? 'None' : `+${v}s`) },
+  { key: 'hintMode', id: 'hint-mode-select' },
+  { key: 'enemies', id: 'enemies-input', output: 'enemies-value', preset: true, format: v => (v === 0 ? 'None' : v) },
+  { key: 'doors', id: 'doors-input', output: 'doors-value', preset: true, format: v => (v === 0 ? 'None' : v) },
+  { key: 'mouseSensitivity', id: 'sensitivity-input', output: 'sensitivity-value', divisor: 2000, format: v => Math.round(v * 2000) },
+  { key: 'invertY', id: 'invert-y-input' },
+  { key: 'fov', id: 'fov-input', output: 'fov-value', format: v => `${v}°` },
+  { key: 'deadzone', id: 'deadzone-input', output: 'deadzone-value', divisor: 100, format: v => `${Math.round(v * 100)}%` },
+  { key: 'masterVolume', id: 'master-volume-input', output: 'master-volume-value', divisor: 100, format: v => `${Math.round(v * 100)}%` },
+  { key: 'musicVolume', id: 'music-volume-input', output: 'music-volume-value', divisor: 100, format: v => `${Math.round(v * 100)}%` },
+  { key: 'sfxVolume', id: 'sfx-volume-input', output: 'sfx-volume-value', divisor: 100, format: v => `${Math.round(v * 100)}%` },
+];
+
+// Binding columns in the controls list
+const DEVICES = { keyboard: 'Keyboard / Mouse', gamepad: 'Gamepad' };
+
+export class SettingsPanel {
+  constructor(settings, input, onChange) {
+    this.settings = settings;
+    this.input = input;
+    this.onChange = onChange;
+
+    // Action and device waiting for a press in the bindings list
+    this.rebinding = null;
+
+    this.difficultySelect = document.getElementById('difficulty-select');
+    this.bindingsList = document.getElementById('key-bindings');
+    this.resetButton = document.getElementById('settings-reset');
+
+    this.setupFields();
+    this.render();
+  }
+
+  setupFields() {
+    this.difficultySelect.addEventListener('change', () => {
+      const difficulty = this.difficultySelect.value;
+      if (DIFFICULTY_PRESETS[difficulty]) {
+        applyPreset(this.settings, difficulty);
+      } else {
+        this.settings.difficulty = 'custom';
+      }
+      this.commit(['difficulty', ...PRESET_KEYS]);
+    });
+
+    this.elements = {};
+    for (const field of FIELDS) {
+      const element = document.getElementById(field.id);
+      this.elements[field.key] = element;
+
+      // Sliders show their value while dragging, but only apply on release
+      if (field.output) {
+        element.addEventListener('input', () => this.showValue(field, this.readField(field)));
+      }
+      element.addEventListener('change', () => {
+        this.settings[field.key] = this.readField(field);
+        const keys = [field.key];
+        if (field.preset) {
+          this.settings.difficulty = matchDifficulty(this.settings);
+          keys.push('difficulty');
+        }
+        this.commit(keys);
+      });
+    }
+
+    this.resetButton.addEventListener('click', () => {
+      this.stopRebinding();
+      Object.assign(this.settings, copySettings(DEFAULT_SETTINGS));
+      this.commit(Object.keys(DEFAULT_SETTINGS));
+    });
+  }
+
+  readField(field) {
+    const element = this.elements[field.key];
+    if (typeof DEFAULT_SETTINGS[field.key] === 'boolean') {
+      return element.checked;
+    }
+    if (typeof DEFAULT_SETTINGS[field.key] === 'string') {
+      return element.value;
+    }
+    if (element.value === '') {
+      return null;
+    }
+    return Number(element.value) / (field.divisor || 1);
+  }
+
+  showValue(field, value) {
+    document.getElementById(field.output).textContent = field.format(value);
+  }
+
+  commit(keys) {
+    // A smaller maze can take floors away
+    if (limitFloors(this.settings) && !keys.includes('floors')) {
+      keys = [...keys, 'floors'];
+    }
+    saveSettings(this.settings);
+    this.render();
+    this.onChange(keys);
+  }
+
+  render() {
+    this.difficultySelect.value = this.settings.difficulty;
+
+    for (const field of FIELDS) {
+      const element = this.elements[field.key];
+      const value = this.settings[field.key];
+      if (typeof value === 'boolean') {
+        element.checked = value;
+      } else if (typeof value === 'string') {
+        element.value = value;
+      } else if (value === null) {
+        element.value = '';
+      } else {
+        element.value = Math.round(value * (field.divisor || 1));
+      }
+      if (field.output) {
+        this.showValue(field, value);
+      }
+    }
+
+    // Carving algorithm and braid only apply to the maze layout
+    const isMaze = this.settings.layout === 'maze';
+    document.getElementById('algorithm-select').disabled = !isMaze;
+    document.getElementById('braid-input').disabled = !isMaze;
+
+    // Only the floors the maze size has room for
+    const floorLimit = maxFloors(this.settings.mazeSize);
+    for (const option of this.elements.floors.options) {
+      option.disabled = Number(option.value) > floorLimit;
+    }
+
+    this.renderBindings();
+  }
+
+  renderBindings() {
+    this.bindingsList.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'key-binding header';
+    for (const text of ['', ...Object.values(DEVICES)]) {
+      const cell = document.createElement('span');
+      cell.textContent = text;
+      header.appendChild(cell);
+    }
+    this.bindingsList.appendChild(header);
+
+    for (const [action, label] of Object.entries(INPUT_ACTIONS)) {
+      const row = document.createElement('div');
+      row.className = 'key-binding';
+
+      const name = document.createElement('span');
+      name.textContent = label;
+      row.appendChild(name);
+
+      // One button per device; rebinding one leaves the other device's controls
+      for (const device of Object.keys(DEVICES)) {
+        const active = this.rebinding && this.rebinding.action === action && this.rebinding.device === device;
+        const codes = this.settings.bindings[action].filter(code => getDevice(code) === device);
+
+        const button = document.createElement('button');
+        button.className = 'small-button';
+        button.textContent = active
+          ? (device === 'gamepad' ? 'Press a button...' : 'Press a key...')
+          : codes.map(formatBinding).join(' / ') || 'Unbound';
+        button.classList.toggle('active', active);
+        button.addEventListener('click', () => this.startRebinding(action, device));
+        row.appendChild(button);
+      }
+
+      this.bindingsList.appendChild(row);
+    }
+  }
+
+  startRebinding(action, device) {
+    this.rebinding = { action, device };
+    this.input.captureNext(device, code => this.rebind(code));
+    this.renderBindings();
+  }
+
+  stopRebinding() {
+    this.rebinding = null;
+    this.input.cancelCapture();
+  }
+
+  rebind(code) {
+    // Escape cancels; any other control replaces the action's controls on that
+    // device and is taken away from whichever action had it before
+    const { action, device } = this.rebinding;
+    this.rebinding = null;
+    if (code !== 'Escape') {
+      const bindings = this.settings.bindings;
+      for (const other of Object.keys(bindings)) {
+        bindings[other] = bindings[other].filter(existing => existing !== code);
+      }
+      bindings[action] = [...bindings[action].filter(existing => getDevice(existing) !== device), code];
+    }
+    this.commit(['bindings']);
+  }
+}
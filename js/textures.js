@@ -0,0 +1,359 @@
+// Texture Module: procedural stone for the dungeon's walls, floors and ceilings
+//
+// Walls are stone brick, floors flagstones and ceilings rough rock, drawn
+// pixel by pixel onto canvases. Each surface is worked out as a height field
+// first: colour follows it, a normal map comes from its slopes and a
+// roughness map from what the pixel is (stone, mortar, moss or frost), so
+// the joints catch the torchlight. Everything is drawn from a seed, the
+// maze's, so a dungeon looks the same every time it is played, and every
+// pattern wraps at its edges so the textures tile.
+import * as THREE from 'three';
+import { SeededRandom } from './random.js';
+
+// Colours are [r, g, b], 0 to 255. `variation` is how much stones differ in
+// tone, `roughness` how rough bare stone is, and an overlay (moss, frost)
+// settles over part of every surface.
+export const TEXTURE_THEMES = {
+  catacomb: {
+    name: 'Catacomb',
+    stone: [92, 86, 80],
+    mortar: [44, 40, 38],
+    floor: [74, 70, 66],
+    ceiling: [50, 48, 50],
+    variation: 0.3,
+    roughness: 0.9,
+    overlay: null,
+  },
+  mossy: {
+    name: 'Mossy Ruins',
+    stone: [82, 86, 74],
+    mortar: [38, 44, 32],
+    floor: [66, 70, 58],
+    ceiling: [46, 52, 42],
+    variation: 0.25,
+    roughness: 0.95,
+    overlay: { color: [58, 92, 38], amount: 0.5, roughness: 1 },
+  },
+  ice: {
+    name: 'Ice Cave',
+    stone: [140, 170, 196],
+    mortar: [80, 104, 130],
+    floor: [124, 152, 178],
+    ceiling: [104, 132, 160],
+    variation: 0.15,
+    roughness: 0.4,
+    overlay: { color: [226, 240, 255], amount: 0.35, roughness: 0.15 },
+  },
+};
+
+export const DEFAULT_TEXTURE_THEME = 'catacomb';
+
+// Pixels along each side of every texture
+const TEXTURE_SIZE = 256;
+
+// How steep the normal maps make the height field look
+const NORMAL_STRENGTH = 3;
+
+// Texture sets for walls, floors and ceilings:
+// { wall, floor, ceiling }, each { map, normalMap, roughnessMap }
+export function createDungeonTextures(themeName, seed) {
+  const theme = TEXTURE_THEMES[themeName] || TEXTURE_THEMES[DEFAULT_TEXTURE_THEME];
+  // Each surface draws from its own stream, so they don't shift one another
+  const randomFor = surface => new SeededRandom(`${seed}:${surface}`);
+  return {
+    wall: toTextures(drawBricks(theme, randomFor('wall'))),
+    floor: toTextures(drawFlagstones(theme, randomFor('floor'))),
+    ceiling: toTextures(drawRock(theme, randomFor('ceiling'))),
+  };
+}
+
+export function disposeDungeonTextures(textures) {
+  for (const surface of Object.values(textures)) {
+    for (const texture of Object.values(surface)) {
+      texture.dispose();
+    }
+  }
+}
+
+function createSurface() {
+  const pixels = TEXTURE_SIZE * TEXTURE_SIZE;
+  return {
+    height: new Float32Array(pixels),     // 0 to 1
+    color: new Float32Array(pixels * 3),  // 0 to 255
+    roughness: new Float32Array(pixels),  // 0 to 1
+  };
+}
+
+function setPixel(surface, index, height, color, shade, roughness) {
+  surface.height[index] = height;
+  surface.color[index * 3] = color[0] * shade;
+  surface.color[index * 3 + 1] = color[1] * shade;
+  surface.color[index * 3 + 2] = color[2] * shade;
+  surface.roughness[index] = roughness;
+}
+
+// Four courses of two bricks each, every other course offset by half a
+// brick
+function drawBricks(theme, random) {
+  const surface = createSurface();
+  const courses = 4;
+  const perCourse = 2;
+  const brickWidth = TEXTURE_SIZE / perCourse;
+  const brickHeight = TEXTURE_SIZE / courses;
+  const mortar = 4; // pixels of joint either side of a brick edge
+  const bevel = 6;
+
+  const tones = Array.from({ length: courses * perCourse }, () => random.next() - 0.5);
+  const noise = noiseField(random, 8, 4);
+
+  for (let y = 0; y < TEXTURE_SIZE; y++) {
+    const course = Math.floor(y / brickHeight);
+    const offset = course % 2 === 1 ? brickWidth / 2 : 0;
+    const localY = y - course * brickHeight;
+    for (let x = 0; x < TEXTURE_SIZE; x++) {
+      const shiftedX = (x + offset) % TEXTURE_SIZE;
+      const brick = Math.floor(shiftedX / brickWidth);
+      const localX = shiftedX - brick * brickWidth;
+      const edge = Math.min(localX, brickWidth - localX, localY, brickHeight - localY);
+
+      const index = y * TEXTURE_SIZE + x;
+      const grain = noise[index];
+      if (edge < mortar) {
+        setPixel(surface, index, 0.1 + grain * 0.1, theme.mortar, 0.8 + grain * 0.4, 1);
+      } else {
+        const tone = tones[course * perCourse + brick];
+        const rounded = smoothstep(Math.min(1, (edge - mortar) / bevel));
+        setPixel(
+          surface, index,
+          0.5 + rounded * 0.3 + grain * 0.2,
+          theme.stone, (1 + tone * theme.variation) * (0.8 + grain * 0.4),
+          theme.roughness - grain * 0.1
+        );
+      }
+    }
+  }
+
+  addOverlay(surface, theme, random);
+  return surface;
+}
+
+// Irregular flagstones: the cells around jittered points, laid out on a
+// 3 × 3 grid so the pattern wraps, with mortar where two cells meet
+function drawFlagstones(theme, random) {
+  const surface = createSurface();
+  const grid = 3;
+  const spacing = TEXTURE_SIZE / grid;
+  const mortar = 3;
+  const bevel = 8;
+
+  const stones = [];
+  for (let row = 0; row < grid; row++) {
+    for (let column = 0; column < grid; column++) {
+      stones.push({
+        x: (column + 0.2 + random.next() * 0.6) * spacing,
+        y: (row + 0.2 + random.next() * 0.6) * spacing,
+        tone: random.next() - 0.5,
+      });
+    }
+  }
+  const noise = noiseField(random, 8, 4);
+
+  for (let y = 0; y < TEXTURE_SIZE; y++) {
+    for (let x = 0; x < TEXTURE_SIZE; x++) {
+      // Nearest two stones, measured across the wrapped edges
+      let nearest = Infinity;
+      let second = Infinity;
+      let stone = null;
+      for (const candidate of stones) {
+        const dx = wrappedDistance(x, candidate.x);
+        const dy = wrappedDistance(y, candidate.y);
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < nearest) {
+          second = nearest;
+          nearest = distance;
+          stone = candidate;
+        } else if (distance < second) {
+          second = distance;
+        }
+      }
+
+      // Roughly the distance to the border between the two
+      const edge = (second - nearest) / 2;
+      const index = y * TEXTURE_SIZE + x;
+      const grain = noise[index];
+      if (edge < mortar) {
+        setPixel(surface, index, 0.1 + grain * 0.1, theme.mortar, 0.8 + grain * 0.4, 1);
+      } else {
+        const rounded = smoothstep(Math.min(1, (edge - mortar) / bevel));
+        setPixel(
+          surface, index,
+          0.5 + rounded * 0.25 + grain * 0.25,
+          theme.floor, (1 + stone.tone * theme.variation) * (0.75 + grain * 0.5),
+          theme.roughness - grain * 0.15
+        );
+      }
+    }
+  }
+
+  addOverlay(surface, theme, random);
+  return surface;
+}
+
+// Bare rock: lumpy noise with pits in the low spots
+function drawRock(theme, random) {
+  const surface = createSurface();
+  const noise = noiseField(random, 8, 5);
+
+  for (let index = 0; index < noise.length; index++) {
+    const height = noise[index];
+    const pit = height < 0.3 ? (0.3 - height) * 2 : 0;
+    setPixel(
+      surface, index,
+      height,
+      theme.ceiling, 0.6 + height * 0.6 - pit,
+      Math.min(1, theme.roughness + pit)
+    );
+  }
+
+  addOverlay(surface, theme, random);
+  return surface;
+}
+
+// Moss or frost in patches, thickest in the joints and hollows
+function addOverlay(surface, theme, random) {
+  if (!theme.overlay) return;
+  const { color, amount, roughness } = theme.overlay;
+  const patches = noiseField(random, 4, 3);
+
+  for (let index = 0; index < patches.length; index++) {
+    const cover = Math.max(0, Math.min(1,
+      (patches[index] - (1 - amount)) * 4 + (0.5 - surface.height[index]) * amount * 2
+    ));
+    if (cover === 0) continue;
+    for (let channel = 0; channel < 3; channel++) {
+      const i = index * 3 + channel;
+      surface.color[i] += (color[channel] - surface.color[i]) * cover;
+    }
+    surface.roughness[index] += (roughness - surface.roughness[index]) * cover;
+    // Growth fills the joints in a little
+    surface.height[index] += cover * 0.1;
+  }
+}
+
+// Smooth noise that wraps at the texture's edges, 0 to 1: `octaves` layers
+// of interpolated random values, the first on a grid `period` cells across,
+// each following one twice as fine and half as strong
+function noiseField(random, period, octaves) {
+  const field = new Float32Array(TEXTURE_SIZE * TEXTURE_SIZE);
+  let strength = 1;
+  let total = 0;
+
+  for (let octave = 0; octave < octaves; octave++) {
+    const cells = period << octave;
+    const lattice = Array.from({ length: cells * cells }, () => random.next());
+    const scale = cells / TEXTURE_SIZE;
+
+    for (let y = 0; y < TEXTURE_SIZE; y++) {
+      const gridY = y * scale;
+      const y0 = Math.floor(gridY);
+      const y1 = (y0 + 1) % cells;
+      const ty = smoothstep(gridY - y0);
+      for (let x = 0; x < TEXTURE_SIZE; x++) {
+        const gridX = x * scale;
+        const x0 = Math.floor(gridX);
+        const x1 = (x0 + 1) % cells;
+        const tx = smoothstep(gridX - x0);
+
+        const top = lerp(lattice[y0 * cells + x0], lattice[y0 * cells + x1], tx);
+        const bottom = lerp(lattice[y1 * cells + x0], lattice[y1 * cells + x1], tx);
+        field[y * TEXTURE_SIZE + x] += lerp(top, bottom, ty) * strength;
+      }
+    }
+
+    total += strength;
+    strength /= 2;
+  }
+
+  for (let i = 0; i < field.length; i++) {
+    field[i] /= total;
+  }
+  return field;
+}
+
+// Colour, normal and roughness textures for a drawn surface
+function toTextures(surface) {
+  const pixels = TEXTURE_SIZE * TEXTURE_SIZE;
+  const color = new Uint8ClampedArray(pixels * 4);
+  const normal = new Uint8ClampedArray(pixels * 4);
+  const roughness = new Uint8ClampedArray(pixels * 4);
+  const height = (x, y) => surface.height[
+    ((y + TEXTURE_SIZE) % TEXTURE_SIZE) * TEXTURE_SIZE + (x + TEXTURE_SIZE) % TEXTURE_SIZE
+  ];
+
+  for (let y = 0; y < TEXTURE_SIZE; y++) {
+    for (let x = 0; x < TEXTURE_SIZE; x++) {
+      const index = y * TEXTURE_SIZE + x;
+      const i = index * 4;
+
+      color[i] = surface.color[index * 3];
+      color[i + 1] = surface.color[index * 3 + 1];
+      color[i + 2] = surface.color[index * 3 + 2];
+      color[i + 3] = 255;
+
+      // Slopes across the height field. Canvas rows run down while texture
+      // v runs up, hence the flipped sign on y.
+      const slopeX = (height(x + 1, y) - height(x - 1, y)) * NORMAL_STRENGTH;
+      const slopeY = (height(x, y - 1) - height(x, y + 1)) * NORMAL_STRENGTH;
+      const length = Math.sqrt(slopeX * slopeX + slopeY * slopeY + 1);
+      normal[i] = (-slopeX / length * 0.5 + 0.5) * 255;
+      normal[i + 1] = (-slopeY / length * 0.5 + 0.5) * 255;
+      normal[i + 2] = (1 / length * 0.5 + 0.5) * 255;
+      normal[i + 3] = 255;
+
+      // three.js reads roughness from the green channel; grey shows it
+      const rough = Math.max(0, Math.min(1, surface.roughness[index])) * 255;
+      roughness[i] = rough;
+      roughness[i + 1] = rough;
+      roughness[i + 2] = rough;
+      roughness[i + 3] = 255;
+    }
+  }
+
+  const map = toCanvasTexture(color);
+  map.colorSpace = THREE.SRGBColorSpace;
+  return {
+    map,
+    normalMap: toCanvasTexture(normal),
+    roughnessMap: toCanvasTexture(roughness),
+  };
+}
+
+function toCanvasTexture(data) {
+  const canvas = document.createElement('canvas');
+  canvas.width = TEXTURE_SIZE;
+  canvas.height = TEXTURE_SIZE;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(TEXTURE_SIZE, TEXTURE_SIZE);
+  image.data.set(data);
+  context.putImageData(image, 0, 0);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.anisotropy = 4;
+  return texture;
+}
+
+// Distance between two coordinates on a texture that wraps around
+function wrappedDistance(a, b) {
+  const distance = Math.abs(a - b);
+  return Math.min(distance, TEXTURE_SIZE - distance);
+}
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
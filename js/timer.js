@@ -0,0 +1,8 @@
+// Run time display; the game core (core.js) counts the active time itself
+
+// Whole seconds as m:ss
+export function formatTime(seconds) {
+  const totalTime = Math.floor(seconds);
+  const minutes = Math.floor(totalTime / 60);
+  return `${minutes}:${(totalTime % 60).toString().padStart(2, '0')}`;
+}
@@ -0,0 +1,165 @@
+// Touch Controls Module: on-screen controls for phones and tablets
+//
+// A thumb on the left half of the screen drops a virtual joystick where it
+// lands and walks with it, sprinting when pushed past the rim; a thumb
+// dragged on the right half looks around. Buttons cover the press actions,
+// plus jump and crouch, which count while held. Movement is read like any
+// other input device (see InputManager.addSource), so it reaches the core as
+// analog move values.
+
+// Touch screens without a mouse; hybrid laptops switch on their first touch
+export function isTouchDevice() {
+  return typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+}
+
+export class TouchControls {
+  constructor(element, controls, onAction) {
+    this.element = element;
+    this.controls = controls;
+    this.onAction = onAction;
+
+    // Settings
+    this.joystickRadius = 50;   // pixels the knob can travel
+    this.deadzone = 0.1;
+    this.lookSensitivity = 0.005; // radians per pixel dragged
+
+    // Active touches by identifier
+    this.moveTouch = null; // { id, startX, startY }
+    this.lookTouch = null; // { id, x, y }
+    this.move = { x: 0, y: 0 }; // joystick, -1 to 1, y down
+    this.sprint = false;        // joystick pushed past its rim
+    this.held = new Set();      // hold buttons being pressed
+
+    // DOM elements
+    this.joystick = document.getElementById('touch-joystick');
+    this.knob = document.getElementById('touch-knob');
+    this.buttons = {
+      hint: document.getElementById('touch-hint-button'),
+      map: document.getElementById('touch-map-button'),
+      pause: document.getElementById('touch-pause-button'),
+    };
+    this.holdButtons = {
+      jump: document.getElementById('touch-jump-button'),
+      crouch: document.getElementById('touch-crouch-button'),
+    };
+
+    this.onTouchStart = this.onTouchStart.bind(this);
+    this.onTouchMove = this.onTouchMove.bind(this);
+    this.onTouchEnd = this.onTouchEnd.bind(this);
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    // Not passive, so dragging doesn't scroll or zoom the page
+    this.element.addEventListener('touchstart', this.onTouchStart, { passive: false });
+    this.element.addEventListener('touchmove', this.onTouchMove, { passive: false });
+    this.element.addEventListener('touchend', this.onTouchEnd);
+    this.element.addEventListener('touchcancel', this.onTouchEnd);
+
+    for (const [action, button] of Object.entries(this.buttons)) {
+      button.addEventListener('touchstart', event => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.onAction(action);
+      }, { passive: false });
+      // Mouse clicks too, for testing on a desktop
+      button.addEventListener('click', () => this.onAction(action));
+    }
+
+    for (const [action, button] of Object.entries(this.holdButtons)) {
+      button.addEventListener('touchstart', event => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.held.add(action);
+      }, { passive: false });
+      button.addEventListener('touchend', () => this.held.delete(action));
+      button.addEventListener('touchcancel', () => this.held.delete(action));
+    }
+  }
+
+  setVisible(visible) {
+    this.element.classList.toggle('hidden', !visible);
+    if (!visible) this.reset();
+  }
+
+  reset() {
+    this.moveTouch = null;
+    this.lookTouch = null;
+    this.move = { x: 0, y: 0 };
+    this.sprint = false;
+    this.held.clear();
+    this.joystick.classList.add('hidden');
+  }
+
+  onTouchStart(event) {
+    event.preventDefault();
+    for (const touch of event.changedTouches) {
+      if (touch.clientX < window.innerWidth / 2) {
+        if (this.moveTouch) continue;
+        this.moveTouch = { id: touch.identifier, startX: touch.clientX, startY: touch.clientY };
+        this.joystick.style.left = `${touch.clientX}px`;
+        this.joystick.style.top = `${touch.clientY}px`;
+        this.joystick.classList.remove('hidden');
+        this.updateJoystick(touch.clientX, touch.clientY);
+      } else if (!this.lookTouch) {
+        this.lookTouch = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+      }
+    }
+  }
+
+  onTouchMove(event) {
+    event.preventDefault();
+    for (const touch of event.changedTouches) {
+      if (this.moveTouch && touch.identifier === this.moveTouch.id) {
+        this.updateJoystick(touch.clientX, touch.clientY);
+      } else if (this.lookTouch && touch.identifier === this.lookTouch.id) {
+        if (this.controls.isLocked) {
+          this.controls.look(touch.clientX - this.lookTouch.x, touch.clientY - this.lookTouch.y, this.lookSensitivity);
+        }
+        this.lookTouch.x = touch.clientX;
+        this.lookTouch.y = touch.clientY;
+      }
+    }
+  }
+
+  onTouchEnd(event) {
+    for (const touch of event.changedTouches) {
+      if (this.moveTouch && touch.identifier === this.moveTouch.id) {
+        this.moveTouch = null;
+        this.move = { x: 0, y: 0 };
+        this.sprint = false;
+        this.joystick.classList.add('hidden');
+      } else if (this.lookTouch && touch.identifier === this.lookTouch.id) {
+        this.lookTouch = null;
+      }
+    }
+  }
+
+  updateJoystick(x, y) {
+    // Knob follows the thumb up to the edge of the base
+    let dx = (x - this.moveTouch.startX) / this.joystickRadius;
+    let dy = (y - this.moveTouch.startY) / this.joystickRadius;
+    const length = Math.hypot(dx, dy);
+    this.sprint = length > 1.5;
+    if (length > 1) {
+      dx /= length;
+      dy /= length;
+    }
+    this.knob.style.transform = `translate(${dx * this.joystickRadius}px, ${dy * this.joystickRadius}px)`;
+
+    this.move = length < this.deadzone ? { x: 0, y: 0 } : { x: dx, y: dy };
+  }
+
+  // Input source value for an action, 0 to 1
+  getValue(action) {
+    switch (action) {
+      case 'moveForward': return Math.max(0, -this.move.y);
+      case 'moveBackward': return Math.max(0, this.move.y);
+      case 'moveLeft': return Math.max(0, -this.move.x);
+      case 'moveRight': return Math.max(0, this.move.x);
+      case 'sprint': return this.sprint ? 1 : 0;
+      default: return this.held.has(action) ? 1 : 0;
+    }
+  }
+}
@@ -0,0 +1,211 @@
+// Wall Mesh Module: one merged mesh for the walls, floor and ceiling of an area
+//
+// Drawing every wall cell as a whole box wastes most of its triangles: the
+// faces between two walls, the tops under the ceiling and the bottoms on the
+// floor can never be seen. This builds only the wall faces that border an
+// open cell, and merges each straight run of them along a corridor into one
+// quad. Floors and ceilings are covered the same way, with as few rectangles
+// as a greedy sweep over the open cells finds. The result is a single
+// geometry with one group per material: walls, floor, ceiling.
+//
+// Texture coordinates are in cell widths from the world origin, so one
+// texture repeat spans a cell and patterns carry on from quad to quad.
+//
+// The mesh comes out as plain typed arrays, which chunks.js turns into a
+// three.js geometry, so it can be built and checked in Node too.
+import { CELL } from './maze.js';
+
+// Geometry groups, in the order of the materials the mesh is drawn with
+export const WALL_MESH_GROUPS = { wall: 0, floor: 1, ceiling: 2 };
+
+// Triangles in a box, as each wall cell used to be drawn
+const BOX_TRIANGLES = 12;
+
+// The four sides of a wall cell: the neighbour that must be open for the
+// face to show, the face's outward normal, and its right-hand direction
+// seen from the front (up × normal), which the run is merged along
+const SIDES = [
+  { dx: 0, dz: -1, normal: [0, 0, -1], right: [-1, 0, 0] }, // North
+  { dx: 1, dz: 0, normal: [1, 0, 0], right: [0, 0, -1] },   // East
+  { dx: 0, dz: 1, normal: [0, 0, 1], right: [1, 0, 0] },    // South
+  { dx: -1, dz: 0, normal: [-1, 0, 0], right: [0, 0, 1] },  // West
+];
+
+// Builds the cells from (minX, minZ) up to but not including (maxX, maxZ) of
+// one floor. Cells outside the area still hide the faces against them, so
+// areas built side by side join without seams or doubled faces.
+//
+// options: cellSize, wallHeight, baseY (height of the floor)
+//
+// Returns { positions, normals, uvs, indices, groups, triangles,
+// boxTriangles }: typed arrays ready for a BufferGeometry, the groups as
+// { start, count, materialIndex }, and the triangles against what boxes and
+// two full planes would have taken.
+export function buildWallMesh(maze, level, area, options) {
+  const { minX, minZ, maxX, maxZ } = area;
+  const cellSize = options.cellSize;
+  const wallHeight = options.wallHeight;
+  const baseY = options.baseY || 0;
+  const isSolid = (x, z) => maze.getCell(x, z, level) === CELL.WALL;
+
+  const builder = new QuadBuilder(cellSize, baseY);
+  let wallCells = 0;
+
+  // Walls: per row (or column) of cells, runs of walls with the same side
+  // open make one quad. Cell x spans world x from (x - 0.5) to (x + 0.5)
+  // cell widths.
+  builder.beginGroup(WALL_MESH_GROUPS.wall);
+  for (const side of SIDES) {
+    const alongX = side.dz !== 0;
+    const lines = alongX ? [minZ, maxZ] : [minX, maxX];
+    const cells = alongX ? [minX, maxX] : [minZ, maxZ];
+
+    for (let line = lines[0]; line < lines[1]; line++) {
+      let runStart = null;
+      for (let cell = cells[0]; cell <= cells[1]; cell++) {
+        const x = alongX ? cell : line;
+        const z = alongX ? line : cell;
+        const exposed = cell < cells[1] && isSolid(x, z) && !isSolid(x + side.dx, z + side.dz);
+        if (exposed && runStart === null) {
+          runStart = cell;
+        } else if (!exposed && runStart !== null) {
+          builder.addWallRun(side, alongX, line, runStart, cell, wallHeight);
+          runStart = null;
+        }
+      }
+    }
+  }
+  for (let z = minZ; z < maxZ; z++) {
+    for (let x = minX; x < maxX; x++) {
+      if (isSolid(x, z)) wallCells++;
+    }
+  }
+
+  // Floor and ceiling over the open cells
+  const rectangles = findRectangles(area, (x, z) => !isSolid(x, z));
+  builder.beginGroup(WALL_MESH_GROUPS.floor);
+  for (const rectangle of rectangles) {
+    builder.addFloor(rectangle, 0, [0, 1, 0], [0, 0, -1]);
+  }
+  builder.beginGroup(WALL_MESH_GROUPS.ceiling);
+  for (const rectangle of rectangles) {
+    builder.addFloor(rectangle, wallHeight, [0, -1, 0], [0, 0, 1]);
+  }
+
+  const mesh = builder.finish();
+  mesh.triangles = mesh.indices.length / 3;
+  mesh.boxTriangles = wallCells * BOX_TRIANGLES + 4;
+  return mesh;
+}
+
+// Greedy rectangles covering every cell of the area that passes isOpen:
+// from each cell not yet covered, as wide as the row allows, then as deep as
+// whole rows of that width allow. [{ minX, minZ, maxX, maxZ }], max exclusive.
+export function findRectangles(area, isOpen) {
+  const { minX, minZ, maxX, maxZ } = area;
+  const width = maxX - minX;
+  const covered = new Uint8Array(width * (maxZ - minZ));
+  const isFree = (x, z) => !covered[(z - minZ) * width + (x - minX)] && isOpen(x, z);
+
+  const rectangles = [];
+  for (let z = minZ; z < maxZ; z++) {
+    for (let x = minX; x < maxX; x++) {
+      if (!isFree(x, z)) continue;
+
+      let endX = x + 1;
+      while (endX < maxX && isFree(endX, z)) endX++;
+
+      let endZ = z + 1;
+      while (endZ < maxZ) {
+        let rowFree = true;
+        for (let cellX = x; cellX < endX && rowFree; cellX++) {
+          rowFree = isFree(cellX, endZ);
+        }
+        if (!rowFree) break;
+        endZ++;
+      }
+
+      for (let coverZ = z; coverZ < endZ; coverZ++) {
+        covered.fill(1, (coverZ - minZ) * width + (x - minX), (coverZ - minZ) * width + (endX - minX));
+      }
+      rectangles.push({ minX: x, minZ: z, maxX: endX, maxZ: endZ });
+    }
+  }
+  return rectangles;
+}
+
+// Collects quads into growing arrays, grouped by material
+class QuadBuilder {
+  constructor(cellSize, baseY) {
+    this.cellSize = cellSize;
+    this.baseY = baseY;
+    this.positions = [];
+    this.normals = [];
+    this.uvs = [];
+    this.indices = [];
+    this.groups = [];
+  }
+
+  beginGroup(materialIndex) {
+    this.groups.push({ start: this.indices.length, count: 0, materialIndex });
+  }
+
+  // Wall faces of the cells from `start` up to `end` along one line, on the
+  // given side of them
+  addWallRun(side, alongX, line, start, end, wallHeight) {
+    const half = this.cellSize / 2;
+    // Where the face sits across the line: on the cell's edge towards the
+    // open neighbour
+    const across = line * this.cellSize + (alongX ? side.dz : side.dx) * half;
+    // The run's two ends, ordered so the quad starts at its left seen from
+    // the front
+    const from = start * this.cellSize - half;
+    const to = end * this.cellSize - half;
+    const [left, right] = (alongX ? side.right[0] : side.right[2]) > 0 ? [from, to] : [to, from];
+
+    const corner = alongX ? [left, 0, across] : [across, 0, left];
+    this.addQuad(corner, side.right, [0, 1, 0], Math.abs(to - from), wallHeight, side.normal);
+  }
+
+  // A horizontal rectangle of cells at height y. `up` is the direction
+  // that is up in the texture, chosen so right × up is the normal.
+  addFloor(rectangle, y, normal, up) {
+    const half = this.cellSize / 2;
+    const width = (rectangle.maxX - rectangle.minX) * this.cellSize;
+    const depth = (rectangle.maxZ - rectangle.minZ) * this.cellSize;
+    // Bottom-left corner as seen from the normal's side
+    const z = up[2] < 0 ? rectangle.maxZ * this.cellSize - half : rectangle.minZ * this.cellSize - half;
+    const corner = [rectangle.minX * this.cellSize - half, y, z];
+    this.addQuad(corner, [1, 0, 0], up, width, depth, normal);
+  }
+
+  // A quad from its bottom-left corner, in local coordinates with y up from
+  // the floor; wound anticlockwise seen from the front
+  addQuad(corner, right, up, width, height, normal) {
+    const first = this.positions.length / 3;
+    for (const [across, along] of [[0, 0], [width, 0], [width, height], [0, height]]) {
+      const x = corner[0] + right[0] * across + up[0] * along;
+      const y = corner[1] + right[1] * across + up[1] * along;
+      const z = corner[2] + right[2] * across + up[2] * along;
+      this.positions.push(x, y + this.baseY, z);
+      this.normals.push(normal[0], normal[1], normal[2]);
+      // Texture axes follow the quad's own, measured from the origin
+      this.uvs.push(
+        (x * right[0] + y * right[1] + z * right[2]) / this.cellSize,
+        (x * up[0] + y * up[1] + z * up[2]) / this.cellSize
+      );
+    }
+    this.indices.push(first, first + 1, first + 2, first, first + 2, first + 3);
+    this.groups[this.groups.length - 1].count += 6;
+  }
+
+  finish() {
+    return {
+      positions: new Float32Array(this.positions),
+      normals: new Float32Array(this.normals),
+      uvs: new Float32Array(this.uvs),
+      indices: new Uint32Array(this.indices),
+      groups: this.groups,
+    };
+  }
+}
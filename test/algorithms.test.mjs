@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAZE_ALGORITHMS } from '../js/algorithms.js';
+import { MazeGenerator } from '../js/maze.js';
+import { Navigator } from '../js/navigation.js';
+
+const SIZES = [[5, 5], [21, 21], [31, 17]];
+const SEEDS = [1, 42, 12345];
+
+// Open cells, and passages between neighbouring open cells
+function countGraph(maze) {
+  let cells = 0;
+  let edges = 0;
+  for (let z = 0; z < maze.getHeight(); z++) {
+    for (let x = 0; x < maze.getWidth(); x++) {
+      if (maze.isWall(x, z)) continue;
+      cells++;
+      if (!maze.isWall(x + 1, z)) edges++;
+      if (!maze.isWall(x, z + 1)) edges++;
+    }
+  }
+  return { cells, edges };
+}
+
+// A connected graph with one edge fewer than it has cells is a tree: every
+// cell reachable by exactly one route, with no loops
+for (const [algorithm, { name }] of Object.entries(MAZE_ALGORITHMS)) {
+  test(`${name} carves perfect mazes`, () => {
+    for (const [width, height] of SIZES) {
+      for (const seed of SEEDS) {
+        const maze = new MazeGenerator(width, height, { seed, algorithm });
+        maze.generate();
+        const { cells, edges } = countGraph(maze);
+        const label = `${algorithm} ${width}x${height} seed ${seed}`;
+
+        const reachable = new Navigator(maze).findWithin(maze.getStart());
+        assert.equal(reachable.length, cells, `${label}: unreachable cells`);
+        assert.equal(edges, cells - 1, `${label}: loops`);
+      }
+    }
+  });
+}
@@ -0,0 +1,272 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore, FIXED_TIMESTEP } from '../js/core.js';
+import { loadLevelASCII } from '../js/levels.js';
+
+// Yaw 0 faces -z, up the page
+const CORRIDOR = `
+#####
+##E##
+##.##
+##.##
+##S##
+#####
+`;
+
+const LOCKED = `
+#######
+#E#..a#
+#.#.###
+#A..S.#
+#######
+`;
+
+function createCore(level, options = {}) {
+  const core = new GameCore(options);
+  core.setMaze(loadLevelASCII(level));
+  return core;
+}
+
+// Steps the core for `seconds` with the same input, collecting the events
+function run(core, input, seconds, dt = FIXED_TIMESTEP) {
+  const events = [];
+  for (let time = 0; time < seconds - 1e-9; time += dt) {
+    events.push(...core.step(input, dt));
+  }
+  return events;
+}
+
+const forward = (yaw = 0) => ({ moveForward: 1, yaw, pitch: 0 });
+const idle = { yaw: 0, pitch: 0 };
+
+test('a new core waits on the instructions and ignores steps', () => {
+  const core = createCore(CORRIDOR);
+  assert.equal(core.state, 'instructions');
+  assert.deepEqual(core.step(forward(), FIXED_TIMESTEP), []);
+  assert.equal(core.time, 0);
+  assert.deepEqual(core.getPlayerCell(), { x: 2, z: 4, level: 0 });
+});
+
+test('start, pause and resume move between the states', () => {
+  const core = createCore(CORRIDOR);
+  assert.equal(core.resume(), false);
+  core.start();
+  assert.equal(core.state, 'playing');
+
+  run(core, idle, 0.5);
+  assert.ok(core.pause());
+  assert.equal(core.state, 'paused');
+  assert.equal(core.pause(), false);
+
+  // Paused time doesn't count
+  const time = core.time;
+  run(core, forward(), 1);
+  assert.equal(core.time, time);
+
+  assert.ok(core.resume());
+  assert.equal(core.state, 'playing');
+  assert.throws(() => core.setState('dancing'), /Unknown game state/);
+});
+
+test('walking up the corridor reaches the exit and completes the run', () => {
+  const core = createCore(CORRIDOR);
+  core.start();
+  const events = run(core, forward(), 2);
+
+  assert.equal(core.state, 'completed');
+  assert.deepEqual(events.filter(event => event.type === 'completed'), [{ type: 'completed' }]);
+  assert.deepEqual(core.step(forward(), FIXED_TIMESTEP), []);
+});
+
+test('the exit only counts within its radius', () => {
+  const core = createCore(CORRIDOR);
+  core.start();
+  const end = core.maze.getEnd();
+  core.player.x = end.x * core.cellSize;
+  core.player.z = end.z * core.cellSize + core.exitRadius + 0.05;
+  assert.equal(core.checkExit(), false);
+  core.player.z -= 0.1;
+  assert.equal(core.checkExit(), true);
+});
+
+// Movement stops a hair short of the wall, so positions are compared to
+// within a hundredth of a unit
+function assertNear(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 0.01, `expected ${actual} to be near ${expected}`);
+}
+
+test('walls stop the player a radius from their face', () => {
+  const core = createCore(CORRIDOR);
+  core.start();
+  // West, then east, into the corridor's side walls
+  run(core, forward(Math.PI / 2), 1);
+  assertNear(core.player.x, 2 * core.cellSize - core.cellSize / 2 + core.playerRadius);
+  run(core, forward(-Math.PI / 2), 1);
+  assertNear(core.player.x, 2 * core.cellSize + core.cellSize / 2 - core.playerRadius);
+
+  // Backwards into the wall below the start
+  run(core, { moveBackward: 1, yaw: 0, pitch: 0 }, 1);
+  assertNear(core.player.z, 4 * core.cellSize + core.cellSize / 2 - core.playerRadius);
+  assert.equal(core.checkCollision(core.player.x, core.player.z, core.playerRadius, 0), false);
+  assert.equal(core.checkCollision(core.player.x, core.player.z + 0.1, core.playerRadius, 0), true);
+});
+
+test('hints point along the route and end after their duration', () => {
+  const core = createCore(CORRIDOR, { hintLimit: 2, hintDuration: 1, hintCooldown: 2, hintPenalty: 10 });
+  core.start();
+
+  const hint = core.requestHint();
+  assert.deepEqual(hint.path, [{ x: 2, z: 3, level: 0 }, { x: 2, z: 2, level: 0 }, { x: 2, z: 1, level: 0 }]);
+  assert.ok(hint.direction.z < 0 && Math.abs(hint.direction.x) < 1e-9);
+  assert.equal(core.hintsRemaining(), 1);
+  assert.equal(core.getPenalty(), 10);
+
+  // Only one at a time
+  assert.equal(core.requestHint(), null);
+
+  const events = run(core, idle, 1.05);
+  assert.equal(events.filter(event => event.type === 'hintEnded').length, 1);
+  assert.equal(core.hint, null);
+});
+
+test('hints cool down between uses and run out', () => {
+  const core = createCore(CORRIDOR, { hintLimit: 2, hintDuration: 1, hintCooldown: 2 });
+  core.start();
+  core.requestHint();
+  run(core, idle, 1.5);
+  assert.equal(core.requestHint(), null);
+  assert.ok(core.hintCooldownRemaining() > 0);
+
+  run(core, idle, 1.6);
+  assert.equal(core.hintCooldownRemaining(), 0);
+  assert.ok(core.requestHint());
+  run(core, idle, 4);
+  assert.equal(core.hintsRemaining(), 0);
+  assert.equal(core.requestHint(), null);
+  assert.equal(core.hintsUsed, 2);
+});
+
+test('hints are unlimited with a null limit and unavailable outside play', () => {
+  const core = createCore(CORRIDOR, { hintDuration: 1, hintCooldown: 0 });
+  assert.equal(core.requestHint(), null);
+  core.start();
+  for (let i = 0; i < 5; i++) {
+    assert.ok(core.requestHint());
+    run(core, idle, 1.05);
+  }
+  assert.equal(core.hintsRemaining(), Infinity);
+});
+
+test('with the exit locked away, the route fetches the key first', () => {
+  const core = createCore(LOCKED);
+  core.start();
+  const path = core.findPathToExit();
+  const key = core.maze.getKeys()[0];
+  const door = core.maze.getDoors()[0];
+  const keyAt = path.findIndex(cell => cell.x === key.x && cell.z === key.z);
+  const doorAt = path.findIndex(cell => cell.x === door.x && cell.z === door.z);
+  assert.ok(keyAt !== -1 && doorAt > keyAt);
+  assert.deepEqual(path[path.length - 1], { ...core.maze.getEnd() });
+
+  // Holding the key, the route goes straight to the door
+  const direct = core.findPathToExit(undefined, new Set([0]));
+  assert.equal(direct.findIndex(cell => cell.x === key.x && cell.z === key.z), -1);
+});
+
+test('the key opens its door, which then stops blocking', () => {
+  const core = createCore(LOCKED);
+  core.start();
+  const door = core.maze.getDoors()[0];
+  assert.equal(core.isWall(door.x, door.z, 0), true);
+
+  const key = core.maze.getKeys()[0];
+  core.player.x = key.x * core.cellSize;
+  core.player.z = key.z * core.cellSize;
+  const collected = run(core, idle, FIXED_TIMESTEP);
+  assert.deepEqual(collected, [{ type: 'keyCollected', index: 0 }]);
+
+  // Within reach from the neighbouring cell
+  core.player.x = (door.x + 1) * core.cellSize - 0.6;
+  core.player.z = door.z * core.cellSize;
+  const opened = run(core, idle, FIXED_TIMESTEP);
+  assert.deepEqual(opened, [{ type: 'doorUnlocked', index: 0 }]);
+  assert.equal(core.isWall(door.x, door.z, 0), false);
+});
+
+test('hint routes reuse one navigator per maze and follow the doors', () => {
+  const core = createCore(LOCKED);
+  core.start();
+  const navigator = core.routeNavigator;
+  const first = core.findPathToExit();
+  assert.equal(core.routeNavigator, navigator);
+
+  // Open the door without the key: the route no longer detours for it
+  core.doorsOpen.add(0);
+  core.routeNavigator.invalidate();
+  const key = core.maze.getKeys()[0];
+  const opened = core.findPathToExit(undefined, new Set());
+  assert.ok(opened.length < first.length);
+  assert.equal(opened.findIndex(cell => cell.x === key.x && cell.z === key.z), -1);
+
+  // A new maze gets a navigator of its own, and a new run shuts the door again
+  core.start();
+  assert.deepEqual(core.findPathToExit(), first);
+  core.setMaze(loadLevelASCII(CORRIDOR));
+  assert.notEqual(core.routeNavigator, navigator);
+});
+
+test('jumps leave the ground and land, and crouching lowers the eyes', () => {
+  const core = createCore(CORRIDOR);
+  core.start();
+  const standing = core.player.y;
+
+  const events = run(core, { jump: 1, yaw: 0, pitch: 0 }, FIXED_TIMESTEP);
+  assert.deepEqual(events, [{ type: 'jumped' }]);
+  let peak = 0;
+  const landed = [];
+  for (let i = 0; i < 60 && landed.length === 0; i++) {
+    landed.push(...core.step({ yaw: 0, pitch: 0 }, FIXED_TIMESTEP).filter(event => event.type === 'landed'));
+    peak = Math.max(peak, core.player.jumpY);
+  }
+  assert.equal(landed.length, 1);
+  assert.ok(peak > 0.5 && core.player.y === standing);
+  assert.ok(peak + core.player.height < core.wallHeight);
+
+  run(core, { crouch: 1, yaw: 0, pitch: 0 }, 1);
+  assert.ok(core.player.crouching);
+  assert.equal(core.player.height, core.crouchHeight);
+  // No jumping from a crouch
+  assert.deepEqual(run(core, { crouch: 1, jump: 1, yaw: 0, pitch: 0 }, FIXED_TIMESTEP), []);
+});
+
+test('low ceilings only let a crouching player in, and keep them crouched', () => {
+  const core = createCore(CORRIDOR);
+  core.start();
+  // The two cells ahead of the start are crawlspaces
+  core.setCeiling(2, 3, 0, 1.2);
+  core.setCeiling(2, 2, 0, 1.2);
+  assert.equal(core.getCeiling(2, 3, 0), 1.2);
+  assert.equal(core.getCeiling(2, 4, 0), core.wallHeight);
+
+  // Standing, the low ceiling stops the player like a wall
+  run(core, forward(), 1);
+  assertNear(core.player.z, 4 * core.cellSize - core.cellSize / 2 + core.playerRadius);
+
+  // Crouched, they get under it, and can't stand up or jump there
+  run(core, { crouch: 1, yaw: 0, pitch: 0 }, 0.5);
+  run(core, { moveForward: 1, crouch: 1, yaw: 0, pitch: 0 }, 0.3);
+  const cell = core.getPlayerCell();
+  assert.ok(core.getCeiling(cell.x, cell.z, cell.level) < core.playerHeight);
+  assert.ok(core.getClearance() < core.playerHeight);
+  run(core, idle, 0.5);
+  assert.ok(core.player.crouching);
+  assert.equal(core.player.height, core.crouchHeight);
+  assert.deepEqual(run(core, { jump: 1, yaw: 0, pitch: 0 }, FIXED_TIMESTEP), []);
+
+  // Clearing the ceiling lets them stand again
+  core.setCeiling(2, 3, 0, null);
+  core.setCeiling(2, 2, 0, null);
+  run(core, idle, 0.5);
+  assert.equal(core.player.crouching, false);
+  assert.equal(core.player.height, core.playerHeight);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MazeGenerator, CELL } from '../js/maze.js';
+import { DungeonGenerator } from '../js/dungeon.js';
+import { Navigator } from '../js/navigation.js';
+
+const LAYOUTS = { maze: MazeGenerator, rooms: DungeonGenerator };
+
+const sameCell = (a, b) => a.x === b.x && a.z === b.z && a.level === b.level;
+
+// Every key can be reached with its own door and all later ones locked, and
+// the exit once every door is open
+function assertSolvable(maze, label) {
+  const doors = maze.getDoors();
+  const keys = maze.getKeys();
+  assert.equal(keys.length, doors.length, label);
+
+  keys.forEach((key, index) => {
+    const navigator = new Navigator(maze, {
+      isBlocked: (x, z, level) => doors.slice(index).some(door => sameCell(door, { x, z, level })),
+    });
+    assert.ok(navigator.findPath(maze.getStart(), key), `${label}: key ${index} out of reach`);
+  });
+  for (const door of doors) {
+    assert.equal(maze.getCell(door.x, door.z, door.level), CELL.DOOR, label);
+  }
+  assert.ok(new Navigator(maze).findPath(maze.getStart(), maze.getEnd()), `${label}: exit out of reach`);
+}
+
+// Door cells a slab can sit across: open ahead and behind, walls either side
+function assertCorridor(maze, door, label) {
+  const open = (dx, dz) => !maze.isWall(door.x + dx, door.z + dz, door.level);
+  assert.ok(
+    (open(0, -1) && open(0, 1) && !open(-1, 0) && !open(1, 0)) ||
+    (open(-1, 0) && open(1, 0) && !open(0, -1) && !open(0, 1)),
+    `${label}: door at ${door.x},${door.z} is not across a corridor`
+  );
+}
+
+test('every door asked for is placed or counted as missing, and the level stays solvable', () => {
+  for (const [layout, Generator] of Object.entries(LAYOUTS)) {
+    for (const [size, doors] of [[15, 1], [21, 3], [31, 2], [41, 3]]) {
+      for (let seed = 1; seed <= 20; seed++) {
+        const maze = new Generator(size, size, { seed, doors });
+        maze.generate();
+        const label = `${layout} ${size}x${size} ${doors} doors seed ${seed}`;
+        assert.equal(maze.getDoors().length + maze.getMissingDoors(), doors, label);
+        maze.getDoors().forEach(door => assertCorridor(maze, door, label));
+        assertSolvable(maze, label);
+      }
+    }
+  }
+});
+
+test('rooms layouts fit the doors their corridors have room for', () => {
+  // Two doors always fit a 31 × 31 rooms layout, and three fit most 21 × 21
+  // ones, since each door may go either side of its share of the route
+  let missing = 0;
+  for (let seed = 1; seed <= 200; seed++) {
+    const maze = new DungeonGenerator(31, 31, { seed, doors: 2 });
+    maze.generate();
+    missing += maze.getMissingDoors();
+  }
+  assert.equal(missing, 0);
+
+  let short = 0;
+  for (let seed = 1; seed <= 150; seed++) {
+    const maze = new DungeonGenerator(21, 21, { seed, doors: 3 });
+    maze.generate();
+    if (maze.getMissingDoors() > 0) short++;
+  }
+  assert.ok(short < 75, `${short} of 150 short`);
+});
+
+test('a single open room has no corridor to put a door across', () => {
+  for (let seed = 1; seed <= 10; seed++) {
+    const maze = new DungeonGenerator(15, 15, { seed, doors: 1 });
+    maze.generate();
+    assert.deepEqual(maze.getDoors(), []);
+    assert.equal(maze.getMissingDoors(), 1);
+  }
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CELL } from '../js/maze.js';
+import { DungeonGenerator } from '../js/dungeon.js';
+import { Navigator } from '../js/navigation.js';
+
+const sameCell = (a, b) => a.x === b.x && a.z === b.z && a.level === b.level;
+
+test('a rooms floor too small to split starts away from the exit', () => {
+  for (let seed = 1; seed <= 10; seed++) {
+    const maze = new DungeonGenerator(15, 15, { seed });
+    maze.generate();
+    assert.equal(maze.getRooms().length, 1);
+    assert.ok(!sameCell(maze.getStart(), maze.getEnd()));
+    assert.equal(maze.getCell(maze.getStart().x, maze.getStart().z, 0), CELL.OPEN);
+  }
+});
+
+test('small rooms layouts fit stairs between every pair of floors', () => {
+  for (const size of [11, 13, 15, 17]) {
+    for (const floors of [3, 5]) {
+      for (let seed = 1; seed <= 60; seed++) {
+        const label = `${size}x${size} ${floors} floors seed ${seed}`;
+        const maze = new DungeonGenerator(size, size, { seed, floors });
+        maze.generate();
+
+        assert.equal(maze.stairs.length, floors - 1, label);
+        for (const stairs of maze.stairs) {
+          assert.equal(maze.getCell(stairs.x, stairs.z, stairs.level), CELL.STAIRS_DOWN, label);
+          assert.equal(maze.getCell(stairs.x, stairs.z, stairs.level + 1), CELL.STAIRS_UP, label);
+        }
+        assert.ok(new Navigator(maze).findPath(maze.getStart(), maze.getEnd()), `${label}: exit out of reach`);
+      }
+    }
+  }
+});
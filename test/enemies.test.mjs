@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore, FIXED_TIMESTEP } from '../js/core.js';
+import { Enemy, findSpawnPoints, hasLineOfSight } from '../js/enemies.js';
+import { MazeGenerator } from '../js/maze.js';
+import { Navigator } from '../js/navigation.js';
+import { loadLevelASCII } from '../js/levels.js';
+import { SeededRandom } from '../js/random.js';
+
+// A corridor along the top and one along the bottom, with the wall between
+// them open only at the ends
+const ROOMS = `
+#######
+#S....#
+#.###.#
+#....E#
+#######
+`;
+
+// A long corridor with the only dead end at the top, eleven steps from the
+// start. Its lair's patrol stays six or more cells from the start: near
+// enough to see a standing player, too far to see a crouching one.
+const HALL = `
+#####
+##.##
+##.##
+##.##
+##.##
+##.##
+##.##
+##.##
+##.##
+##.##
+##.##
+##.##
+#ES##
+#####
+`;
+
+// Two corridors joined at the east end, for an enemy to lose the player in
+const SPLIT = `
+#########
+#S......#
+#######.#
+#E......#
+#########
+`;
+
+const CELL_SIZE = 2;
+const key = cell => `${cell.level},${cell.x},${cell.z}`;
+
+function createCore(level, options = {}) {
+  const core = new GameCore(options);
+  core.setMaze(loadLevelASCII(level));
+  return core;
+}
+
+// Steps the core for `seconds` with the same input, collecting the events
+function run(core, input, seconds, dt = FIXED_TIMESTEP) {
+  const events = [];
+  for (let time = 0; time < seconds - 1e-9; time += dt) {
+    events.push(...core.step(input, dt));
+  }
+  return events;
+}
+
+const idle = { yaw: 0, pitch: 0 };
+const crouched = { yaw: 0, pitch: 0, crouch: 1 };
+
+test('enemies spawn a walk away from the start and never on the exit', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const maze = new MazeGenerator(21, 21, { seed, floors: 2 });
+    maze.generate();
+    const end = maze.getEnd();
+    const distances = new Map(new Navigator(maze).findWithin(maze.getStart()).map(cell => [key(cell), cell.distance]));
+
+    const lairs = findSpawnPoints(maze, 4);
+    assert.equal(lairs.length, 4, `seed ${seed}`);
+    for (const lair of lairs) {
+      assert.ok(distances.get(key(lair)) >= 6, `seed ${seed}: lair ${key(lair)} is near the start`);
+      assert.notEqual(key(lair), key(end), `seed ${seed}: lair on the exit`);
+      assert.equal(maze.isWall(lair.x, lair.z, lair.level), false);
+    }
+
+    // The seed decides the lairs
+    assert.deepEqual(findSpawnPoints(maze, 4), lairs);
+  }
+});
+
+test('a maze too small for a lair away from the start gets no enemies', () => {
+  const maze = loadLevelASCII(ROOMS);
+  assert.deepEqual(findSpawnPoints(maze, 2), []);
+  assert.deepEqual(findSpawnPoints(maze, 0), []);
+});
+
+test('line of sight follows open cells and stops at walls', () => {
+  const maze = loadLevelASCII(ROOMS);
+  const sees = (from, to) => hasLineOfSight(maze, 0, CELL_SIZE,
+    from.x * CELL_SIZE, from.z * CELL_SIZE, to.x * CELL_SIZE, to.z * CELL_SIZE);
+
+  // Along a corridor, both ways
+  assert.equal(sees({ x: 1, z: 1 }, { x: 5, z: 1 }), true);
+  assert.equal(sees({ x: 5, z: 1 }, { x: 1, z: 1 }), true);
+  assert.equal(sees({ x: 1, z: 1 }, { x: 1, z: 3 }), true);
+
+  // Across the wall between the corridors
+  assert.equal(sees({ x: 3, z: 1 }, { x: 3, z: 3 }), false);
+  assert.equal(sees({ x: 1, z: 1 }, { x: 5, z: 3 }), false);
+  assert.equal(sees({ x: 1, z: 3 }, { x: 5, z: 1 }), false);
+});
+
+test('an enemy that sees the player gives chase and catches them', () => {
+  const core = createCore(HALL, { enemyCount: 1 });
+  core.start();
+  assert.equal(core.enemies.length, 1);
+  assert.deepEqual(core.enemies[0].getCell(), { x: 2, z: 1, level: 0 });
+  assert.equal(core.enemies[0].state, 'patrol');
+
+  // Its patrol brings it down the hall, facing the player
+  const events = [];
+  for (let time = 0; time < 20 && events.length === 0; time += FIXED_TIMESTEP) {
+    events.push(...core.step(idle, FIXED_TIMESTEP));
+  }
+  assert.deepEqual(events.map(event => event.type), ['spotted']);
+  assert.equal(core.enemies[0].state, 'chase');
+  assert.equal(core.state, 'playing');
+
+  events.push(...run(core, idle, 5));
+  assert.deepEqual(events.map(event => event.type), ['spotted', 'caught']);
+  assert.equal(events[1].enemy, core.enemies[0]);
+  assert.equal(core.state, 'caught');
+  assert.deepEqual(core.step(idle, FIXED_TIMESTEP), []);
+});
+
+test('a crouching player down the hall goes unnoticed', () => {
+  const core = createCore(HALL, { enemyCount: 1 });
+  core.start();
+  const events = run(core, crouched, 20);
+
+  assert.deepEqual(events, []);
+  assert.equal(core.enemies[0].state, 'patrol');
+  assert.equal(core.state, 'playing');
+});
+
+test('an enemy that loses the player searches where they were and goes back to patrolling', () => {
+  const core = createCore(SPLIT);
+  core.start();
+  const enemy = new Enemy({ x: 7, z: 1, level: 0 }, CELL_SIZE, new SeededRandom(1));
+  enemy.yaw = Math.PI / 2; // facing west, down the corridor at the player
+  core.enemies = [enemy];
+
+  assert.deepEqual(core.step(idle, FIXED_TIMESTEP).map(event => event.type), ['spotted']);
+  assert.equal(enemy.state, 'chase');
+
+  // The player slips into the bottom corridor, out of sight
+  core.player.x = 3 * CELL_SIZE;
+  core.player.z = 3 * CELL_SIZE;
+  let events = [];
+  for (let time = 0; time < 5 && enemy.state === 'chase'; time += FIXED_TIMESTEP) {
+    events.push(...core.step(crouched, FIXED_TIMESTEP));
+  }
+  assert.deepEqual(events, []);
+  assert.equal(enemy.state, 'search');
+  assert.deepEqual(enemy.getCell(), { x: 1, z: 1, level: 0 });
+
+  events = run(core, crouched, enemy.searchTime + 0.1);
+  assert.deepEqual(events, []);
+  assert.equal(enemy.state, 'patrol');
+  assert.deepEqual(enemy.path.at(-1), { x: 7, z: 1, level: 0 });
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Leaderboard, HistoryFormatError, HISTORY_FORMAT, HISTORY_VERSION, getScore } from '../js/leaderboard.js';
+
+function createRun(fields = {}) {
+  return {
+    finishedAt: '2024-01-01T12:00:00.000Z',
+    config: 'maze:backtracker:21x21:1f:0b',
+    seed: 123,
+    level: null,
+    layout: 'maze',
+    algorithm: 'backtracker',
+    width: 21,
+    height: 21,
+    floors: 1,
+    braid: 0,
+    doors: 0,
+    time: 83.2,
+    distance: 154.1,
+    hintsUsed: 2,
+    penalty: 20,
+    cellsExplored: 140,
+    optimalLength: 56,
+    actualLength: 97,
+    pathRatio: 0.58,
+    ...fields,
+  };
+}
+
+function createHistory(runs, fields = {}) {
+  return { format: HISTORY_FORMAT, version: HISTORY_VERSION, runs, ...fields };
+}
+
+// Files that pass the checks go on to the database, which Node doesn't have
+const NO_DATABASE = /IndexedDB is not available/;
+
+test('scores add the hint penalty to the time', () => {
+  assert.equal(getScore(createRun({ time: 80, penalty: 20 })), 100);
+  assert.equal(getScore(createRun({ time: 80, penalty: undefined })), 80);
+});
+
+test('a valid history passes the checks', async () => {
+  const leaderboard = new Leaderboard();
+  await assert.rejects(leaderboard.importJSON(createHistory([createRun()])), NO_DATABASE);
+  // Older runs without penalty or doors, and levels without a seed
+  const older = createRun({ seed: null, level: 'Crypt' });
+  delete older.penalty;
+  delete older.doors;
+  await assert.rejects(leaderboard.importJSON(createHistory([older])), NO_DATABASE);
+});
+
+test('histories without the current version are rejected', async () => {
+  const leaderboard = new Leaderboard();
+  for (const version of [undefined, HISTORY_VERSION + 1, '1']) {
+    await assert.rejects(
+      leaderboard.importJSON(createHistory([createRun()], { version })),
+      HistoryFormatError,
+      `version ${version}`
+    );
+  }
+});
+
+test('runs with non-numeric penalty, braid, doors or seed are rejected', async () => {
+  const leaderboard = new Leaderboard();
+  for (const field of ['penalty', 'braid', 'doors', 'seed']) {
+    for (const value of ['20', Infinity, {}]) {
+      await assert.rejects(
+        leaderboard.importJSON(createHistory([createRun({ [field]: value })])),
+        error => error instanceof HistoryFormatError && error.message.includes(`"${field}"`),
+        `${field} ${String(value)}`
+      );
+    }
+  }
+});
+
+test('runs with unknown layouts, algorithms or long level names are rejected', async () => {
+  const leaderboard = new Leaderboard();
+  const bad = [
+    createRun({ layout: '<img src=x>' }),
+    createRun({ algorithm: 'mystery' }),
+    createRun({ level: 'x'.repeat(81) }),
+    createRun({ time: '83' }),
+  ];
+  for (const run of bad) {
+    await assert.rejects(leaderboard.importJSON(createHistory([run])), HistoryFormatError);
+  }
+});
+
+// A leaderboard whose store holds one recording, noting what gets put in it
+function withStoredRecording(existing) {
+  const leaderboard = new Leaderboard();
+  const stored = [];
+  leaderboard.getRecording = async () => existing;
+  leaderboard.open = async () => ({
+    transaction: () => {
+      const transaction = {
+        objectStore: () => ({ put: recording => stored.push(recording) }),
+        addEventListener: (event, listener) => {
+          if (event === 'complete') setTimeout(listener);
+        },
+      };
+      return transaction;
+    },
+  });
+  return { leaderboard, stored };
+}
+
+test('the ghost recording is kept for the best score, not the fastest time', async () => {
+  const key = 'maze:backtracker:21x21:1f:0b|123';
+  const best = { key, time: 90, penalty: 0 };
+
+  // Faster, but hints make it the worse run
+  const hinted = withStoredRecording(best);
+  assert.equal(await hinted.leaderboard.saveRecording({ key, time: 80, penalty: 20 }), false);
+  assert.deepEqual(hinted.stored, []);
+
+  const better = withStoredRecording(best);
+  assert.equal(await better.leaderboard.saveRecording({ key, time: 85, penalty: 0 }), true);
+  assert.equal(better.stored.length, 1);
+
+  // Recordings from before penalties were stored count as having none
+  const older = withStoredRecording({ key, time: 95 });
+  assert.equal(await older.leaderboard.saveRecording({ key, time: 80, penalty: 10 }), true);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAZE_ALGORITHMS } from '../js/algorithms.js';
+import { MazeGenerator } from '../js/maze.js';
+import { Navigator } from '../js/navigation.js';
+
+const FACTORS = [0.1, 0.25, 0.5, 0.75, 0.9, 1];
+const SEEDS = [1, 7, 99, 2024, 31337];
+
+// The same seed carves the same perfect maze before braiding, so the
+// unbraided maze gives the dead ends braiding started from
+function deadEndsBeforeAndAfter(size, seed, braid, algorithm) {
+  const perfect = new MazeGenerator(size, size, { seed, algorithm });
+  perfect.generate();
+  const braided = new MazeGenerator(size, size, { seed, algorithm, braid });
+  braided.generate();
+  return { before: perfect.countDeadEnds(), after: braided.countDeadEnds(), braided };
+}
+
+test('braiding removes the requested fraction of dead ends', () => {
+  for (const size of [11, 21, 41]) {
+    for (const braid of FACTORS) {
+      for (const seed of SEEDS) {
+        const { before, after } = deadEndsBeforeAndAfter(size, seed, braid);
+        assert.equal(after, before - Math.round(before * braid), `${size}x${size} braid ${braid} seed ${seed}`);
+      }
+    }
+  }
+});
+
+test('braiding counts the same way whatever carved the maze', () => {
+  for (const algorithm of Object.keys(MAZE_ALGORITHMS)) {
+    for (const braid of [0.3, 0.6]) {
+      const { before, after } = deadEndsBeforeAndAfter(31, 5, braid, algorithm);
+      assert.equal(after, before - Math.round(before * braid), `${algorithm} braid ${braid}`);
+    }
+  }
+});
+
+test('a braid of 1 leaves no dead ends and every cell still reachable', () => {
+  for (const seed of SEEDS) {
+    const { after, braided } = deadEndsBeforeAndAfter(31, seed, 1);
+    assert.equal(after, 0);
+
+    let open = 0;
+    for (let z = 0; z < braided.getHeight(); z++) {
+      for (let x = 0; x < braided.getWidth(); x++) {
+        if (!braided.isWall(x, z)) open++;
+      }
+    }
+    assert.equal(new Navigator(braided).findWithin(braided.getStart()).length, open);
+  }
+});
+
+test('no braid leaves the dead ends alone', () => {
+  const { before, after } = deadEndsBeforeAndAfter(21, 3, 0);
+  assert.ok(before > 0);
+  assert.equal(after, before);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore } from '../js/core.js';
+import { moveCircle, circleHitsGrid } from '../js/collision.js';
+import { loadLevelASCII } from '../js/levels.js';
+
+// A straight corridor, long enough that a second's walk stays short of the exit
+const LONG_CORRIDOR = ['###', '#E#', ...Array(24).fill('#.#'), '#S#', '###'].join('\n');
+
+// Walks forward from the start for one second at the given frame rate
+function walkOneSecond(rate) {
+  const core = new GameCore();
+  core.setMaze(loadLevelASCII(LONG_CORRIDOR));
+  core.start();
+  const startZ = core.player.z;
+  for (let frame = 0; frame < rate; frame++) {
+    core.step({ moveForward: 1, yaw: 0, pitch: 0 }, 1 / rate);
+  }
+  assert.equal(core.state, 'playing');
+  return startZ - core.player.z;
+}
+
+test('a second of walking covers the same distance at any frame rate', () => {
+  const core = new GameCore();
+  // Speeding up from rest: the full speed less what the damping holds back
+  const expected = core.moveSpeed * (1 - (1 - Math.exp(-core.damping)) / core.damping);
+
+  for (const rate of [30, 60, 144]) {
+    const distance = walkOneSecond(rate);
+    assert.ok(Math.abs(distance - expected) < 1e-6, `${distance} at ${rate} Hz, expected ${expected}`);
+  }
+});
+
+// Wall cells are boxes of cellSize centred on their grid cell, so with
+// cellSize 2 the open cell (0, 0) spans -1 to 1 and a wall at z = -1 has its
+// face at z = -1
+const CELL_SIZE = 2;
+const RADIUS = 0.3;
+const SKIN = 0.001;
+
+test('moving diagonally into a long wall slides along it without catching on cell seams', () => {
+  const isWall = (x, z) => z < 0;
+  const result = moveCircle(isWall, CELL_SIZE, -10, 0, RADIUS, 20, -3);
+  assert.ok(Math.abs(result.x - 10) < 1e-9);
+  assert.ok(Math.abs(result.z - (-1 + RADIUS + SKIN)) < 1e-9);
+  assert.deepEqual(result.normals, [{ x: 0, z: 1 }]);
+});
+
+test('moving into an inside corner stops against both walls', () => {
+  const isWall = (x, z) => x < 0 || z < 0;
+  const result = moveCircle(isWall, CELL_SIZE, 2, 2, RADIUS, -5, -4);
+  assert.ok(Math.abs(result.x - (-1 + RADIUS + SKIN)) < 1e-9);
+  assert.ok(Math.abs(result.z - (-1 + RADIUS + SKIN)) < 1e-9);
+  assert.equal(result.normals.length, 2);
+});
+
+test('grazing an outside corner deflects around it instead of into the wall', () => {
+  const isWall = (x, z) => x === 0 && z === 0;
+  // Passing just inside the reach of the corner at (-1, 1)
+  const result = moveCircle(isWall, CELL_SIZE, -3, 1.2, RADIUS, 6, 0);
+  assert.equal(circleHitsGrid(isWall, CELL_SIZE, result.x, result.z, RADIUS), false);
+  assert.ok(result.x > -1 && result.z > 1.2);
+  // Every contact was with the corner, facing up and back
+  for (const normal of result.normals) {
+    assert.ok(normal.x < 0 && normal.z > 0);
+  }
+});
+
+test('running into a corridor corner slides into it and stops there', () => {
+  const core = new GameCore();
+  core.setMaze(loadLevelASCII(`
+#####
+#..E#
+#.###
+#S###
+#####
+`));
+  core.start();
+  // Up and to the left, into the corner at the top of the first leg
+  for (let frame = 0; frame < 60; frame++) {
+    core.step({ moveForward: 1, yaw: Math.PI / 4, pitch: 0 }, 1 / 60);
+  }
+  const corner = 1 * core.cellSize - core.cellSize / 2 + core.playerRadius;
+  assert.ok(Math.abs(core.player.x - corner) < 0.01);
+  assert.ok(Math.abs(core.player.z - corner) < 0.01);
+  assert.equal(core.checkCollision(core.player.x, core.player.z, core.playerRadius, 0), false);
+
+  // Turning right along the second leg carries on to the exit
+  for (let frame = 0; frame < 60 && core.state === 'playing'; frame++) {
+    core.step({ moveForward: 1, yaw: -Math.PI / 2, pitch: 0 }, 1 / 60);
+  }
+  assert.equal(core.state, 'completed');
+});
+
+test('a long frame does not carry the player through a wall', () => {
+  const core = new GameCore();
+  core.setMaze(loadLevelASCII(`
+#####
+#S#E#
+#.#.#
+#...#
+#####
+`));
+  core.start();
+  // Half a second in one step is several cells to the right, past the wall
+  // beside the start and into the open column beyond
+  core.step({ moveRight: 1, yaw: 0, pitch: 0 }, 0.5);
+  assert.ok(core.player.x < 1 * core.cellSize + core.cellSize / 2);
+  assert.deepEqual(core.getPlayerCell(), { x: 1, z: 1, level: 0 });
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Navigator } from '../js/navigation.js';
+import { MazeGenerator } from '../js/maze.js';
+import { loadLevelASCII } from '../js/levels.js';
+
+// Two routes from the start to the exit: three steps along the top or seven
+// round the bottom
+const LOOP = `
+#####
+#S.E#
+#.#.#
+#.#.#
+#...#
+#####
+`;
+
+const TWO_FLOORS = `
+#####
+#S.>#
+#####
+
+#####
+#E.<#
+#####
+`;
+
+const cell = (x, z, level = 0) => ({ x, z, level });
+
+// Whether each step of a route moves to a neighbouring cell, or onto stairs
+// and the floor beyond them
+function assertConnected(maze, from, path) {
+  let previous = from;
+  for (const step of path) {
+    assert.equal(Math.abs(step.x - previous.x) + Math.abs(step.z - previous.z), 1);
+    assert.equal(maze.isWall(step.x, step.z, step.level), false);
+    previous = step;
+  }
+}
+
+test('findPath takes the shortest route', () => {
+  const maze = loadLevelASCII(LOOP);
+  const navigator = new Navigator(maze);
+  const path = navigator.findPath(maze.getStart(), maze.getEnd());
+  assert.deepEqual(path, [cell(2, 1), cell(3, 1)]);
+  assert.deepEqual(navigator.findPath(maze.getStart(), maze.getStart()), []);
+});
+
+test('blocked cells and costs reroute the path', () => {
+  const maze = loadLevelASCII(LOOP);
+  const blocked = new Navigator(maze, { isBlocked: (x, z) => x === 2 && z === 1 });
+  const around = blocked.findPath(maze.getStart(), maze.getEnd());
+  assert.equal(around.length, 8);
+  assertConnected(maze, maze.getStart(), around);
+
+  // The top route costs 2 + 10, the bottom one 8
+  const costly = new Navigator(maze, { cost: (x, z) => (x === 2 && z === 1 ? 10 : 1) });
+  assert.equal(costly.findPath(maze.getStart(), maze.getEnd()).length, 8);
+  assert.equal(costly.distance(maze.getStart(), maze.getEnd()), 8);
+
+  const shut = new Navigator(maze, { isBlocked: (x, z) => (x === 2 && z === 1) || (x === 2 && z === 4) });
+  assert.equal(shut.findPath(maze.getStart(), maze.getEnd()), null);
+});
+
+test('setBlocked closes a cell and drops the cached fields', () => {
+  const maze = loadLevelASCII(LOOP);
+  const navigator = new Navigator(maze);
+  assert.equal(navigator.distance(maze.getStart(), maze.getEnd()), 2);
+  navigator.setBlocked(cell(2, 1), true);
+  assert.equal(navigator.distance(maze.getStart(), maze.getEnd()), 8);
+  navigator.setBlocked(cell(2, 1), false);
+  assert.equal(navigator.distance(maze.getStart(), maze.getEnd()), 2);
+});
+
+test('findNearest and findWithin search outwards, closest first', () => {
+  const maze = loadLevelASCII(LOOP);
+  const navigator = new Navigator(maze);
+  const nearest = navigator.findNearest(maze.getStart(), c => c.z === 4);
+  assert.deepEqual(nearest, [cell(1, 2), cell(1, 3), cell(1, 4)]);
+  assert.equal(navigator.findNearest(maze.getStart(), c => c.x === 99), null);
+
+  const within = navigator.findWithin(maze.getStart(), 2);
+  assert.deepEqual(within[0], { ...cell(1, 1), distance: 0 });
+  assert.deepEqual(within.map(c => c.distance), [0, 1, 1, 2, 2]);
+  // Every open cell, at most the length of the loop away
+  assert.equal(navigator.findWithin(maze.getStart()).length, 10);
+});
+
+test('fields agree with findPath and walk the same routes', () => {
+  const maze = new MazeGenerator(31, 31, { seed: 7, braid: 0.5 });
+  maze.generate();
+  const navigator = new Navigator(maze);
+  const end = maze.getEnd();
+  const field = navigator.getField(end);
+
+  for (const from of navigator.findWithin(maze.getStart()).filter((c, index) => index % 17 === 0)) {
+    const path = navigator.findPath(from, end);
+    assert.equal(field[navigator.nodeOf(from)], path.length);
+    const walked = navigator.pathTo(from, end);
+    assert.equal(walked.length, path.length);
+    assertConnected(maze, from, walked);
+    assert.deepEqual(walked[walked.length - 1] || from, { ...end });
+  }
+  assert.equal(navigator.nextStep(end, end), null);
+});
+
+test('stairs lead to the floor below unless the navigator keeps to one floor', () => {
+  const maze = loadLevelASCII(TWO_FLOORS);
+  const path = new Navigator(maze).findPath(maze.getStart(), maze.getEnd());
+  assert.deepEqual(path, [cell(2, 1, 0), cell(3, 1, 1), cell(2, 1, 1), cell(1, 1, 1)]);
+  assert.equal(new Navigator(maze).distance(maze.getStart(), maze.getEnd()), 4);
+
+  const oneFloor = new Navigator(maze, { stairs: false });
+  assert.equal(oneFloor.findPath(maze.getStart(), maze.getEnd()), null);
+  assert.equal(oneFloor.findWithin(maze.getStart()).length, 2);
+});
+
+test('a 500 × 500 maze routes corner to corner, matching its field', () => {
+  const maze = new MazeGenerator(500, 500, { seed: 500, braid: 0.3 });
+  maze.generate();
+  const navigator = new Navigator(maze);
+  const path = navigator.findPath(maze.getStart(), maze.getEnd());
+  assertConnected(maze, maze.getStart(), path);
+  assert.equal(navigator.distance(maze.getStart(), maze.getEnd()), path.length);
+});
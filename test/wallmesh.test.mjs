@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWallMesh, findRectangles, WALL_MESH_GROUPS } from '../js/wallmesh.js';
+import { CELL } from '../js/maze.js';
+
+const OPTIONS = { cellSize: 2, wallHeight: 3 };
+
+// Just enough of a maze for buildWallMesh: '#' walls, anything else open,
+// and walls all round outside the rows
+function gridMaze(rows) {
+  return {
+    width: rows[0].length,
+    height: rows.length,
+    getCell(x, z) {
+      if (z < 0 || z >= rows.length || x < 0 || x >= rows[z].length) return CELL.WALL;
+      return rows[z][x] === '#' ? CELL.WALL : CELL.OPEN;
+    },
+  };
+}
+
+function build(rows, area) {
+  const maze = gridMaze(rows);
+  return buildWallMesh(maze, 0, area || { minX: 0, minZ: 0, maxX: maze.width, maxZ: maze.height }, OPTIONS);
+}
+
+// Quads drawn with each material
+function quadCounts(mesh) {
+  const counts = {};
+  for (const [name, materialIndex] of Object.entries(WALL_MESH_GROUPS)) {
+    const group = mesh.groups.find(g => g.materialIndex === materialIndex);
+    counts[name] = group ? group.count / 6 : 0;
+  }
+  return counts;
+}
+
+// Total area of the quads in one group, from their two triangles
+function groupArea(mesh, materialIndex) {
+  const group = mesh.groups.find(g => g.materialIndex === materialIndex);
+  const point = index => [0, 1, 2].map(axis => mesh.positions[mesh.indices[index] * 3 + axis]);
+  let area = 0;
+  for (let i = group.start; i < group.start + group.count; i += 3) {
+    const [a, b, c] = [point(i), point(i + 1), point(i + 2)];
+    const u = b.map((value, axis) => value - a[axis]);
+    const v = c.map((value, axis) => value - a[axis]);
+    const cross = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    area += Math.hypot(...cross) / 2;
+  }
+  return area;
+}
+
+test('a single open cell gets four walls, a floor and a ceiling', () => {
+  const mesh = build(['###', '#.#', '###']);
+  assert.deepEqual(quadCounts(mesh), { wall: 4, floor: 1, ceiling: 1 });
+  assert.equal(mesh.triangles, 12);
+  // Eight wall cells as boxes, and the floor and ceiling planes
+  assert.equal(mesh.boxTriangles, 8 * 12 + 4);
+
+  // Every wall faces into the cell, at (2, 2) in the world
+  for (let vertex = 0; vertex < 16; vertex++) {
+    const [x, , z] = mesh.positions.slice(vertex * 3, vertex * 3 + 3);
+    const [normalX, , normalZ] = mesh.normals.slice(vertex * 3, vertex * 3 + 3);
+    assert.ok((2 - x) * normalX + (2 - z) * normalZ > 0);
+  }
+});
+
+test('a straight corridor is one quad per side however long', () => {
+  const mesh = build(['#######', '#.....#', '#######']);
+  assert.deepEqual(quadCounts(mesh), { wall: 4, floor: 1, ceiling: 1 });
+  assert.equal(mesh.triangles, 12);
+  // Two long sides of five cells and two ends of one
+  assert.equal(groupArea(mesh, WALL_MESH_GROUPS.wall), (5 + 5 + 1 + 1) * OPTIONS.cellSize * OPTIONS.wallHeight);
+  assert.equal(groupArea(mesh, WALL_MESH_GROUPS.floor), 5 * OPTIONS.cellSize * OPTIONS.cellSize);
+});
+
+test('an open room has no faces inside it', () => {
+  const mesh = build(['#######', '#.....#', '#.....#', '#.....#', '#######']);
+  assert.deepEqual(quadCounts(mesh), { wall: 4, floor: 1, ceiling: 1 });
+  assert.equal(groupArea(mesh, WALL_MESH_GROUPS.ceiling), 15 * OPTIONS.cellSize * OPTIONS.cellSize);
+});
+
+test('a pillar in a room adds its four faces and splits the floor', () => {
+  const mesh = build(['#####', '#...#', '#.#.#', '#...#', '#####']);
+  // The room's four sides and the pillar's four; the greedy floor takes the
+  // row above it, a column down each side and the cell below it
+  assert.deepEqual(quadCounts(mesh), { wall: 8, floor: 4, ceiling: 4 });
+  assert.equal(groupArea(mesh, WALL_MESH_GROUPS.floor), 8 * OPTIONS.cellSize * OPTIONS.cellSize);
+});
+
+test('solid rock draws nothing', () => {
+  const mesh = build(['###', '###', '###']);
+  assert.equal(mesh.triangles, 0);
+  assert.equal(mesh.positions.length, 0);
+});
+
+test('areas built side by side add up to the whole', () => {
+  const rows = ['#########', '#...#...#', '#.#.#.#.#', '#.#...#.#', '#########'];
+  const whole = build(rows);
+  const left = build(rows, { minX: 0, minZ: 0, maxX: 4, maxZ: 5 });
+  const right = build(rows, { minX: 4, minZ: 0, maxX: 9, maxZ: 5 });
+  for (const materialIndex of Object.values(WALL_MESH_GROUPS)) {
+    assert.equal(
+      groupArea(left, materialIndex) + groupArea(right, materialIndex),
+      groupArea(whole, materialIndex)
+    );
+  }
+});
+
+test('findRectangles covers every open cell exactly once', () => {
+  const rows = ['.....', '..#..', '.....', '##...'];
+  const isOpen = (x, z) => rows[z][x] === '.';
+  const rectangles = findRectangles({ minX: 0, minZ: 0, maxX: 5, maxZ: 4 }, isOpen);
+  const covered = rows.map(row => [...row].map(() => 0));
+  for (const r of rectangles) {
+    for (let z = r.minZ; z < r.maxZ; z++) {
+      for (let x = r.minX; x < r.maxX; x++) covered[z][x]++;
+    }
+  }
+  rows.forEach((row, z) => [...row].forEach((char, x) => {
+    assert.equal(covered[z][x], char === '.' ? 1 : 0);
+  }));
+  assert.equal(rectangles.length, 4);
+});